@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+/**
+ * Classroom Relay for Monty Hall Simulator
+ * A small local server for classroom mode: it serves the simulator, collects the
+ * rounds students' pages post to it, and streams them live to the teacher dashboard
+ * over Server-Sent Events. Results are kept in memory only.
+ *
+ * Usage: node bin/classroom-server.js [--port 8090] [--host 0.0.0.0]
+ */
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { networkInterfaces } from 'node:os';
+import { extname, join, normalize, sep } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { realpathSync } from 'node:fs';
+import {
+  CLASSROOM_PATHS, CLASSROOM_EVENTS, CLASSROOM_KEY_HEADER, MAX_CLASSROOM_ROUNDS, validateClassroomRound
+} from '../src/js/classroom.js';
+
+const DEFAULT_PORT = 8090;
+const DEFAULT_HOST = '0.0.0.0';
+
+// Largest request body accepted, in bytes
+const MAX_BODY_BYTES = 16 * 1024;
+
+// Comment sent on idle event streams so proxies and browsers keep them open
+const KEEPALIVE_INTERVAL_MS = 25000;
+
+// Only the simulator itself is served, never the rest of the repository
+const STATIC_ROOT = fileURLToPath(new URL('..', import.meta.url));
+const STATIC_FILES = ['index.html', 'classroom.html'];
+const STATIC_DIRECTORIES = ['src'];
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.json': 'application/json; charset=utf-8'
+};
+
+const HELP = `Monty Hall Simulator - classroom relay
+
+Usage: node bin/classroom-server.js [options]
+
+Options:
+  -p, --port <n>     Port to listen on (default: ${DEFAULT_PORT})
+      --host <addr>  Address to listen on (default: ${DEFAULT_HOST}, every network interface)
+      --key <key>    Teacher key for clearing results (default: random)
+  -h, --help         Show this help
+
+Students open the simulator from this server and join under "Classroom Mode";
+the teacher opens the dashboard link printed at startup.
+`;
+
+/**
+ * Create the relay. It is not listening until listen() is called on the result.
+ * @param {object} [options]
+ * @param {string} [options.key] - Teacher key needed to clear the results
+ * @param {number} [options.maxRounds] - Rounds kept; the oldest are dropped beyond this
+ * @returns {http.Server} - Server with a `classroom` property holding { rounds, key }
+ */
+export function createClassroomServer({ key = randomBytes(6).toString('hex'), maxRounds = MAX_CLASSROOM_ROUNDS } = {}) {
+  const classroom = { rounds: [], key, nextId: 1 };
+  const streams = new Set();
+
+  const broadcast = (event, data) => {
+    for (const stream of streams) {
+      sendEvent(stream, event, data);
+    }
+  };
+
+  const server = createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+
+    // Students' pages may be served from elsewhere (e.g. a school web server)
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', `Content-Type, ${CLASSROOM_KEY_HEADER}`);
+
+    try {
+      if (request.method === 'OPTIONS') {
+        response.writeHead(204).end();
+      } else if (url.pathname === CLASSROOM_PATHS.status && request.method === 'GET') {
+        const players = new Set(classroom.rounds.map(round => round.player.id));
+        sendJson(response, 200, { rounds: classroom.rounds.length, players: players.size });
+      } else if (url.pathname === CLASSROOM_PATHS.rounds && request.method === 'GET') {
+        sendJson(response, 200, { rounds: classroom.rounds });
+      } else if (url.pathname === CLASSROOM_PATHS.rounds && request.method === 'POST') {
+        const { round, errors } = validateClassroomRound(await readJson(request), {
+          id: classroom.nextId,
+          timestamp: new Date().toISOString()
+        });
+        if (!round) {
+          sendJson(response, 400, { errors });
+          return;
+        }
+
+        classroom.nextId++;
+        classroom.rounds.push(round);
+        if (classroom.rounds.length > maxRounds) {
+          classroom.rounds.splice(0, classroom.rounds.length - maxRounds);
+        }
+        broadcast(CLASSROOM_EVENTS.ROUND, { round });
+        sendJson(response, 201, { round });
+      } else if (url.pathname === CLASSROOM_PATHS.rounds && request.method === 'DELETE') {
+        if (request.headers[CLASSROOM_KEY_HEADER.toLowerCase()] !== classroom.key) {
+          sendJson(response, 403, { errors: ['The teacher key is missing or wrong'] });
+          return;
+        }
+        classroom.rounds = [];
+        broadcast(CLASSROOM_EVENTS.RESET, {});
+        sendJson(response, 200, { rounds: 0 });
+      } else if (url.pathname === CLASSROOM_PATHS.events && request.method === 'GET') {
+        response.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          Connection: 'keep-alive'
+        });
+        streams.add(response);
+        sendEvent(response, CLASSROOM_EVENTS.SNAPSHOT, { rounds: classroom.rounds });
+        request.on('close', () => streams.delete(response));
+      } else if (request.method === 'GET' || request.method === 'HEAD') {
+        await serveStatic(url.pathname, request, response);
+      } else {
+        sendJson(response, 405, { errors: [`${request.method} is not supported here`] });
+      }
+    } catch (error) {
+      const status = error.status ?? 500;
+      if (status === 500) {
+        console.error('Request failed:', error);
+      }
+      if (!response.headersSent) {
+        sendJson(response, status, { errors: [status === 500 ? 'Internal error' : error.message] });
+      }
+    }
+  });
+
+  const keepalive = setInterval(() => {
+    for (const stream of streams) {
+      stream.write(': keepalive\n\n');
+    }
+  }, KEEPALIVE_INTERVAL_MS);
+  keepalive.unref();
+
+  server.on('close', () => {
+    clearInterval(keepalive);
+    for (const stream of streams) {
+      stream.end();
+    }
+  });
+
+  server.classroom = classroom;
+  return server;
+}
+
+/**
+ * Run the relay from the command line
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Promise<number>} - Exit code (the process keeps running while the server listens)
+ */
+export async function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    process.stderr.write(`Error: ${error.message}\n\nRun with --help for usage.\n`);
+    return 1;
+  }
+
+  if (options.help) {
+    process.stdout.write(HELP);
+    return 0;
+  }
+
+  const server = createClassroomServer({ key: options.key });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host, resolve);
+  });
+
+  const port = server.address().port;
+  const addresses = options.host === DEFAULT_HOST ? getLocalAddresses() : [options.host];
+  process.stdout.write('Classroom relay running.\n\nStudents open:\n');
+  for (const address of addresses) {
+    process.stdout.write(`  http://${address}:${port}/?classroom\n`);
+  }
+  process.stdout.write(`\nTeacher dashboard:\n  http://localhost:${port}/classroom.html#key=${server.classroom.key}\n\n`);
+  process.stdout.write('Results are kept in memory only. Press Ctrl+C to stop.\n');
+  return 0;
+}
+
+/**
+ * Parse command-line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {object} - { port, host, key, help }
+ */
+export function parseArgs(argv) {
+  const options = { port: DEFAULT_PORT, host: DEFAULT_HOST, key: undefined, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      options.help = true;
+      continue;
+    }
+
+    const match = /^(-p|--port|--host|--key)(?:=(.*))?$/.exec(arg);
+    if (!match) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+    const value = match[2] ?? argv[++i];
+    if (value === undefined) {
+      throw new Error(`Missing value for ${arg}`);
+    }
+
+    if (match[1] === '-p' || match[1] === '--port') {
+      const port = Number(value);
+      if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`--port must be an integer from 0 to 65535 (got "${value}")`);
+      }
+      options.port = port;
+    } else if (match[1] === '--host') {
+      options.host = value;
+    } else {
+      options.key = value;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Serve one of the simulator's own files
+ */
+async function serveStatic(pathname, request, response) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+  } catch {
+    // A malformed escape such as %E0%A4%A names no file
+    sendJson(response, 400, { errors: ['Malformed path'] });
+    return;
+  }
+  const relative = normalize(decoded).slice(1);
+  const allowed = STATIC_FILES.includes(relative) ||
+    STATIC_DIRECTORIES.some(directory => relative.startsWith(directory + sep));
+
+  if (!allowed || relative.split(sep).some(part => part.startsWith('.'))) {
+    sendJson(response, 404, { errors: ['Not found'] });
+    return;
+  }
+
+  let body;
+  try {
+    body = await readFile(join(STATIC_ROOT, relative));
+  } catch {
+    sendJson(response, 404, { errors: ['Not found'] });
+    return;
+  }
+
+  response.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[extname(relative)] ?? 'application/octet-stream',
+    'Content-Length': body.length
+  });
+  response.end(request.method === 'HEAD' ? undefined : body);
+}
+
+/**
+ * Read a JSON request body, refusing bodies over MAX_BODY_BYTES
+ */
+async function readJson(request) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw Object.assign(new Error('Request body is too large'), { status: 413 });
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw Object.assign(new Error('Request body is not valid JSON'), { status: 400 });
+  }
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(response, status, data) {
+  response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  response.end(JSON.stringify(data));
+}
+
+/**
+ * Send one Server-Sent Event
+ */
+function sendEvent(response, event, data) {
+  response.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * List this machine's IPv4 addresses that other machines on the network can reach
+ */
+function getLocalAddresses() {
+  const addresses = Object.values(networkInterfaces())
+    .flat()
+    .filter(entry => entry && entry.family === 'IPv4' && !entry.internal)
+    .map(entry => entry.address);
+  return addresses.length > 0 ? addresses : ['localhost'];
+}
+
+// Only run when executed directly (not when imported)
+if (process.argv[1] && realpathSync(process.argv[1]) === realpathSync(fileURLToPath(import.meta.url))) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }, error => {
+    process.stderr.write(`Error: ${error.message}\n`);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+/**
+ * Command-line Monty Hall Simulator
+ * Runs bulk simulations headlessly and prints or writes a report
+ *
+ * Usage: node bin/monty-sim.js [options]
+ * Comma-separated values for --doors, --host, --strategy and --switch-probability run every combination.
+ */
+
+import { realpathSync, writeFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { MontyHallSimulation, SIMULATION_STRATEGIES } from '../src/js/simulation.js';
+import { BUILT_IN_STRATEGIES } from '../src/js/strategies.js';
+import { HOST_MODELS, getHostName } from '../src/js/hosts.js';
+import { SeededRandom } from '../src/js/random.js';
+
+const FORMATS = ['table', 'json', 'csv'];
+
+const HELP = `Monty Hall Simulator - command-line runner
+
+Usage: node bin/monty-sim.js [options]
+
+Options:
+  -n, --rounds <n>        Rounds per configuration (default: 10000)
+  -d, --doors <list>      Door count(s), e.g. 3 or 3,10,100 (default: 3)
+  -r, --reveal <n>        Goats the host opens (default: all but one)
+  -H, --host <list>       Host model(s): ${Object.keys(HOST_MODELS).join(', ')} (default: standard)
+      --preference <p>    Preferential host's chance of opening the lowest goat door (default: 1)
+  -s, --strategy <list>   ${BUILT_IN_STRATEGIES.join(', ')}, both or all (default: both)
+      --switch-probability <list>
+                          Chance(s) of switching for switch-probability, e.g. 0,0.25,0.5 (default: 0.5)
+      --seed <seed>       Seed for reproducible runs (default: random)
+  -f, --format <format>   ${FORMATS.join(', ')} (default: table, or inferred from --output)
+  -o, --output <file>     Write the report to a file instead of stdout
+  -q, --quiet             Do not print the summary table when writing a file
+  -h, --help              Show this help
+
+Examples:
+  node bin/monty-sim.js --rounds 100000 --seed 42
+  node bin/monty-sim.js -d 3,10,100 -H standard,ignorant -o sweep.csv
+  node bin/monty-sim.js -s switch-probability --switch-probability 0,0.25,0.5,0.75,1
+`;
+
+const ALIASES = {
+  n: 'rounds', d: 'doors', r: 'reveal', H: 'host', s: 'strategy',
+  f: 'format', o: 'output', q: 'quiet', h: 'help'
+};
+const BOOLEAN_FLAGS = ['quiet', 'help'];
+
+/**
+ * Parse command-line arguments into an options object
+ * @param {Array} argv - Arguments after the script name
+ * @returns {object} - Raw option values keyed by long flag name
+ */
+export function parseArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const match = /^--?([A-Za-z][\w-]*)(?:=(.*))?$/.exec(arg);
+    if (!match) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+
+    const name = ALIASES[match[1]] || match[1];
+    if (BOOLEAN_FLAGS.includes(name)) {
+      options[name] = true;
+    } else if (match[2] !== undefined) {
+      options[name] = match[2];
+    } else if (i + 1 < argv.length) {
+      options[name] = argv[++i];
+    } else {
+      throw new Error(`Missing value for ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Turn parsed arguments into a validated list of simulation configurations
+ * @param {object} options - Output of parseArgs()
+ * @returns {object} - { runs: Array, format, output, quiet }
+ */
+export function buildRuns(options) {
+  const known = [
+    'rounds', 'doors', 'reveal', 'host', 'preference', 'strategy', 'switch-probability',
+    'seed', 'format', 'output', 'quiet', 'help'
+  ];
+  const unknown = Object.keys(options).filter(name => !known.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown option: --${unknown[0]}`);
+  }
+
+  const rounds = parseInteger(options.rounds ?? '10000', 'rounds');
+  const doorCounts = splitList(options.doors ?? '3').map(value => parseInteger(value, 'doors'));
+  const revealCount = options.reveal === undefined ? null : parseInteger(options.reveal, 'reveal');
+  const hosts = splitList(options.host ?? 'standard');
+  const strategyList = splitList(options.strategy ?? 'both');
+  const strategies = strategyList.flatMap(value => {
+    if (value === 'both') return SIMULATION_STRATEGIES;
+    if (value === 'all') return BUILT_IN_STRATEGIES;
+    return [value];
+  });
+  const seed = options.seed === undefined ? SeededRandom.generateSeed() : SeededRandom.normalizeSeed(options.seed);
+
+  const hostOptions = {};
+  if (options.preference !== undefined) {
+    hostOptions.preference = Number(options.preference);
+  }
+  const switchProbabilities = splitList(options['switch-probability'] ?? '0.5').map(parseProbability);
+
+  hosts.forEach(host => {
+    if (!HOST_MODELS[host]) {
+      throw new Error(`Unknown host model: ${host}`);
+    }
+  });
+  strategies.forEach(strategy => {
+    if (!BUILT_IN_STRATEGIES.includes(strategy)) {
+      throw new Error(`Invalid strategy: ${strategy}`);
+    }
+  });
+
+  const format = options.format ?? inferFormat(options.output);
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Invalid format: ${format}`);
+  }
+
+  const runs = [];
+  for (const doorCount of doorCounts) {
+    for (const hostModel of hosts) {
+      for (const strategy of strategies) {
+        const strategyOptionsList = strategy === 'switch-probability' ?
+          switchProbabilities.map(probability => ({ probability })) : [{}];
+        for (const strategyOptions of strategyOptionsList) {
+          runs.push({
+            rounds,
+            doorCount,
+            revealCount: revealCount ?? doorCount - 2,
+            hostModel,
+            hostOptions: hostModel === 'preferential' ? hostOptions : {},
+            strategy,
+            strategyOptions,
+            seed
+          });
+        }
+      }
+    }
+  }
+
+  return { runs, format, output: options.output ?? null, quiet: Boolean(options.quiet) };
+}
+
+/**
+ * Run every configuration in turn
+ * @param {Array} runs - Configurations from buildRuns()
+ * @param {function} [onProgress] - Called with (runIndex, partialResult)
+ * @returns {Promise<Array>} - One result per configuration
+ */
+export async function runAll(runs, onProgress) {
+  const results = [];
+
+  for (let i = 0; i < runs.length; i++) {
+    // Invalid door/host combinations throw here, before any rounds are played
+    const simulation = new MontyHallSimulation({ ...runs[i], batchSize: 50000 });
+    results.push(await simulation.run({
+      onProgress: onProgress ? (partial) => onProgress(i, partial) : undefined
+    }));
+  }
+
+  return results;
+}
+
+/**
+ * Flatten a result into the columns used by the table and CSV reports
+ */
+function toRow(result) {
+  return {
+    doors: result.doorCount,
+    opened: result.revealCount,
+    host: result.hostModel,
+    strategy: result.strategy,
+    switchProbability: result.strategyOptions.probability ?? null,
+    rounds: result.completed,
+    wins: result.wins,
+    losses: result.losses,
+    voided: result.voided,
+    winRate: result.winRate,
+    seed: result.seed
+  };
+}
+
+/**
+ * Format results as an aligned text table
+ * @param {Array} results - Simulation results
+ * @returns {string} - Table text
+ */
+export function formatTable(results) {
+  const header = ['Doors', 'Opened', 'Host', 'Strategy', 'Rounds', 'Wins', 'Losses', 'Voided', 'Win rate'];
+  const rows = results.map(toRow).map(row => [
+    String(row.doors),
+    String(row.opened),
+    getHostName(row.host),
+    row.switchProbability === null ? row.strategy : `${row.strategy} (p=${row.switchProbability})`,
+    row.rounds.toLocaleString('en-US'),
+    row.wins.toLocaleString('en-US'),
+    row.losses.toLocaleString('en-US'),
+    row.voided.toLocaleString('en-US'),
+    `${(row.winRate * 100).toFixed(2)}%`
+  ]);
+
+  const widths = header.map((title, col) => Math.max(title.length, ...rows.map(row => row[col].length)));
+  // Text columns are left-aligned, numbers right-aligned
+  const textColumns = [2, 3];
+  const formatLine = (cells) => cells
+    .map((cell, col) => textColumns.includes(col) ? cell.padEnd(widths[col]) : cell.padStart(widths[col]))
+    .join('  ');
+
+  const seedNote = results.length > 0 ? `\nSeed: ${results[0].seed}` : '';
+  return [formatLine(header), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(formatLine)].join('\n') + seedNote;
+}
+
+/**
+ * Format results as CSV
+ * @param {Array} results - Simulation results
+ * @returns {string} - CSV text with a header row
+ */
+export function formatCsv(results) {
+  const rows = results.map(toRow);
+  const columns = ['doors', 'opened', 'host', 'strategy', 'switchProbability', 'rounds', 'wins', 'losses', 'voided', 'winRate', 'seed'];
+  return [columns.join(','), ...rows.map(row => columns.map(column => row[column] ?? '').join(','))].join('\n') + '\n';
+}
+
+/**
+ * Format results as JSON
+ * @param {Array} results - Simulation results
+ * @returns {string} - Pretty-printed JSON
+ */
+export function formatJson(results) {
+  return JSON.stringify({ generated: new Date().toISOString(), results }, null, 2) + '\n';
+}
+
+/**
+ * Command-line entry point
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Promise<number>} - Process exit code
+ */
+export async function main(argv) {
+  let config;
+  try {
+    const options = parseArgs(argv);
+    if (options.help) {
+      process.stdout.write(HELP);
+      return 0;
+    }
+    config = buildRuns(options);
+  } catch (error) {
+    process.stderr.write(`Error: ${error.message}\n\nRun with --help for usage.\n`);
+    return 1;
+  }
+
+  const showProgress = process.stderr.isTTY;
+  let results;
+  try {
+    results = await runAll(config.runs, showProgress ? (index, partial) => {
+      const percent = Math.floor(partial.completed / partial.rounds * 100);
+      process.stderr.write(`\rRunning ${index + 1}/${config.runs.length}: ${percent}%`);
+    } : undefined);
+  } catch (error) {
+    if (showProgress) process.stderr.write('\n');
+    process.stderr.write(`Error: ${error.message}\n`);
+    return 1;
+  }
+  if (showProgress) process.stderr.write('\r\x1b[K');
+
+  const formatters = { table: formatTable, json: formatJson, csv: formatCsv };
+  const report = formatters[config.format](results);
+
+  if (config.output) {
+    try {
+      writeFileSync(config.output, config.format === 'table' ? report + '\n' : report);
+    } catch (error) {
+      process.stderr.write(`Error: ${error.message}\n`);
+      return 1;
+    }
+    if (!config.quiet) {
+      process.stdout.write(formatTable(results) + '\n');
+      process.stdout.write(`Report written to ${config.output}\n`);
+    }
+  } else {
+    process.stdout.write(config.format === 'table' ? report + '\n' : report);
+  }
+
+  return 0;
+}
+
+/**
+ * Pick a report format from an output file extension
+ */
+function inferFormat(output) {
+  const extension = output ? extname(output).slice(1).toLowerCase() : '';
+  return FORMATS.includes(extension) ? extension : 'table';
+}
+
+/**
+ * Split a comma-separated option value
+ */
+function splitList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a positive integer option
+ */
+function parseInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`--${name} must be a positive integer (got "${value}")`);
+  }
+  return number;
+}
+
+/**
+ * Parse a probability option, from 0 to 1
+ */
+function parseProbability(value) {
+  const number = Number(value);
+  if (!(number >= 0 && number <= 1)) {
+    throw new Error(`--switch-probability must be a number between 0 and 1 (got "${value}")`);
+  }
+  return number;
+}
+
+// Only run when executed directly (not when imported)
+if (process.argv[1] && realpathSync(process.argv[1]) === realpathSync(fileURLToPath(import.meta.url))) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }, error => {
+    process.stderr.write(`Error: ${error.message}\n`);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,62 @@
+/**
+ * Screen-Reader Announcer for Monty Hall Simulator
+ * Speaks messages through two visually hidden ARIA live regions: a polite one for
+ * progress and an assertive one for results and errors
+ */
+
+// Pause between clearing a region and filling it, so repeating the same text is still read out
+const ANNOUNCE_DELAY_MS = 50;
+
+export class Announcer {
+  /**
+   * @param {object} [options]
+   * @param {HTMLElement} [options.polite] - Live region with aria-live="polite"
+   * @param {HTMLElement} [options.assertive] - Live region with aria-live="assertive"
+   */
+  constructor({
+    polite = document.getElementById('announcer-polite'),
+    assertive = document.getElementById('announcer-assertive')
+  } = {}) {
+    this.regions = { polite, assertive };
+    this.pending = { polite: [], assertive: [] };
+    this.timers = {};
+    this.lastMessage = null; // { message, priority } most recently spoken
+  }
+
+  /**
+   * Read a message out. Messages sent in quick succession are read together.
+   * @param {string} message - Text to read
+   * @param {string} [priority='polite'] - 'polite' waits for the screen reader to finish;
+   *   'assertive' interrupts it
+   */
+  announce(message, priority = 'polite') {
+    const region = this.regions[priority];
+    if (!region || !message) return;
+
+    this.pending[priority].push(message);
+    if (this.timers[priority]) return;
+
+    region.textContent = '';
+    this.timers[priority] = setTimeout(() => {
+      const text = this.pending[priority].join(' ');
+      this.pending[priority] = [];
+      this.timers[priority] = null;
+      region.textContent = text;
+      this.lastMessage = { message: text, priority };
+    }, ANNOUNCE_DELAY_MS);
+  }
+
+  /**
+   * Empty both regions and drop anything waiting to be read
+   */
+  clear() {
+    for (const priority of Object.keys(this.regions)) {
+      clearTimeout(this.timers[priority]);
+      this.timers[priority] = null;
+      this.pending[priority] = [];
+      if (this.regions[priority]) {
+        this.regions[priority].textContent = '';
+      }
+    }
+  }
+}
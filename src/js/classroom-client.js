@@ -0,0 +1,226 @@
+/**
+ * Classroom Client for Monty Hall Simulator
+ * Sends each round the student finishes to the teacher's classroom relay. Rounds that
+ * cannot be delivered (e.g. the Wi-Fi drops) are queued and sent with the next one.
+ */
+
+import { GAME_EVENTS } from './game-state.js';
+import { CLASSROOM_PATHS, createClassroomRound, validatePlayerName } from './classroom.js';
+
+// Undelivered rounds kept for retrying; older ones are dropped beyond this
+const MAX_PENDING_ROUNDS = 100;
+
+/**
+ * Connection states reported to onStatus
+ */
+export const CLASSROOM_STATUS = Object.freeze({
+  DISCONNECTED: 'disconnected', // Not in a classroom
+  CONNECTED: 'connected', // Rounds are being delivered
+  OFFLINE: 'offline' // Joined, but the relay cannot be reached; rounds are queued
+});
+
+export class ClassroomClient {
+  /**
+   * @param {MontyHallGame} game - Game whose finished rounds are sent
+   * @param {object} [options]
+   * @param {StorageAdapter} [options.storage] - Where the player's details are saved; kept in memory if omitted
+   * @param {function} [options.onStatus] - Called with getStatus() whenever it changes
+   */
+  constructor(game, { storage = null, onStatus } = {}) {
+    this.game = game;
+    this.storage = storage;
+    this.storageKey = 'montyHallClassroom';
+    this.onStatus = onStatus;
+
+    this.player = { id: createPlayerId(), name: '' };
+    this.server = '';
+    this.status = CLASSROOM_STATUS.DISCONNECTED;
+    this.pending = [];
+    this.sent = 0;
+    this.flushing = null;
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Load the saved player details, and rejoin the classroom if the player was in one
+   * @returns {Promise<object>} - getStatus()
+   */
+  async load() {
+    try {
+      const saved = await this.storage?.get(this.storageKey);
+      if (saved && typeof saved === 'object') {
+        if (typeof saved.id === 'string') this.player.id = saved.id;
+        if (typeof saved.name === 'string') this.player.name = saved.name;
+        if (typeof saved.server === 'string') this.server = saved.server;
+        if (saved.joined && this.server && this.player.name) {
+          await this.join(this.server, this.player.name);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading classroom settings:', error);
+    }
+    return this.getStatus();
+  }
+
+  /**
+   * Join a classroom. The relay is contacted first, so a wrong address is reported
+   * straight away rather than when the first round is lost.
+   * @param {string} server - Relay address, e.g. http://192.168.1.20:8090
+   * @param {string} name - Player's name as shown on the teacher's dashboard
+   * @returns {Promise<string|null>} - Problem joining, or null on success
+   */
+  async join(server, name) {
+    const nameError = validatePlayerName(name);
+    if (nameError) {
+      return nameError;
+    }
+
+    let origin;
+    try {
+      origin = new URL(/^https?:\/\//i.test(server.trim()) ? server.trim() : `http://${server.trim()}`).origin;
+    } catch {
+      return `"${server}" is not a server address`;
+    }
+
+    try {
+      const response = await fetch(origin + CLASSROOM_PATHS.status);
+      if (!response.ok) {
+        throw new Error(`status ${response.status}`);
+      }
+    } catch (error) {
+      console.error('Could not reach the classroom relay:', error);
+      return `Could not reach a classroom at ${origin}`;
+    }
+
+    this.server = origin;
+    this.player.name = name.trim();
+    if (!this.unsubscribe) {
+      this.unsubscribe = this.game.on(GAME_EVENTS.GAME_FINISHED, ({ state }) => {
+        // What-if replays after an undo are not real rounds, as in the local stats
+        if (!state.counterfactual) {
+          this.sendRound(state);
+        }
+      });
+    }
+    this.setStatus(CLASSROOM_STATUS.CONNECTED);
+    await this.save(true);
+    this.flush();
+    return null;
+  }
+
+  /**
+   * Leave the classroom. Rounds not yet delivered are discarded.
+   * @returns {Promise<void>}
+   */
+  async leave() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    this.pending = [];
+    this.sent = 0;
+    this.setStatus(CLASSROOM_STATUS.DISCONNECTED);
+    await this.save(false);
+  }
+
+  /**
+   * Queue a finished round and try to deliver everything queued
+   * @param {object} state - Game state from getGameState()
+   * @returns {Promise<void>} - Settles once this delivery attempt is over
+   */
+  sendRound(state) {
+    this.pending.push(createClassroomRound(state, this.player));
+    if (this.pending.length > MAX_PENDING_ROUNDS) {
+      this.pending.splice(0, this.pending.length - MAX_PENDING_ROUNDS);
+    }
+    return this.flush();
+  }
+
+  /**
+   * Deliver queued rounds in order, stopping at the first network failure
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.deliverPending().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  /**
+   * Post queued rounds one at a time
+   */
+  async deliverPending() {
+    while (this.pending.length > 0 && this.status !== CLASSROOM_STATUS.DISCONNECTED) {
+      const round = this.pending[0];
+      let response;
+      try {
+        response = await fetch(this.server + CLASSROOM_PATHS.rounds, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(round)
+        });
+      } catch (error) {
+        console.error('Could not send round to the classroom relay:', error);
+        if (this.status !== CLASSROOM_STATUS.DISCONNECTED) {
+          this.setStatus(CLASSROOM_STATUS.OFFLINE);
+        }
+        return;
+      }
+      if (this.status === CLASSROOM_STATUS.DISCONNECTED) {
+        return; // Left while the round was on its way
+      }
+
+      // A round the relay rejects will never be accepted, so it is dropped rather than retried
+      if (!response.ok) {
+        console.error('Classroom relay rejected round:', response.status, await response.json().catch(() => null));
+      } else {
+        this.sent++;
+      }
+      if (this.pending[0] === round) {
+        this.pending.shift();
+      }
+      this.setStatus(CLASSROOM_STATUS.CONNECTED);
+    }
+  }
+
+  /**
+   * Get the connection state
+   * @returns {object} - { status, server, name, sent, pending }
+   */
+  getStatus() {
+    return {
+      status: this.status,
+      server: this.server,
+      name: this.player.name,
+      sent: this.sent,
+      pending: this.pending.length
+    };
+  }
+
+  /**
+   * Update the connection state and notify the listener
+   */
+  setStatus(status) {
+    this.status = status;
+    this.onStatus?.(this.getStatus());
+  }
+
+  /**
+   * Save the player's details
+   */
+  async save(joined) {
+    try {
+      await this.storage?.set(this.storageKey, { ...this.player, server: this.server, joined });
+    } catch (error) {
+      console.error('Error saving classroom settings:', error);
+    }
+  }
+}
+
+/**
+ * Make an id that tells this player's rounds apart from others with the same name
+ */
+function createPlayerId() {
+  return globalThis.crypto?.randomUUID?.() ?? Math.random().toString(36).slice(2);
+}
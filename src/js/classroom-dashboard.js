@@ -0,0 +1,295 @@
+/**
+ * Classroom Dashboard for Monty Hall Simulator
+ * The teacher's live view of the classroom relay: pooled stay and switch results for
+ * the whole room, the running win rates, and each player's rounds. Opened from the
+ * link the relay prints (classroom.html#key=…), which carries the key for clearing results.
+ */
+
+import { GameStats } from './stats.js';
+import { MemoryStorageAdapter } from './storage.js';
+import { ConvergenceChart } from './convergence-chart.js';
+import { formatPValue } from './inference.js';
+import { getHostName } from './hosts.js';
+import {
+  CLASSROOM_PATHS, CLASSROOM_EVENTS, CLASSROOM_KEY_HEADER, MAX_CLASSROOM_ROUNDS, summarizePlayers
+} from './classroom.js';
+import { escapeHtml } from './text.js';
+
+export class ClassroomDashboard {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.server] - Relay address (defaults to the page's own origin)
+   * @param {string} [options.key] - Teacher key; without it results cannot be cleared
+   */
+  constructor({ server = window.location.origin, key = null } = {}) {
+    this.server = server;
+    this.key = key;
+    this.rounds = [];
+    // Pooled rounds go through the same stats code as a single player's
+    this.stats = new GameStats({ storage: new MemoryStorageAdapter(), historyLimit: MAX_CLASSROOM_ROUNDS });
+    this.chart = null;
+    this.source = null;
+    this.elements = {};
+
+    this.init();
+  }
+
+  /**
+   * Initialize the dashboard and connect to the relay
+   */
+  init() {
+    this.cacheElements();
+    this.bindEvents();
+    this.chart = new ConvergenceChart(this.stats);
+    this.render();
+    this.connect();
+  }
+
+  /**
+   * Cache dashboard DOM elements
+   */
+  cacheElements() {
+    this.elements = {
+      connection: document.getElementById('classroom-connection'),
+      total: document.getElementById('classroom-total'),
+      playersCount: document.getElementById('classroom-players-count'),
+      stay: document.getElementById('classroom-stay'),
+      switch: document.getElementById('classroom-switch'),
+      comparison: document.getElementById('classroom-comparison'),
+      setups: document.getElementById('classroom-setups'),
+      players: document.getElementById('classroom-players'),
+      resetButton: document.getElementById('classroom-reset')
+    };
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    const { resetButton } = this.elements;
+    if (resetButton) {
+      resetButton.hidden = !this.key;
+      resetButton.addEventListener('click', () => {
+        if (confirm('Clear every player\'s results? This cannot be undone.')) {
+          this.clearResults();
+        }
+      });
+    }
+  }
+
+  /**
+   * Follow the relay's event stream. EventSource reconnects by itself, and the relay
+   * sends a full snapshot on each connect, so nothing is missed while disconnected.
+   */
+  connect() {
+    this.source = new EventSource(this.server + CLASSROOM_PATHS.events);
+
+    this.source.addEventListener('open', () => this.showConnection('Live: results appear as students finish each round'));
+    this.source.addEventListener('error', () => this.showConnection(`Cannot reach the classroom relay at ${this.server}; retrying…`, true));
+
+    this.source.addEventListener(CLASSROOM_EVENTS.SNAPSHOT, (event) => {
+      this.setRounds(JSON.parse(event.data).rounds);
+    });
+    this.source.addEventListener(CLASSROOM_EVENTS.ROUND, (event) => {
+      const rounds = [...this.rounds, JSON.parse(event.data).round];
+      this.setRounds(rounds.slice(-MAX_CLASSROOM_ROUNDS));
+    });
+    this.source.addEventListener(CLASSROOM_EVENTS.RESET, () => this.setRounds([]));
+  }
+
+  /**
+   * Stop following the relay
+   */
+  disconnect() {
+    this.source?.close();
+    this.source = null;
+  }
+
+  /**
+   * Ask the relay to clear every result
+   * @returns {Promise<boolean>} - True if the results were cleared
+   */
+  async clearResults() {
+    try {
+      const response = await fetch(this.server + CLASSROOM_PATHS.rounds, {
+        method: 'DELETE',
+        headers: { [CLASSROOM_KEY_HEADER]: this.key ?? '' }
+      });
+      if (!response.ok) {
+        throw new Error(`status ${response.status}`);
+      }
+      return true;
+    } catch (error) {
+      console.error('Could not clear classroom results:', error);
+      this.showConnection('The results could not be cleared. Check that this page was opened from the link the relay printed.', true);
+      return false;
+    }
+  }
+
+  /**
+   * Replace the pooled rounds and redraw
+   * @param {Array} rounds - Rounds from the relay, oldest first
+   */
+  setRounds(rounds) {
+    this.rounds = rounds;
+
+    const history = rounds.map(({ player, ...record }) => record);
+    this.stats.applyImport({
+      ...this.stats.getDefaultStats(),
+      ...this.stats.deriveStatsFromHistory(history),
+      history
+    }, 'replace');
+    this.render();
+  }
+
+  /**
+   * Redraw the totals, setups note and players table
+   */
+  render() {
+    const { total, playersCount, comparison } = this.elements;
+    const stats = this.stats.getStats();
+    const players = summarizePlayers(this.rounds);
+
+    if (total) {
+      total.textContent = stats.totalGames.toLocaleString();
+    }
+    if (playersCount) {
+      playersCount.textContent = players.length === 0 ? 'No players yet' :
+        `${players.length} ${players.length === 1 ? 'player' : 'players'}`;
+    }
+
+    const result = this.stats.getStrategyComparison();
+    this.renderStrategy('stay', 'Stay Strategy', result);
+    this.renderStrategy('switch', 'Switch Strategy', result);
+    if (comparison) {
+      comparison.innerHTML = this.formatComparison(result);
+    }
+
+    this.renderSetups();
+    this.renderPlayers(players);
+  }
+
+  /**
+   * Show one strategy's pooled win rate
+   */
+  renderStrategy(strategy, label, comparison) {
+    const card = this.elements[strategy];
+    if (!card) return;
+
+    const { played, won, winRate } = this.stats.getStats()[strategy];
+    const interval = comparison.intervals?.[strategy];
+    card.innerHTML = `
+      <div class="strategy-name">${label}</div>
+      <div class="strategy-details">
+        <span class="win-rate">${(winRate * 100).toFixed(1)}%</span>
+        <span class="games-played">${won}/${played} wins</span>
+        ${interval && played > 0 ?
+          `<span class="confidence-interval">95% CI: ${(interval.lower * 100).toFixed(0)}–${(interval.upper * 100).toFixed(0)}%</span>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Describe how far apart the class's stay and switch rates are
+   * @param {object} comparison - Result of GameStats.getStrategyComparison()
+   * @returns {string} - HTML for the comparison card
+   */
+  formatComparison(comparison) {
+    if (!comparison.hasData) {
+      return 'Waiting for the first rounds…';
+    }
+    if (!comparison.test) {
+      return '<div class="confidence-note">The class needs rounds with both strategies to compare them</div>';
+    }
+
+    const { better, difference, significant, test } = comparison;
+    const headline = better === 'tie' ?
+      `Both strategies are tied (${formatPValue(test.pValue)})` :
+      `${better === 'switch' ? 'Switching' : 'Staying'} is ahead by ${difference} points, ${formatPValue(test.pValue)}`;
+    const cssClass = !significant ? 'tie-strategy' : better === 'switch' ? 'better-strategy' : 'worse-strategy';
+
+    return `
+      <span class="${cssClass}">${headline}</span>
+      <div class="confidence-note">${significant ?
+        'Significant: more than chance would explain' :
+        'Not significant yet: the gap could still be noise'}</div>
+    `;
+  }
+
+  /**
+   * Point out when rounds were played with setups other than the classic one, since
+   * the theory lines on the chart are for three doors and the standard host
+   */
+  renderSetups() {
+    const { setups } = this.elements;
+    if (!setups) return;
+
+    const counts = new Map();
+    for (const round of this.rounds) {
+      const setup = `${round.doorCount} doors, host opens ${round.revealCount} (${getHostName(round.hostModel)})`;
+      counts.set(setup, (counts.get(setup) ?? 0) + 1);
+    }
+
+    const classic = this.rounds.every(round =>
+      round.doorCount === 3 && round.revealCount === 1 && round.hostModel === 'standard');
+    setups.hidden = classic;
+    if (!classic) {
+      const list = [...counts].map(([setup, count]) => `${setup}: ${count}`).join('; ');
+      setups.textContent = `Not every round used the classic three doors and standard host, so the rates may not settle at 1/3 and 2/3. Setups played: ${list}.`;
+    }
+  }
+
+  /**
+   * Show each player's rounds
+   */
+  renderPlayers(players) {
+    const { players: container } = this.elements;
+    if (!container) return;
+
+    if (players.length === 0) {
+      container.innerHTML = '<p class="history-empty">No rounds yet. Students join from the Classroom Mode panel in the simulator.</p>';
+      return;
+    }
+
+    const rate = (won, played) => played > 0 ? `${(won / played * 100).toFixed(0)}%` : '–';
+    container.innerHTML = `
+      <table class="history-table">
+        <thead>
+          <tr><th>Player</th><th>Rounds</th><th>Stayed</th><th>Switched</th><th>Won</th></tr>
+        </thead>
+        <tbody>
+          ${players.map(player => `
+            <tr>
+              <td>${escapeHtml(player.name)}</td>
+              <td>${player.played}${player.voided > 0 ? ` (+${player.voided} voided)` : ''}</td>
+              <td>${player.stay}</td>
+              <td>${player.switch}</td>
+              <td>${rate(player.won, player.played)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Show the connection state
+   */
+  showConnection(message, isError = false) {
+    const { connection } = this.elements;
+    if (!connection) return;
+
+    connection.textContent = message;
+    connection.classList.toggle('import-error', isError);
+  }
+}
+
+// Start the dashboard when loaded as the classroom page's script
+if (typeof document !== 'undefined' && document.getElementById('classroom-connection')) {
+  const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+  const query = new URLSearchParams(window.location.search);
+  window.classroomDashboard = new ClassroomDashboard({
+    server: query.get('server') || window.location.origin,
+    key: params.get('key')
+  });
+}
@@ -0,0 +1,143 @@
+/**
+ * Classroom Panel for Monty Hall Simulator
+ * Lets a student join the teacher's classroom relay under their name and shows
+ * whether their rounds are getting through
+ */
+
+import { CLASSROOM_STATUS } from './classroom-client.js';
+
+export class ClassroomPanel {
+  /**
+   * @param {ClassroomClient} client - Sends the student's rounds to the relay
+   */
+  constructor(client) {
+    this.client = client;
+    this.busy = false;
+    this.elements = {};
+
+    this.init();
+  }
+
+  /**
+   * Initialize the panel
+   */
+  init() {
+    this.cacheElements();
+    this.bindEvents();
+    this.render();
+
+    // Pages opened from the link the relay prints (…/?classroom) go straight to joining
+    if (new URLSearchParams(window.location.search).has('classroom')) {
+      this.elements.panel?.scrollIntoView?.();
+      this.elements.nameInput?.focus();
+    }
+  }
+
+  /**
+   * Cache panel DOM elements
+   */
+  cacheElements() {
+    this.elements = {
+      panel: document.getElementById('classroom-panel'),
+      serverInput: document.getElementById('classroom-server'),
+      nameInput: document.getElementById('classroom-name'),
+      joinButton: document.getElementById('classroom-join'),
+      leaveButton: document.getElementById('classroom-leave'),
+      status: document.getElementById('classroom-status')
+    };
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    const { serverInput, nameInput, joinButton, leaveButton } = this.elements;
+
+    joinButton?.addEventListener('click', () => this.join());
+    leaveButton?.addEventListener('click', () => this.leave());
+    [serverInput, nameInput].forEach(input => input?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        this.join();
+      }
+    }));
+  }
+
+  /**
+   * Join the classroom with the address and name entered
+   * @returns {Promise<boolean>} - True if joined
+   */
+  async join() {
+    const { serverInput, nameInput } = this.elements;
+    if (this.busy || !serverInput || !nameInput) return false;
+
+    this.busy = true;
+    this.render();
+    this.showMessage('Connecting…');
+    const error = await this.client.join(serverInput.value, nameInput.value);
+    this.busy = false;
+    this.render();
+
+    if (error) {
+      this.showMessage(error, true);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Leave the classroom
+   * @returns {Promise<void>}
+   */
+  async leave() {
+    await this.client.leave();
+    this.render();
+    this.showMessage('You have left the classroom. Your rounds are only counted on this page.');
+  }
+
+  /**
+   * Show the form or the connection state
+   */
+  render() {
+    const { serverInput, nameInput, joinButton, leaveButton } = this.elements;
+    const { status, server, name, sent, pending } = this.client.getStatus();
+    const joined = status !== CLASSROOM_STATUS.DISCONNECTED;
+
+    if (serverInput) {
+      // The relay serves the simulator itself, so the page's own address is the usual answer
+      if (!serverInput.value) {
+        serverInput.value = server || (/^https?:$/.test(window.location.protocol) ? window.location.origin : '');
+      }
+      serverInput.disabled = joined || this.busy;
+    }
+    if (nameInput) {
+      if (!nameInput.value) {
+        nameInput.value = name;
+      }
+      nameInput.disabled = joined || this.busy;
+    }
+    if (joinButton) {
+      joinButton.hidden = joined;
+      joinButton.disabled = this.busy;
+    }
+    if (leaveButton) {
+      leaveButton.hidden = !joined;
+    }
+
+    if (status === CLASSROOM_STATUS.CONNECTED) {
+      this.showMessage(`Playing as ${name} in the classroom at ${server}. Rounds sent: ${sent}.`);
+    } else if (status === CLASSROOM_STATUS.OFFLINE) {
+      this.showMessage(`Cannot reach the classroom at ${server}. ${pending} ${pending === 1 ? 'round is' : 'rounds are'} waiting and will be sent with your next round.`, true);
+    }
+  }
+
+  /**
+   * Show a message below the form
+   */
+  showMessage(message, isError = false) {
+    const { status } = this.elements;
+    if (!status) return;
+
+    status.textContent = message;
+    status.className = isError ? 'import-message import-error' : 'import-message';
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Classroom Protocol for Monty Hall Simulator
+ * Shared by the classroom relay server, the students' pages and the teacher dashboard.
+ * Students post each finished round; the relay stores rounds in the same shape as the
+ * stats history log, plus who played them, and streams them to dashboards as
+ * Server-Sent Events.
+ */
+
+import { validateHistoryRecord } from './stats-schema.js';
+
+// Relay endpoints, relative to the server address
+export const CLASSROOM_PATHS = {
+  status: '/api/status', // GET: { rounds, players }
+  rounds: '/api/rounds', // GET: { rounds }; POST: add a round; DELETE: clear (needs the teacher key)
+  events: '/api/events' // GET: Server-Sent Events stream
+};
+
+// Events sent on the events stream
+export const CLASSROOM_EVENTS = {
+  SNAPSHOT: 'snapshot', // { rounds }, sent on connect
+  ROUND: 'round', // { round }
+  RESET: 'reset' // {}
+};
+
+// Header carrying the teacher key for clearing the results
+export const CLASSROOM_KEY_HEADER = 'X-Classroom-Key';
+
+// Rounds kept by the relay; the oldest are dropped beyond this
+export const MAX_CLASSROOM_ROUNDS = 5000;
+
+// Longest player name accepted
+const MAX_PLAYER_NAME_LENGTH = 40;
+
+/**
+ * Describe a finished round for posting to the relay
+ * @param {object} state - Game state from getGameState(), in the 'finished' or 'voided' phase
+ * @param {object} player - { id, name }
+ * @returns {object} - Round as posted to CLASSROOM_PATHS.rounds
+ */
+export function createClassroomRound(state, player) {
+  return {
+    player: { id: player.id, name: player.name },
+    carDoor: state.carDoor,
+    initialPick: state.playerChoice,
+    revealedDoors: [...state.hostRevealedDoors],
+    finalPick: state.voided ? null : state.finalChoice,
+    strategy: state.voided ? null : state.playerStrategy,
+    outcome: state.voided ? 'voided' : state.won ? 'won' : 'lost',
+    hostModel: state.hostModel,
+    doorCount: state.doorCount,
+    revealCount: state.revealCount,
+    seed: state.seed
+  };
+}
+
+/**
+ * Check a round posted by a student. The relay assigns the id and timestamp.
+ * @param {object} data - Posted round
+ * @param {object} stamp - { id, timestamp } to give the round
+ * @returns {object} - { round, errors }; round is null if there are errors
+ */
+export function validateClassroomRound(data, { id, timestamp }) {
+  const errors = [];
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    return { round: null, errors: ['round: expected an object'] };
+  }
+
+  const player = validatePlayer(data.player, errors);
+  const record = validateHistoryRecord({ ...data, id, timestamp }, 'round', errors);
+
+  if (errors.length > 0) {
+    return { round: null, errors };
+  }
+  return { round: { ...record, player }, errors };
+}
+
+/**
+ * Check a player's name
+ * @param {string} name - Proposed name
+ * @returns {string|null} - Problem with the name, or null if it is fine
+ */
+export function validatePlayerName(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return 'Enter your name';
+  }
+  if (name.trim().length > MAX_PLAYER_NAME_LENGTH) {
+    return `Names can be at most ${MAX_PLAYER_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Add up each player's rounds
+ * @param {Array} rounds - Rounds from the relay
+ * @returns {Array} - { id, name, played, won, voided, stay, switch } per player, most rounds first
+ */
+export function summarizePlayers(rounds) {
+  const players = new Map();
+
+  for (const round of rounds) {
+    if (!players.has(round.player.id)) {
+      players.set(round.player.id, { id: round.player.id, name: round.player.name, played: 0, won: 0, voided: 0, stay: 0, switch: 0 });
+    }
+    const player = players.get(round.player.id);
+    player.name = round.player.name; // Latest name wins if a student renames
+
+    if (round.outcome === 'voided') {
+      player.voided++;
+    } else {
+      player.played++;
+      player[round.strategy]++;
+      if (round.outcome === 'won') player.won++;
+    }
+  }
+
+  return [...players.values()].sort((a, b) => b.played - a.played || a.name.localeCompare(b.name));
+}
+
+/**
+ * Check the player attached to a posted round
+ */
+function validatePlayer(player, errors) {
+  if (typeof player !== 'object' || player === null) {
+    errors.push('round.player: expected { id, name }');
+    return null;
+  }
+  if (typeof player.id !== 'string' || !/^[\w-]{1,64}$/.test(player.id)) {
+    errors.push('round.player.id: expected up to 64 letters, digits, - or _');
+  }
+  const nameError = validatePlayerName(player.name);
+  if (nameError) {
+    errors.push(`round.player.name: ${nameError}`);
+  }
+  return { id: player.id, name: typeof player.name === 'string' ? player.name.trim() : '' };
+}
@@ -0,0 +1,287 @@
+/**
+ * Convergence Chart for Monty Hall Simulator
+ * Plots running stay and switch win rates against games played as an SVG line chart,
+ * with 95% confidence bands and dashed reference lines at the long-run rates for the setup played
+ */
+
+import { wilsonInterval } from './inference.js';
+import { createHost } from './hosts.js';
+import { getStrategyWinProbabilities } from './probability.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const STRATEGIES = ['stay', 'switch'];
+
+// Chart geometry in SVG user units; the SVG scales to its container
+const WIDTH = 600;
+const HEIGHT = 260;
+const MARGIN = { top: 12, right: 16, bottom: 32, left: 44 };
+
+// Points drawn per line; longer series are thinned evenly
+const MAX_POINTS = 200;
+
+export class ConvergenceChart {
+  /**
+   * @param {GameStats} stats - Stats whose round history drives the "Your games" view
+   */
+  constructor(stats) {
+    this.stats = stats;
+    this.source = 'games'; // 'games' or 'simulation'
+    this.simulationResults = [];
+    this.elements = {};
+
+    this.init();
+  }
+
+  /**
+   * Initialize the chart
+   */
+  init() {
+    this.cacheElements();
+    this.bindEvents();
+    this.render();
+
+    // A newly recorded round switches back to the player's own games
+    this.stats.subscribe(() => {
+      this.source = 'games';
+      this.render();
+    });
+  }
+
+  /**
+   * Cache chart DOM elements
+   */
+  cacheElements() {
+    this.elements = {
+      chart: document.getElementById('convergence-chart'),
+      caption: document.getElementById('convergence-caption'),
+      sourceButtons: document.querySelectorAll('[data-convergence-source]')
+    };
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    this.elements.sourceButtons.forEach(button => {
+      button.addEventListener('click', () => this.setSource(button.dataset.convergenceSource));
+    });
+  }
+
+  /**
+   * Choose which results are plotted
+   * @param {string} source - 'games' for played rounds, 'simulation' for the last bulk simulation
+   */
+  setSource(source) {
+    this.source = source;
+    this.render();
+  }
+
+  /**
+   * Plot bulk simulation results (partial results may be passed while running)
+   * @param {Array} results - Results from MontyHallSimulation, one per strategy
+   */
+  showSimulation(results) {
+    this.simulationResults = results;
+    this.source = 'simulation';
+    this.render();
+  }
+
+  /**
+   * Build running win-rate series from the round history. When older rounds have
+   * been dropped from the log, the series start from the counts those rounds left behind.
+   * @returns {object} - { stay, switch } arrays of { played, wins }
+   */
+  getGamesSeries() {
+    const stats = this.stats.getStats();
+    const series = { stay: [], switch: [] };
+    const running = {};
+
+    for (const strategy of STRATEGIES) {
+      const logged = stats.history.filter(record => record.strategy === strategy && record.outcome !== 'voided');
+      running[strategy] = {
+        played: stats[strategy].played - logged.length,
+        wins: stats[strategy].won - logged.filter(record => record.outcome === 'won').length
+      };
+    }
+
+    for (const record of stats.history) {
+      const counts = running[record.strategy];
+      if (!counts || record.outcome === 'voided') continue;
+
+      counts.played++;
+      if (record.outcome === 'won') counts.wins++;
+      series[record.strategy].push({ ...counts });
+    }
+
+    return series;
+  }
+
+  /**
+   * Build win-rate series from simulation samples
+   * @returns {object} - { stay, switch } arrays of { played, wins }
+   */
+  getSimulationSeries() {
+    const series = { stay: [], switch: [] };
+    for (const result of this.simulationResults) {
+      series[result.strategy] = result.samples
+        .filter(sample => sample.played > 0)
+        .map(sample => ({ played: sample.played, wins: sample.wins }));
+    }
+    return series;
+  }
+
+  /**
+   * Get the long-run win rates the plotted results should settle at. Rounds played
+   * with different door counts or hosts settle at different rates, so a mix has none.
+   * @returns {object|null} - { stay, switch } probabilities, or null if there is no single setup
+   */
+  getReferenceRates() {
+    const setups = this.source === 'simulation' ?
+      this.simulationResults :
+      this.stats.getStats().history.filter(record => record.outcome !== 'voided' && STRATEGIES.includes(record.strategy));
+    const keys = new Set(setups.map(({ doorCount, revealCount, hostModel }) => `${doorCount}/${revealCount}/${hostModel}`));
+    if (keys.size !== 1) {
+      return null;
+    }
+
+    // Which goat a host prefers changes no strategy's overall rate, so host options don't matter
+    const { doorCount, revealCount, hostModel } = setups[0];
+    return getStrategyWinProbabilities({ doorCount, revealCount, host: createHost(hostModel) });
+  }
+
+  /**
+   * Redraw the chart for the current source
+   */
+  render() {
+    const { chart, caption, sourceButtons } = this.elements;
+    if (!chart) return;
+
+    sourceButtons.forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.convergenceSource === this.source));
+    });
+
+    const series = this.source === 'simulation' ? this.getSimulationSeries() : this.getGamesSeries();
+    const maxPlayed = Math.max(0, ...STRATEGIES.map(strategy => series[strategy].at(-1)?.played ?? 0));
+
+    const referenceRates = this.getReferenceRates();
+
+    chart.replaceChildren(this.draw(series, maxPlayed, referenceRates));
+
+    if (caption) {
+      if (maxPlayed === 0) {
+        caption.textContent = this.source === 'simulation' ?
+          'Run a bulk simulation to watch the win rates settle.' :
+          'Play some games to watch the win rates settle.';
+      } else {
+        const latest = STRATEGIES
+          .filter(strategy => series[strategy].length > 0)
+          .map(strategy => {
+            const point = series[strategy].at(-1);
+            return `${strategy} ${(point.wins / point.played * 100).toFixed(1)}% after ${point.played.toLocaleString()}`;
+          });
+        caption.textContent = `Running win rates: ${latest.join(', ')}. Shaded bands are 95% confidence intervals` +
+          (referenceRates ? '; dashed lines are the long-run rates for this setup.' : '.');
+      }
+    }
+  }
+
+  /**
+   * Draw the chart
+   * @param {object} series - { stay, switch } arrays of { played, wins }
+   * @param {number} maxPlayed - Largest x value
+   * @param {object|null} referenceRates - { stay, switch } rates to mark, or null for none
+   * @returns {SVGElement} - The chart
+   */
+  draw(series, maxPlayed, referenceRates) {
+    const svg = createSvgElement('svg', {
+      viewBox: `0 0 ${WIDTH} ${HEIGHT}`,
+      class: 'convergence-svg',
+      role: 'img',
+      'aria-label': 'Running win rates of the stay and switch strategies against games played'
+    });
+
+    const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+    const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const xMax = Math.max(1, maxPlayed);
+    const x = (played) => MARGIN.left + (played / xMax) * plotWidth;
+    const y = (rate) => MARGIN.top + (1 - rate) * plotHeight;
+
+    // Axes and gridlines
+    for (const rate of [0, 0.25, 0.5, 0.75, 1]) {
+      svg.appendChild(createSvgElement('line', {
+        x1: MARGIN.left, x2: WIDTH - MARGIN.right, y1: y(rate), y2: y(rate), class: 'convergence-grid'
+      }));
+      svg.appendChild(createSvgElement('text', {
+        x: MARGIN.left - 6, y: y(rate) + 4, class: 'convergence-label', 'text-anchor': 'end'
+      }, `${rate * 100}%`));
+    }
+    for (const played of [0, xMax / 2, xMax]) {
+      svg.appendChild(createSvgElement('text', {
+        x: x(played), y: HEIGHT - MARGIN.bottom + 16, class: 'convergence-label', 'text-anchor': 'middle'
+      }, Math.round(played).toLocaleString()));
+    }
+    svg.appendChild(createSvgElement('text', {
+      x: MARGIN.left + plotWidth / 2, y: HEIGHT - 4, class: 'convergence-label', 'text-anchor': 'middle'
+    }, 'Games played with each strategy'));
+
+    // Long-run rates for the setup played
+    for (const strategy of referenceRates ? STRATEGIES : []) {
+      const rate = referenceRates[strategy];
+      svg.appendChild(createSvgElement('line', {
+        x1: MARGIN.left, x2: WIDTH - MARGIN.right, y1: y(rate), y2: y(rate),
+        class: `convergence-reference ${strategy}-reference`
+      }));
+    }
+
+    for (const strategy of STRATEGIES) {
+      const points = thin(series[strategy]);
+      if (points.length === 0) continue;
+
+      const intervals = points.map(point => wilsonInterval(point.wins, point.played));
+      const upper = points.map((point, i) => `${x(point.played)},${y(intervals[i].upper)}`);
+      const lower = points.map((point, i) => `${x(point.played)},${y(intervals[i].lower)}`).reverse();
+
+      svg.appendChild(createSvgElement('polygon', {
+        points: [...upper, ...lower].join(' '),
+        class: `convergence-band ${strategy}-band`
+      }));
+      svg.appendChild(createSvgElement('polyline', {
+        points: points.map(point => `${x(point.played)},${y(point.wins / point.played)}`).join(' '),
+        class: `convergence-line ${strategy}-line`
+      }));
+    }
+
+    return svg;
+  }
+}
+
+/**
+ * Keep at most MAX_POINTS evenly spaced points, always including the last one
+ */
+function thin(points) {
+  if (points.length <= MAX_POINTS) {
+    return points;
+  }
+
+  const step = points.length / MAX_POINTS;
+  const thinned = [];
+  for (let i = 0; i < MAX_POINTS - 1; i++) {
+    thinned.push(points[Math.floor(i * step)]);
+  }
+  thinned.push(points[points.length - 1]);
+  return thinned;
+}
+
+/**
+ * Create an SVG element with attributes and optional text
+ */
+function createSvgElement(name, attributes, text) {
+  const element = document.createElementNS(SVG_NS, name);
+  for (const [key, value] of Object.entries(attributes)) {
+    element.setAttribute(key, value);
+  }
+  if (text !== undefined) {
+    element.textContent = text;
+  }
+  return element;
+}
@@ -0,0 +1,143 @@
+/**
+ * Outcome Enumeration for Monty Hall Simulator
+ * Lists every combination of car position, first pick and host move with its exact
+ * probability, using the host models' own move probabilities
+ */
+
+// Most host-move probabilities enumerateOutcomes() will evaluate; bigger setups are refused
+export const MAX_ENUMERATION_STEPS = 20000;
+
+/**
+ * Number of different moves the host could consider for one car position and pick:
+ * every set of revealCount unpicked doors, plus opening nothing and offering no switch
+ * @param {object} setup - { doorCount, revealCount }
+ * @returns {number} - Move count
+ */
+export function countHostMoves({ doorCount, revealCount }) {
+  let count = 1;
+  for (let i = 0; i < revealCount; i++) {
+    count = count * (doorCount - 1 - i) / (i + 1);
+  }
+  return Math.round(count) + 1;
+}
+
+/**
+ * Number of host-move probabilities a full enumeration has to evaluate
+ * @param {object} setup - { doorCount, revealCount }
+ * @returns {number} - Step count
+ */
+export function countEnumerationSteps(setup) {
+  return setup.doorCount * setup.doorCount * countHostMoves(setup);
+}
+
+/**
+ * Every move the host makes with non-zero probability for one car position and pick
+ * @param {object} round - { doorCount, revealCount, host, carDoor, playerChoice }
+ * @returns {Array} - Moves of { revealedDoors, offersSwitch, probability }
+ */
+export function enumerateHostMoves({ doorCount, revealCount, host, carDoor, playerChoice }) {
+  const unpicked = [];
+  for (let door = 0; door < doorCount; door++) {
+    if (door !== playerChoice) {
+      unpicked.push(door);
+    }
+  }
+
+  const candidates = [
+    ...combinations(unpicked, revealCount).map(revealedDoors => ({ revealedDoors, offersSwitch: true })),
+    { revealedDoors: [], offersSwitch: false }
+  ];
+
+  const round = { doorCount, revealCount, carDoor, playerChoice };
+  return candidates
+    .map(move => ({ ...move, probability: host.getActionProbability(round, move) }))
+    .filter(move => move.probability > 0);
+}
+
+/**
+ * List every way a round can play out, with the stay and switch result of each
+ * @param {object} setup
+ * @param {number} setup.doorCount - Doors in play
+ * @param {number} setup.revealCount - Goats the host is set to open
+ * @param {HostStrategy} setup.host - Host model
+ * @returns {object|null} - { rows, totals }, or null if the setup needs more than
+ *   MAX_ENUMERATION_STEPS evaluations. Each row is { carDoor, playerChoice, revealedDoors,
+ *   offersSwitch, probability, voided, stayWins, switchWins } where switchWins is the chance
+ *   that switching to a random closed door wins (players who are not offered a switch stay).
+ *   totals holds the stay and switch win rates and the voided share, counted like GameStats.
+ */
+export function enumerateOutcomes({ doorCount, revealCount, host }) {
+  if (countEnumerationSteps({ doorCount, revealCount }) > MAX_ENUMERATION_STEPS) {
+    return null;
+  }
+
+  const rows = [];
+  const closedDoors = doorCount - 1 - revealCount;
+
+  for (let carDoor = 0; carDoor < doorCount; carDoor++) {
+    for (let playerChoice = 0; playerChoice < doorCount; playerChoice++) {
+      const moves = enumerateHostMoves({ doorCount, revealCount, host, carDoor, playerChoice });
+
+      for (const move of moves) {
+        const voided = move.revealedDoors.includes(carDoor);
+        const stayWins = carDoor === playerChoice;
+        let switchWins;
+        if (voided) {
+          switchWins = null;
+        } else if (!move.offersSwitch) {
+          switchWins = stayWins ? 1 : 0;
+        } else {
+          switchWins = stayWins ? 0 : 1 / closedDoors;
+        }
+
+        rows.push({
+          carDoor,
+          playerChoice,
+          revealedDoors: move.revealedDoors,
+          offersSwitch: move.offersSwitch,
+          probability: move.probability / (doorCount * doorCount),
+          voided,
+          stayWins: voided ? null : stayWins,
+          switchWins
+        });
+      }
+    }
+  }
+
+  return { rows, totals: sumOutcomes(rows) };
+}
+
+/**
+ * Add up enumerated rows into overall win rates, leaving voided rounds out
+ */
+function sumOutcomes(rows) {
+  let voided = 0;
+  let stay = 0;
+  let switchWin = 0;
+
+  for (const row of rows) {
+    if (row.voided) {
+      voided += row.probability;
+    } else {
+      stay += row.stayWins ? row.probability : 0;
+      switchWin += row.switchWins * row.probability;
+    }
+  }
+
+  const counted = 1 - voided;
+  return { stay: stay / counted, switch: switchWin / counted, voided };
+}
+
+/**
+ * All subsets of `size` items, in ascending order
+ */
+function combinations(items, size) {
+  if (size === 0) return [[]];
+  const result = [];
+  items.forEach((item, i) => {
+    for (const rest of combinations(items.slice(i + 1), size - 1)) {
+      result.push([item, ...rest]);
+    }
+  });
+  return result;
+}
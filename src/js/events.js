@@ -0,0 +1,75 @@
+/**
+ * Event Emitter for Monty Hall Simulator
+ * Minimal named-event publish/subscribe, used by the game to announce its transitions
+ */
+
+export class EventEmitter {
+  constructor() {
+    this.eventListeners = new Map();
+  }
+
+  /**
+   * Listen for an event
+   * @param {string} event - Event name
+   * @param {function} listener - Called with the event's payload
+   * @returns {function} - Call to stop listening
+   */
+  on(event, listener) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Listen for the next occurrence of an event only
+   * @param {string} event - Event name
+   * @param {function} listener - Called with the event's payload
+   * @returns {function} - Call to stop listening
+   */
+  once(event, listener) {
+    const unsubscribe = this.on(event, (payload) => {
+      unsubscribe();
+      listener(payload);
+    });
+    return unsubscribe;
+  }
+
+  /**
+   * Stop listening for an event
+   * @param {string} event - Event name
+   * @param {function} listener - Listener passed to on()
+   */
+  off(event, listener) {
+    const listeners = this.eventListeners.get(event);
+    if (listeners) {
+      this.eventListeners.set(event, listeners.filter(existing => existing !== listener));
+    }
+  }
+
+  /**
+   * Check whether anything is listening for an event, to skip building unused payloads
+   * @param {string} event - Event name
+   * @returns {boolean} - True if there is at least one listener
+   */
+  hasListeners(event) {
+    return (this.eventListeners.get(event)?.length ?? 0) > 0;
+  }
+
+  /**
+   * Call every listener for an event. A listener that throws is logged and
+   * does not stop the others.
+   * @param {string} event - Event name
+   * @param {object} [payload] - Passed to each listener
+   */
+  emit(event, payload) {
+    for (const listener of this.eventListeners.get(event) ?? []) {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`Error in "${event}" listener:`, error);
+      }
+    }
+  }
+}
@@ -0,0 +1,318 @@
+/**
+ * Explain Mode for Monty Hall Simulator
+ * Annotates each door with its current chance of hiding the car and draws a tree
+ * of the cases for the round being played, so players can see why the odds after
+ * the host's move are not 50/50
+ */
+
+import { analyzeObservation, formatProbability, formatDoors } from './probability.js';
+import { countHostMoves, enumerateHostMoves } from './enumeration.js';
+
+// Largest number of possible host moves per car position that the tree lists one by one;
+// bigger games collapse into "the move you saw" and "any other move"
+const MAX_ENUMERATED_MOVES = 6;
+
+// Largest number of equally likely cases the tree counts in
+const MAX_CASES = 1000;
+
+// Appended to each door's accessible label while explain mode is on
+const CHANCE_LABEL_PREFIX = ' - Chance of the car: ';
+const CHANCE_LABEL_PATTERN = / - Chance of the car: .*$/;
+
+export class ExplainMode {
+  /**
+   * @param {MontyHallGame} game - Game whose current round is explained
+   */
+  constructor(game) {
+    this.game = game;
+    this.enabled = false;
+    this.elements = {};
+
+    this.init();
+  }
+
+  /**
+   * Initialize explain mode
+   */
+  init() {
+    this.cacheElements();
+    this.bindEvents();
+    this.render();
+  }
+
+  /**
+   * Cache explain mode DOM elements
+   */
+  cacheElements() {
+    this.elements = {
+      toggle: document.getElementById('explain-toggle'),
+      panel: document.getElementById('explain-panel'),
+      summary: document.getElementById('explain-summary'),
+      tree: document.getElementById('explain-tree'),
+      doorsContainer: document.getElementById('doors-container')
+    };
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    this.elements.toggle?.addEventListener('change', (e) => this.setEnabled(e.target.checked));
+  }
+
+  /**
+   * Turn explain mode on or off
+   * @param {boolean} enabled - Whether to show the explanation
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (this.elements.toggle) {
+      this.elements.toggle.checked = enabled;
+    }
+    this.render();
+  }
+
+  /**
+   * Work out every door's chance of hiding the car at the current phase of the round
+   * @returns {object|null} - Result of analyzeObservation after the host has acted, or
+   *   null before the pick and in voided rounds
+   */
+  getAnalysis() {
+    const state = this.game.getGameState();
+    if (state.playerChoice === null || state.voided) {
+      return null;
+    }
+
+    return analyzeObservation({
+      doorCount: state.doorCount,
+      revealCount: state.revealCount,
+      host: this.game.host,
+      playerChoice: state.playerChoice,
+      revealedDoors: state.hostRevealedDoors,
+      offersSwitch: state.switchOffered
+    });
+  }
+
+  /**
+   * Redraw the door badges, summary and case tree for the current game state.
+   * Called after every display update, since the UI re-renders door contents.
+   */
+  render() {
+    const { panel, summary, tree } = this.elements;
+    const doorElements = this.elements.doorsContainer?.querySelectorAll('.door') || [];
+
+    doorElements.forEach(door => {
+      door.querySelector('.door-probability')?.remove();
+      door.setAttribute('aria-label', (door.getAttribute('aria-label') || '').replace(CHANCE_LABEL_PATTERN, ''));
+    });
+    if (panel) {
+      panel.hidden = !this.enabled;
+    }
+    if (!this.enabled) return;
+
+    const state = this.game.getGameState();
+    const analysis = this.getAnalysis();
+
+    doorElements.forEach((doorElement, index) => {
+      const entry = analysis?.doors[index];
+      const probability = state.voided ? null : entry ? entry.posterior : 1 / state.doorCount;
+      if (probability === null || probability === undefined) return;
+
+      const badge = document.createElement('span');
+      badge.className = 'door-probability';
+      if (entry && probability > entry.prior) badge.classList.add('rising');
+      if (entry && probability < entry.prior) badge.classList.add('falling');
+      badge.textContent = formatProbability(probability);
+      badge.setAttribute('aria-hidden', 'true');
+      doorElement.appendChild(badge);
+
+      const label = doorElement.getAttribute('aria-label') || `Door ${index + 1}`;
+      doorElement.setAttribute('aria-label', `${label}${CHANCE_LABEL_PREFIX}${formatProbability(probability)}`);
+    });
+
+    if (summary) {
+      summary.innerHTML = this.describe(state, analysis);
+    }
+    if (tree) {
+      tree.innerHTML = analysis ? this.renderTree(state, analysis) : '';
+    }
+  }
+
+  /**
+   * Explain the door probabilities in words
+   * @param {object} state - Current game state
+   * @param {object|null} analysis - Result of getAnalysis()
+   * @returns {string} - HTML
+   */
+  describe(state, analysis) {
+    const { doorCount, playerChoice, hostRevealedDoors } = state;
+
+    if (state.voided) {
+      return `The host opened ${formatDoors(hostRevealedDoors)} and showed the car, ` +
+        'so there is nothing left to work out: this round does not count.';
+    }
+
+    if (!analysis) {
+      return `Before you pick, each of the ${doorCount} doors has the same probability, ` +
+        `<strong>${formatProbability(1 / doorCount)}</strong>, of hiding the car.`;
+    }
+
+    const pick = analysis.doors[playerChoice];
+    const closedGroups = analysis.groups.filter(group => group.role === 'closed');
+    const phase = state.gamePhase === 'finished' ? 'Before the final reveal, your' : 'Your';
+
+    if (!state.switchOffered) {
+      return `The host did not open any doors or offer a switch. ${this.game.host.name} only does that in ` +
+        `some situations, so it is evidence too: ${phase.toLowerCase()} door ${playerChoice + 1} ` +
+        `now has probability <strong>${formatProbability(pick.posterior)}</strong> of hiding the car.`;
+    }
+
+    const others = closedGroups.map(group => group.doors.length === 1 ?
+      `${formatDoors(group.doors)} now has <strong>${formatProbability(group.posterior)}</strong>` :
+      `${formatDoors(group.doors)} now have <strong>${formatProbability(group.posterior)}</strong> each`);
+
+    // Compare the pick with a closed door the host's move treats differently, if any
+    const contrast = closedGroups.find(group => Math.abs(group.likelihood - pick.likelihood) >= 1e-12);
+    let why;
+    if (!contrast) {
+      why = `${this.game.host.name} was just as likely to make this move wherever the car is, so the move ` +
+        'tells you nothing about your door and the closed doors really are equally likely.';
+    } else {
+      why = `It isn't 50/50 because the host's move depends on where the car is. If the car were behind ` +
+        `your door, he would make exactly this move with probability ${formatProbability(pick.likelihood)}; ` +
+        `if it were behind door ${contrast.doors[0] + 1}, with probability ${formatProbability(contrast.likelihood)}. ` +
+        'The doors started level, so their chances now stand in that same ratio.';
+    }
+
+    return `${phase} door ${playerChoice + 1} has probability <strong>${formatProbability(pick.posterior)}</strong> ` +
+      `of hiding the car, the opened ${hostRevealedDoors.length === 1 ? 'door has' : 'doors have'} ` +
+      `<strong>0</strong>, and ${others.join(', ')}. ${why}`;
+  }
+
+  /**
+   * Draw the tree of where the car could be and what the host could then do,
+   * highlighting the branches that fit what actually happened this round
+   * @param {object} state - Current game state
+   * @param {object} analysis - Result of getAnalysis()
+   * @returns {string} - HTML
+   */
+  renderTree(state, analysis) {
+    const branches = countHostMoves(state) <= MAX_ENUMERATED_MOVES ?
+      this.getEnumeratedBranches(state) :
+      getGroupedBranches(analysis);
+    const unit = findCaseUnit(branches.flatMap(branch => branch.leaves.map(leaf => leaf.probability)));
+    const describeWeight = (probability) => unit ?
+      `${Math.round(probability * unit)} of ${unit} cases` :
+      formatProbability(probability);
+
+    const matching = branches.flatMap(branch => branch.leaves.filter(leaf => leaf.matches)
+      .map(leaf => ({ role: branch.role, probability: leaf.probability })));
+    const total = matching.reduce((sum, leaf) => sum + leaf.probability, 0);
+    const pickWeight = matching.filter(leaf => leaf.role === 'pick').reduce((sum, leaf) => sum + leaf.probability, 0);
+
+    const items = branches.map(branch => `
+      <li class="explain-branch ${branch.role}">
+        <span class="explain-node">
+          Car behind ${branch.label} <small>${describeWeight(branch.probability)}</small>
+        </span>
+        <ul>
+          ${branch.leaves.map(leaf => `
+            <li class="explain-leaf${leaf.matches ? ' matches' : ''}">
+              <span class="explain-node">${leaf.label} <small>${describeWeight(leaf.probability)}</small></span>
+            </li>
+          `).join('')}
+        </ul>
+      </li>
+    `).join('');
+
+    const conclusion = unit ?
+      `Only the highlighted cases fit what you saw: ${Math.round(total * unit)} of ${unit}. ` +
+        `The car is behind your door in ${Math.round(pickWeight * unit)} of them, ` +
+        `so staying wins ${formatProbability(analysis.stay)}.` :
+      `Only the highlighted branches fit what you saw (${formatProbability(total)} of all rounds). ` +
+        `Your door accounts for ${formatProbability(pickWeight)} of that, so staying wins ${formatProbability(analysis.stay)}.`;
+
+    return `
+      <ul class="explain-tree-root">${items}</ul>
+      <p class="explain-conclusion">${conclusion}</p>
+    `;
+  }
+
+  /**
+   * List every host move for every car position, using the host model's probabilities
+   * @param {object} state - Current game state
+   * @returns {Array} - Branches of { role, label, probability, leaves: [{ label, probability, matches }] }
+   */
+  getEnumeratedBranches(state) {
+    const { doorCount, revealCount, playerChoice, hostRevealedDoors, switchOffered } = state;
+    const branches = [];
+
+    for (let carDoor = 0; carDoor < doorCount; carDoor++) {
+      const moves = enumerateHostMoves({ doorCount, revealCount, host: this.game.host, carDoor, playerChoice });
+
+      branches.push({
+        role: carDoor === playerChoice ? 'pick' : 'other',
+        label: `door ${carDoor + 1}${carDoor === playerChoice ? ' (your pick)' : ''}`,
+        probability: 1 / doorCount,
+        leaves: moves.map(move => ({
+          label: describeMove(move, carDoor),
+          probability: move.probability / doorCount,
+          matches: move.offersSwitch === switchOffered &&
+            move.revealedDoors.join() === hostRevealedDoors.join()
+        }))
+      });
+    }
+    return branches;
+  }
+}
+
+/**
+ * Collapse the tree to one branch per group of doors, each splitting into the move
+ * the host actually made and everything else
+ */
+function getGroupedBranches(analysis) {
+  const roleLabels = { pick: 'your pick', opened: 'a door the host opened', closed: 'another closed door' };
+
+  return analysis.groups.map(group => {
+    const probability = group.prior * group.doors.length;
+    const seen = group.likelihood * probability;
+    const leaves = [
+      { label: 'Host makes the move you saw', probability: seen, matches: true },
+      { label: 'Host does anything else', probability: probability - seen, matches: false }
+    ].filter(leaf => leaf.probability > 1e-12);
+
+    return {
+      role: group.role === 'pick' ? 'pick' : 'other',
+      label: group.doors.length === 1 ?
+        `${formatDoors(group.doors)} (${roleLabels[group.role]})` :
+        `one of ${formatDoors(group.doors)} (${roleLabels[group.role]})`,
+      probability,
+      leaves
+    };
+  });
+}
+
+/**
+ * Describe a host move in a branch where the car is behind carDoor
+ */
+function describeMove(move, carDoor) {
+  if (!move.offersSwitch) {
+    return 'Host opens nothing and offers no switch';
+  }
+  const showsCar = move.revealedDoors.includes(carDoor) ? ' and shows the car' : '';
+  return `Host opens ${formatDoors(move.revealedDoors)}${showsCar}`;
+}
+
+/**
+ * Smallest number of equally likely cases that every probability is a whole number of
+ * @param {Array} probabilities - Leaf and branch probabilities
+ * @returns {number|null} - Case count, or null if there is none up to MAX_CASES
+ */
+function findCaseUnit(probabilities) {
+  for (let unit = 1; unit <= MAX_CASES; unit++) {
+    if (probabilities.every(p => Math.abs(Math.round(p * unit) - p * unit) < 1e-9)) {
+      return unit;
+    }
+  }
+  return null;
+}
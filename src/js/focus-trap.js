@@ -0,0 +1,108 @@
+/**
+ * Focus Trap for Monty Hall Simulator
+ * Keeps keyboard focus inside an open dialog, closes it on Escape, and puts focus
+ * back where it was when the dialog closes
+ */
+
+// Elements that can take keyboard focus
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+  'textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+export class FocusTrap {
+  /**
+   * @param {HTMLElement} container - The dialog
+   * @param {object} [options]
+   * @param {function} [options.onEscape] - Called when Escape is pressed inside the dialog
+   * @param {function} [options.getFallbackFocus] - Returns the element to focus on release
+   *   if the one focused before can no longer take focus (e.g. it was hidden)
+   */
+  constructor(container, { onEscape, getFallbackFocus } = {}) {
+    this.container = container;
+    this.onEscape = onEscape;
+    this.getFallbackFocus = getFallbackFocus;
+    this.returnFocus = null;
+    this.active = false;
+    this.handleKeydown = (e) => this.onKeydown(e);
+  }
+
+  /**
+   * Move focus into the dialog and keep it there
+   * @param {HTMLElement} [initialFocus] - Element to focus first (defaults to the first focusable one)
+   */
+  activate(initialFocus) {
+    if (!this.active) {
+      this.returnFocus = this.container.ownerDocument.activeElement;
+      this.container.addEventListener('keydown', this.handleKeydown);
+      this.active = true;
+    }
+
+    const target = initialFocus ?? this.getFocusable()[0] ?? this.container;
+    if (target === this.container && !this.container.hasAttribute('tabindex')) {
+      this.container.setAttribute('tabindex', '-1');
+    }
+    target.focus();
+  }
+
+  /**
+   * Release focus, returning it to where it was before the dialog opened
+   */
+  release() {
+    if (!this.active) return;
+
+    this.container.removeEventListener('keydown', this.handleKeydown);
+    this.active = false;
+
+    const target = canTakeFocus(this.returnFocus) ? this.returnFocus : this.getFallbackFocus?.();
+    this.returnFocus = null;
+    if (canTakeFocus(target)) {
+      target.focus();
+    }
+  }
+
+  /**
+   * Get the focusable elements inside the dialog, in tab order
+   * @returns {Array} - Elements
+   */
+  getFocusable() {
+    return [...this.container.querySelectorAll(FOCUSABLE)].filter(canTakeFocus);
+  }
+
+  /**
+   * Wrap Tab and Shift+Tab around the dialog, and close it on Escape
+   */
+  onKeydown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      this.onEscape?.();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const focusable = this.getFocusable();
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+
+    const { activeElement } = this.container.ownerDocument;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && (activeElement === first || !this.container.contains(activeElement))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+}
+
+/**
+ * Check that an element is on the page, enabled and not hidden
+ */
+function canTakeFocus(element) {
+  return Boolean(element?.isConnected && typeof element.focus === 'function' &&
+    element !== element.ownerDocument.body && !element.disabled &&
+    !element.closest('[hidden], [style*="display: none"], [style*="display:none"]'));
+}
@@ -0,0 +1,87 @@
+/**
+ * Game Narrator for Monty Hall Simulator
+ * Describes every step of a round in words for screen-reader users: the new round,
+ * the host's move, the result and any undo. Follows the game's events, so rounds are
+ * narrated however they are played (mouse, keyboard, replay or a permalink).
+ */
+
+import { GAME_EVENTS } from './game-state.js';
+import { formatDoors } from './probability.js';
+
+export class GameNarrator {
+  /**
+   * @param {MontyHallGame} game - Game to narrate
+   * @param {Announcer} announcer - Where the narration is spoken
+   */
+  constructor(game, announcer) {
+    this.game = game;
+    this.announcer = announcer;
+
+    this.init();
+  }
+
+  /**
+   * Start following the game
+   */
+  init() {
+    this.game.on(GAME_EVENTS.GAME_RESET, ({ counterfactual }) => {
+      this.announcer.announce(counterfactual ? `Replaying the round. ${this.describePick()}` : `New round. ${this.describePick()}`);
+    });
+
+    this.game.on(GAME_EVENTS.HOST_REVEALED, ({ revealedDoors, offersSwitch, voided }) => {
+      const picked = `You picked door ${this.game.playerChoice + 1}.`;
+      if (voided) {
+        this.announcer.announce(
+          `${picked} The host opened ${formatDoors(revealedDoors)} and revealed the car! This round is void and does not count.`,
+          'assertive'
+        );
+      } else if (!offersSwitch) {
+        this.announcer.announce(`${picked} The host did not open any doors or offer a switch. ${this.describeChoice()}`);
+      } else {
+        const goats = revealedDoors.length === 1 ? 'a goat' : 'all goats';
+        this.announcer.announce(`${picked} The host opened ${formatDoors(revealedDoors)}: ${goats}. ${this.describeChoice()}`);
+      }
+    });
+
+    this.game.on(GAME_EVENTS.GAME_FINISHED, ({ won, voided, state }) => {
+      if (voided) return; // Already said when the host showed the car
+
+      const final = `door ${state.finalChoice + 1}`;
+      const move = state.playerStrategy === 'stay' ? `You stayed with ${final}` : `You switched to ${final}`;
+      const result = won ?
+        `You won! ${move} and found the car.` :
+        `You lost. ${move} and got a goat. The car was behind door ${state.carDoor + 1}.`;
+      this.announcer.announce(
+        state.counterfactual ? `${result} This what-if round is not counted.` : result,
+        'assertive'
+      );
+    });
+
+    this.game.on(GAME_EVENTS.ACTION_UNDONE, () => {
+      this.announcer.announce(this.game.canMakeChoice() ?
+        `Choice taken back. ${this.describeChoice()}` :
+        `Pick taken back. ${this.describePick()}`);
+    });
+  }
+
+  /**
+   * Prompt for the first pick
+   */
+  describePick() {
+    return `Pick one of the ${this.game.doorCount} doors.`;
+  }
+
+  /**
+   * Prompt for staying or switching
+   */
+  describeChoice() {
+    const stay = `door ${this.game.playerChoice + 1}`;
+    if (!this.game.canSwitch()) {
+      return `Stay with ${stay} to see the result.`;
+    }
+
+    const remaining = this.game.getRemainingDoors();
+    const target = remaining.length === 1 ? `door ${remaining[0] + 1}` : `one of ${formatDoors(remaining)}`;
+    return `Stay with ${stay}, or switch to ${target}?`;
+  }
+}
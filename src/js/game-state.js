@@ -0,0 +1,111 @@
+/**
+ * Game State Machine for Monty Hall Simulator
+ * Defines the phases of a round, the moves allowed in each, and the events
+ * and errors the game uses to report them
+ */
+
+/**
+ * Phases of a round
+ */
+export const GAME_PHASES = Object.freeze({
+  SELECTING: 'selecting', // Waiting for the player's first pick
+  REVEALED: 'revealed', // Host has acted; waiting for stay or switch
+  FINISHED: 'finished', // Final choice made and the car shown
+  VOIDED: 'voided' // Host revealed the car, so the round does not count
+});
+
+/**
+ * Moves a player can make
+ */
+export const GAME_ACTIONS = Object.freeze({
+  SELECT_DOOR: 'selectDoor',
+  MAKE_CHOICE: 'makeChoice',
+  UNDO: 'undo'
+});
+
+/**
+ * Events emitted by MontyHallGame
+ */
+export const GAME_EVENTS = Object.freeze({
+  DOOR_SELECTED: 'doorSelected', // { doorIndex }
+  HOST_REVEALED: 'hostRevealed', // { revealedDoors, offersSwitch, voided }
+  CHOICE_MADE: 'choiceMade', // { strategy, finalChoice }
+  GAME_FINISHED: 'gameFinished', // { won, voided, state }; also sent for voided rounds
+  GAME_RESET: 'gameReset', // { seed, counterfactual }
+  ACTION_UNDONE: 'actionUndone', // { action }
+  PHASE_CHANGED: 'phaseChanged' // { from, to, action }
+});
+
+// Phases each move can lead to, by the phase it is made in. Undo steps back to the phase
+// before the last move. Resetting is allowed from any phase.
+const TRANSITIONS = {
+  [GAME_PHASES.SELECTING]: {
+    [GAME_ACTIONS.SELECT_DOOR]: [GAME_PHASES.REVEALED, GAME_PHASES.VOIDED]
+  },
+  [GAME_PHASES.REVEALED]: {
+    [GAME_ACTIONS.MAKE_CHOICE]: [GAME_PHASES.FINISHED],
+    [GAME_ACTIONS.UNDO]: [GAME_PHASES.SELECTING]
+  },
+  [GAME_PHASES.FINISHED]: {
+    [GAME_ACTIONS.UNDO]: [GAME_PHASES.REVEALED]
+  },
+  [GAME_PHASES.VOIDED]: {
+    [GAME_ACTIONS.UNDO]: [GAME_PHASES.SELECTING]
+  }
+};
+
+/**
+ * A move that is not allowed in the current phase, e.g. choosing before picking a door
+ */
+export class IllegalTransitionError extends Error {
+  /**
+   * @param {string} action - Move attempted (a GAME_ACTIONS value)
+   * @param {string} phase - Phase the game was in
+   */
+  constructor(action, phase) {
+    super(`Cannot ${action} while the game is ${phase}`);
+    this.name = 'IllegalTransitionError';
+    this.action = action;
+    this.phase = phase;
+  }
+}
+
+/**
+ * A move allowed in the current phase but with bad arguments, e.g. a door that does not exist
+ */
+export class InvalidMoveError extends RangeError {
+  /**
+   * @param {string} action - Move attempted (a GAME_ACTIONS value)
+   * @param {string} message - What was wrong with it
+   */
+  constructor(action, message) {
+    super(message);
+    this.name = 'InvalidMoveError';
+    this.action = action;
+  }
+}
+
+/**
+ * Check whether a move is allowed in a phase
+ * @param {string} phase - Current phase
+ * @param {string} action - Move to make
+ * @returns {boolean} - True if the move is allowed
+ */
+export function canTransition(phase, action) {
+  return Boolean(TRANSITIONS[phase]?.[action]);
+}
+
+/**
+ * Work out the phase a move leads to, or throw if it is not allowed
+ * @param {string} phase - Current phase
+ * @param {string} action - Move being made
+ * @param {string} target - Phase the move wants to end in
+ * @returns {string} - The target phase
+ * @throws {IllegalTransitionError} - If the move is not allowed in this phase or cannot lead to the target
+ */
+export function getNextPhase(phase, action, target) {
+  if (!TRANSITIONS[phase]?.[action]?.includes(target)) {
+    throw new IllegalTransitionError(action, phase);
+  }
+  return target;
+}
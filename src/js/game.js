@@ -1,101 +1,322 @@
 /**
  * Monty Hall Game Logic
- * Implements the classic Monty Hall problem simulation
+ * Implements the classic Monty Hall problem simulation, generalised to
+ * any number of doors, any number of goats opened by the host, and
+ * different host behaviour models. Each round moves through the phases in
+ * game-state.js and announces every step as an event.
  */
 
-export class MontyHallGame {
-  constructor() {
+import { HostStrategy, createHost } from './hosts.js';
+import { SeededRandom } from './random.js';
+import { EventEmitter } from './events.js';
+import {
+  GAME_PHASES, GAME_ACTIONS, GAME_EVENTS, IllegalTransitionError, InvalidMoveError, canTransition, getNextPhase
+} from './game-state.js';
+
+export const MIN_DOORS = 3;
+export const MAX_DOORS = 100;
+
+export class MontyHallGame extends EventEmitter {
+  /**
+   * @param {object} [options] - Game configuration
+   * @param {number} [options.doorCount=3] - Number of doors in play
+   * @param {number} [options.revealCount] - Goats the host opens (defaults to all but one)
+   * @param {HostStrategy|string} [options.host='standard'] - Host model instance or id
+   * @param {SeededRandom} [options.rng] - Generator that supplies each round's seed
+   * @param {number|string} [options.seed] - Seed for a new generator (ignored if rng is given)
+   */
+  constructor({ rng, seed, ...options } = {}) {
+    super();
+    this.rng = rng || new SeededRandom(seed);
+    this.configure(options);
+  }
+
+  /**
+   * Apply a new door configuration and start a fresh round
+   * @param {object} [options] - Same shape as the constructor options; the host is kept if omitted
+   */
+  configure({ doorCount = 3, revealCount = doorCount - 2, host = this.host } = {}) {
+    if (!Number.isInteger(doorCount) || doorCount < MIN_DOORS || doorCount > MAX_DOORS) {
+      throw new RangeError(`doorCount must be an integer between ${MIN_DOORS} and ${MAX_DOORS}`);
+    }
+    if (!Number.isInteger(revealCount) || revealCount < 1 || revealCount > doorCount - 2) {
+      throw new RangeError(`revealCount must be an integer between 1 and ${doorCount - 2}`);
+    }
+
+    this.doorCount = doorCount;
+    this.revealCount = revealCount;
+    this.host = host instanceof HostStrategy ? host : createHost(host);
     this.reset();
   }
 
+  /**
+   * Current phase of the round (a GAME_PHASES value); only moves change it
+   * @returns {string} - 'selecting', 'revealed', 'finished' or 'voided'
+   */
+  get gamePhase() {
+    return this.phase;
+  }
+
   /**
    * Reset the game to initial state
+   * @param {number|string} [seed] - Round seed to replay; a new one is drawn if omitted
+   * @param {object} [options]
+   * @param {boolean} [options.counterfactual=false] - Mark the round as a what-if or replay,
+   *   so it is not counted in the stats
    */
-  reset() {
-    this.carDoor = Math.floor(Math.random() * 3); // Random door 0, 1, or 2 has the car
+  reset(seed, { counterfactual = false } = {}) {
+    this.seed = seed === undefined ? this.rng.nextSeed() : SeededRandom.normalizeSeed(seed);
+    this.roundRng = new SeededRandom(this.seed); // Drives car placement and host choices
+    this.carDoor = this.roundRng.nextInt(this.doorCount); // Random door has the car
     this.playerChoice = null; // Player's initial choice
-    this.hostRevealedDoor = null; // Door opened by host (always has goat)
+    this.hostRevealedDoors = []; // Doors opened by host (goats, unless the host model is ignorant)
+    this.switchOffered = null; // Whether the host offered a switch
     this.finalChoice = null; // Player's final choice (stay or switch)
-    this.gamePhase = 'selecting'; // 'selecting', 'revealed', 'choosing', 'finished'
+    this.phase = GAME_PHASES.SELECTING;
     this.playerStrategy = null; // 'stay' or 'switch'
     this.won = null; // true if player won, false if lost, null if game not finished
+    this.actionLog = []; // Moves made this round, each with the state before it, for undo and replay
+    this.counterfactual = counterfactual; // Set once a move is undone; such rounds are not counted
+
+    this.emit(GAME_EVENTS.GAME_RESET, { seed: this.seed, counterfactual });
   }
 
   /**
-   * Player makes initial door selection
-   * @param {number} doorIndex - Door index (0, 1, or 2)
-   * @returns {boolean} - True if valid selection
+   * Record a move along with the state it changes, so undo() can restore it
+   * @param {object} action - { type, ... } as returned by getActionLog()
    */
-  selectDoor(doorIndex) {
-    if (this.gamePhase !== 'selecting' || doorIndex < 0 || doorIndex > 2) {
-      return false;
+  logAction(action) {
+    this.actionLog.push({
+      action,
+      before: {
+        phase: this.phase,
+        playerChoice: this.playerChoice,
+        hostRevealedDoors: this.hostRevealedDoors,
+        switchOffered: this.switchOffered,
+        finalChoice: this.finalChoice,
+        playerStrategy: this.playerStrategy,
+        won: this.won,
+        rngState: this.roundRng.state
+      }
+    });
+  }
+
+  /**
+   * Get the moves made this round, in order
+   * @returns {Array} - Entries of { type: 'selectDoor', doorIndex } or
+   *   { type: 'makeChoice', strategy, targetDoor }
+   */
+  getActionLog() {
+    return this.actionLog.map(entry => ({ ...entry.action }));
+  }
+
+  /**
+   * Check if there is a move to undo
+   * @returns {boolean} - True once a door has been picked
+   */
+  canUndo() {
+    return this.actionLog.length > 0;
+  }
+
+  /**
+   * Take back the last move, e.g. go back to the reveal to try the other choice.
+   * The round becomes a what-if and is no longer counted in the stats. Emits actionUndone.
+   * @throws {IllegalTransitionError} - If no move has been made this round
+   */
+  undo() {
+    const entry = this.actionLog[this.actionLog.length - 1];
+    if (!entry) {
+      throw new IllegalTransitionError(GAME_ACTIONS.UNDO, this.phase);
     }
 
-    this.playerChoice = doorIndex;
-    this.gamePhase = 'revealed';
+    const { phase, rngState, ...before } = entry.before;
+    this.actionLog.pop();
+    Object.assign(this, before);
+    this.roundRng.state = rngState;
+    this.counterfactual = true;
+    this.transition(GAME_ACTIONS.UNDO, phase);
 
-    // Host reveals a door with a goat (not the car, not the player's choice)
-    this.hostRevealedDoor = this.getHostRevealedDoor();
+    this.emit(GAME_EVENTS.ACTION_UNDONE, { action: { ...entry.action } });
+  }
 
-    return true;
+  /**
+   * Move to the next phase, checking the move is allowed
+   * @param {string} action - Move being made (a GAME_ACTIONS value)
+   * @param {string} target - Phase the move ends in
+   * @throws {IllegalTransitionError} - If the state machine does not allow it
+   */
+  transition(action, target) {
+    const from = this.phase;
+    this.phase = getNextPhase(from, action, target);
+    this.emit(GAME_EVENTS.PHASE_CHANGED, { from, to: this.phase, action });
   }
 
   /**
-   * Get the door the host should reveal (always has a goat)
-   * @returns {number} - Door index to reveal
+   * Throw unless a move is allowed in the current phase
+   * @param {string} action - Move about to be made (a GAME_ACTIONS value)
+   * @throws {IllegalTransitionError} - If it is not
    */
-  getHostRevealedDoor() {
-    const availableDoors = [];
+  assertCanMove(action) {
+    if (!canTransition(this.phase, action)) {
+      throw new IllegalTransitionError(action, this.phase);
+    }
+  }
 
-    for (let i = 0; i < 3; i++) {
-      // Host cannot reveal the car door or the player's chosen door
-      if (i !== this.carDoor && i !== this.playerChoice) {
-        availableDoors.push(i);
-      }
+  /**
+   * Player makes initial door selection; the host then acts straight away.
+   * Emits doorSelected and hostRevealed, and gameFinished if the host shows the car.
+   * @param {number} doorIndex - Door index (0 to doorCount - 1)
+   * @throws {IllegalTransitionError} - If a door has already been picked this round
+   * @throws {InvalidMoveError} - If the door does not exist
+   */
+  selectDoor(doorIndex) {
+    this.assertCanMove(GAME_ACTIONS.SELECT_DOOR);
+    if (!this.isValidDoor(doorIndex)) {
+      throw new InvalidMoveError(GAME_ACTIONS.SELECT_DOOR,
+        `There is no door ${doorIndex}; doors are numbered 0 to ${this.doorCount - 1}`);
     }
 
-    // If multiple options, randomly choose one
-    return availableDoors[Math.floor(Math.random() * availableDoors.length)];
+    this.logAction({ type: GAME_ACTIONS.SELECT_DOOR, doorIndex });
+    this.playerChoice = doorIndex;
+
+    // Host model decides which doors to open and whether to offer a switch
+    const action = this.getHostAction();
+    this.hostRevealedDoors = action.revealedDoors;
+    this.switchOffered = action.offersSwitch;
+
+    // A revealed car (ignorant host) voids the round
+    const voided = this.hostRevealedDoors.includes(this.carDoor);
+    this.transition(GAME_ACTIONS.SELECT_DOOR, voided ? GAME_PHASES.VOIDED : GAME_PHASES.REVEALED);
+
+    this.emit(GAME_EVENTS.DOOR_SELECTED, { doorIndex });
+    this.emit(GAME_EVENTS.HOST_REVEALED, {
+      revealedDoors: [...this.hostRevealedDoors],
+      offersSwitch: this.switchOffered,
+      voided
+    });
+    if (voided) {
+      this.emitGameFinished();
+    }
   }
 
   /**
-   * Player makes final choice (stay or switch)
+   * Ask the host model what to do for the current round
+   * @returns {object} - { revealedDoors, offersSwitch }
+   */
+  getHostAction() {
+    const action = this.host.chooseAction({
+      doorCount: this.doorCount,
+      revealCount: this.revealCount,
+      hostModel: this.host.id,
+      carDoor: this.carDoor,
+      playerChoice: this.playerChoice
+    }, this.roundRng.asFunction());
+
+    return {
+      revealedDoors: [...action.revealedDoors].sort((a, b) => a - b),
+      offersSwitch: action.offersSwitch
+    };
+  }
+
+  /**
+   * Player makes final choice (stay or switch). Emits choiceMade and gameFinished.
    * @param {string} strategy - 'stay' or 'switch'
-   * @returns {boolean} - True if valid choice
+   * @param {number} [targetDoor] - Door to switch to; required when more than one closed door remains
+   * @throws {IllegalTransitionError} - If the host has not acted yet or the round is over
+   * @throws {InvalidMoveError} - If the strategy or target door is not allowed
    */
-  makeChoice(strategy) {
-    if (this.gamePhase !== 'revealed' || !['stay', 'switch'].includes(strategy)) {
-      return false;
+  makeChoice(strategy, targetDoor = null) {
+    const action = GAME_ACTIONS.MAKE_CHOICE;
+    this.assertCanMove(action);
+    if (!['stay', 'switch'].includes(strategy)) {
+      throw new InvalidMoveError(action, `Unknown choice "${strategy}"; expected "stay" or "switch"`);
     }
 
-    this.playerStrategy = strategy;
-    this.gamePhase = 'choosing';
+    let finalChoice = this.playerChoice;
+
+    if (strategy === 'switch') {
+      if (!this.switchOffered) {
+        throw new InvalidMoveError(action, 'The host did not offer a switch this round');
+      }
 
-    if (strategy === 'stay') {
-      this.finalChoice = this.playerChoice;
-    } else {
-      // Switch to the remaining unopened door
-      this.finalChoice = this.getRemainingDoor();
+      const remainingDoors = this.getRemainingDoors();
+
+      if (targetDoor === null || targetDoor === undefined) {
+        if (remainingDoors.length !== 1) {
+          throw new InvalidMoveError(action, 'Several doors are left to switch to; say which one');
+        }
+        finalChoice = remainingDoors[0];
+      } else if (remainingDoors.includes(targetDoor)) {
+        finalChoice = targetDoor;
+      } else {
+        throw new InvalidMoveError(action, `Door ${targetDoor} is not a closed door you can switch to`);
+      }
     }
 
+    this.logAction({ type: action, strategy, targetDoor: strategy === 'switch' ? finalChoice : null });
+    this.playerStrategy = strategy;
+    this.finalChoice = finalChoice;
+
     // Determine if player won
     this.won = this.finalChoice === this.carDoor;
-    this.gamePhase = 'finished';
+    this.transition(action, GAME_PHASES.FINISHED);
 
-    return true;
+    this.emit(GAME_EVENTS.CHOICE_MADE, { strategy, finalChoice });
+    this.emitGameFinished();
   }
 
   /**
-   * Get the remaining unopened door (for switching)
-   * @returns {number} - Door index
+   * Announce the end of the round with a snapshot of its state. Bulk simulations
+   * finish rounds with nobody listening, so the snapshot is only built when needed.
    */
-  getRemainingDoor() {
-    for (let i = 0; i < 3; i++) {
-      if (i !== this.playerChoice && i !== this.hostRevealedDoor) {
-        return i;
+  emitGameFinished() {
+    if (this.hasListeners(GAME_EVENTS.GAME_FINISHED)) {
+      this.emit(GAME_EVENTS.GAME_FINISHED, { won: this.won, voided: this.isVoided(), state: this.getGameState() });
+    }
+  }
+
+  /**
+   * Get the closed doors the player could switch to
+   * @returns {Array} - Door indices that are neither chosen nor opened
+   */
+  getRemainingDoors() {
+    if (this.playerChoice === null || !this.switchOffered) {
+      return [];
+    }
+
+    const remaining = [];
+    for (let i = 0; i < this.doorCount; i++) {
+      if (i !== this.playerChoice && !this.hostRevealedDoors.includes(i)) {
+        remaining.push(i);
       }
     }
-    return null; // Should never happen
+    return remaining;
+  }
+
+  /**
+   * Get the remaining unopened door (for switching)
+   * @returns {number|null} - Door index, or null when there is not exactly one
+   */
+  getRemainingDoor() {
+    const remaining = this.getRemainingDoors();
+    return remaining.length === 1 ? remaining[0] : null;
+  }
+
+  /**
+   * Check if switching needs an explicit target door
+   * @returns {boolean} - True if more than one closed door is left to switch to
+   */
+  requiresSwitchTarget() {
+    return this.canMakeChoice() && this.getRemainingDoors().length > 1;
+  }
+
+  /**
+   * Check if a door index exists in the current configuration
+   * @param {number} doorIndex - Door index to check
+   * @returns {boolean} - True if the index is in range
+   */
+  isValidDoor(doorIndex) {
+    return Number.isInteger(doorIndex) && doorIndex >= 0 && doorIndex < this.doorCount;
   }
 
   /**
@@ -104,32 +325,41 @@ export class MontyHallGame {
    */
   getGameState() {
     return {
+      seed: this.seed,
+      doorCount: this.doorCount,
+      revealCount: this.revealCount,
+      hostModel: this.host.id,
       carDoor: this.carDoor,
       playerChoice: this.playerChoice,
-      hostRevealedDoor: this.hostRevealedDoor,
+      hostRevealedDoors: [...this.hostRevealedDoors],
+      switchOffered: this.switchOffered,
+      remainingDoors: this.getRemainingDoors(),
       finalChoice: this.finalChoice,
       gamePhase: this.gamePhase,
       playerStrategy: this.playerStrategy,
       won: this.won,
+      voided: this.isVoided(),
+      counterfactual: this.counterfactual,
       doors: this.getDoorsState()
     };
   }
 
   /**
-   * Get the state of all three doors
+   * Get the state of every door
    * @returns {Array} - Array of door objects with content and status
    */
   getDoorsState() {
     const doors = [];
 
-    for (let i = 0; i < 3; i++) {
+    for (let i = 0; i < this.doorCount; i++) {
+      const isHostRevealed = this.hostRevealedDoors.includes(i);
       doors.push({
         index: i,
         content: i === this.carDoor ? 'car' : 'goat',
         isPlayerChoice: i === this.playerChoice,
-        isHostRevealed: i === this.hostRevealedDoor,
+        isHostRevealed,
         isFinalChoice: i === this.finalChoice,
-        isRevealed: this.gamePhase === 'finished' || i === this.hostRevealedDoor
+        isRevealed: this.isFinished() || this.isVoided() || isHostRevealed
       });
     }
 
@@ -141,7 +371,23 @@ export class MontyHallGame {
    * @returns {boolean} - True if game is complete
    */
   isFinished() {
-    return this.gamePhase === 'finished';
+    return this.phase === GAME_PHASES.FINISHED;
+  }
+
+  /**
+   * Check if the round was voided because the host revealed the car
+   * @returns {boolean} - True if the round does not count
+   */
+  isVoided() {
+    return this.phase === GAME_PHASES.VOIDED;
+  }
+
+  /**
+   * Check if the host offered a switch this round
+   * @returns {boolean} - True if switching is allowed
+   */
+  canSwitch() {
+    return this.canMakeChoice() && this.switchOffered === true;
   }
 
   /**
@@ -149,7 +395,7 @@ export class MontyHallGame {
    * @returns {boolean} - True if choice can be made
    */
   canMakeChoice() {
-    return this.gamePhase === 'revealed';
+    return canTransition(this.phase, GAME_ACTIONS.MAKE_CHOICE);
   }
 
   /**
@@ -157,63 +403,9 @@ export class MontyHallGame {
    * @returns {Array} - Array of available door indices
    */
   getAvailableDoors() {
-    if (this.gamePhase === 'selecting') {
-      return [0, 1, 2];
+    if (canTransition(this.phase, GAME_ACTIONS.SELECT_DOOR)) {
+      return Array.from({ length: this.doorCount }, (_, i) => i);
     }
     return [];
   }
 }
-
-// For testing in Node.js environment (when run directly)
-if (typeof window === 'undefined' && typeof module !== 'undefined') {
-  // Simple test function
-  function testGame() {
-    console.log('Testing Monty Hall Game Logic...\n');
-
-    // Test basic game flow
-    const game = new MontyHallGame();
-    console.log('Initial state:', game.getGameState());
-
-    // Player selects door 0
-    console.log('\nPlayer selects door 0...');
-    game.selectDoor(0);
-    console.log('After selection:', game.getGameState());
-
-    // Player stays with original choice
-    console.log('\nPlayer stays...');
-    game.makeChoice('stay');
-    console.log('Final state (stay):', game.getGameState());
-
-    // Test switching
-    const game2 = new MontyHallGame();
-    game2.selectDoor(1);
-    game2.makeChoice('switch');
-    console.log('\nFinal state (switch):', game2.getGameState());
-
-    // Run simulation to test probability
-    console.log('\n--- Running Simulation (1000 games) ---');
-    let stayWins = 0;
-    let switchWins = 0;
-    const simulations = 1000;
-
-    for (let i = 0; i < simulations; i++) {
-      // Test staying
-      const stayGame = new MontyHallGame();
-      stayGame.selectDoor(0);
-      stayGame.makeChoice('stay');
-      if (stayGame.won) stayWins++;
-
-      // Test switching
-      const switchGame = new MontyHallGame();
-      switchGame.selectDoor(0);
-      switchGame.makeChoice('switch');
-      if (switchGame.won) switchWins++;
-    }
-
-    console.log(`Stay strategy wins: ${stayWins}/${simulations} (${(stayWins/simulations*100).toFixed(1)}%)`);
-    console.log(`Switch strategy wins: ${switchWins}/${simulations} (${(switchWins/simulations*100).toFixed(1)}%)`);
-    console.log('\nExpected: Stay ~33.3%, Switch ~66.7%');
-  }
-
-  testGame();
-}
\ No newline at end of file
@@ -0,0 +1,137 @@
+/**
+ * Game History Panel for Monty Hall Simulator
+ * Shows the per-round history log from GameStats, newest first, with pagination
+ */
+
+import { getHostName } from './hosts.js';
+
+export class HistoryPanel {
+  /**
+   * @param {GameStats} stats - Stats instance holding the history log
+   * @param {object} [options]
+   * @param {number} [options.pageSize=20] - Rounds per page
+   */
+  constructor(stats, { pageSize = 20 } = {}) {
+    this.stats = stats;
+    this.pageSize = pageSize;
+    this.page = 1;
+    this.elements = {};
+
+    this.init();
+  }
+
+  /**
+   * Initialize the panel
+   */
+  init() {
+    this.cacheElements();
+    this.bindEvents();
+    this.render();
+
+    // Jump back to the newest rounds whenever a round is recorded
+    this.stats.subscribe(() => {
+      this.page = 1;
+      this.render();
+    });
+  }
+
+  /**
+   * Cache panel DOM elements
+   */
+  cacheElements() {
+    this.elements = {
+      list: document.getElementById('history-list'),
+      summary: document.getElementById('history-summary'),
+      prevButton: document.getElementById('history-prev'),
+      nextButton: document.getElementById('history-next'),
+      pageLabel: document.getElementById('history-page')
+    };
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    this.elements.prevButton?.addEventListener('click', () => this.goToPage(this.page - 1));
+    this.elements.nextButton?.addEventListener('click', () => this.goToPage(this.page + 1));
+  }
+
+  /**
+   * Show a specific page of the history
+   * @param {number} page - 1-based page number
+   */
+  goToPage(page) {
+    this.page = page;
+    this.render();
+  }
+
+  /**
+   * Render the current page
+   */
+  render() {
+    const { list, summary, prevButton, nextButton, pageLabel } = this.elements;
+    if (!list) return;
+
+    const history = this.stats.getHistory({ page: this.page, pageSize: this.pageSize });
+    this.page = history.page;
+
+    if (history.totalRecords === 0) {
+      list.innerHTML = '<p class="history-empty">No rounds yet. Finished rounds will appear here.</p>';
+    } else {
+      list.innerHTML = `
+        <table class="history-table">
+          <thead>
+            <tr>
+              <th scope="col">#</th>
+              <th scope="col">Time</th>
+              <th scope="col">Setup</th>
+              <th scope="col">Picked</th>
+              <th scope="col">Host opened</th>
+              <th scope="col">Final</th>
+              <th scope="col">Strategy</th>
+              <th scope="col">Result</th>
+            </tr>
+          </thead>
+          <tbody>${history.records.map(record => this.renderRow(record)).join('')}</tbody>
+        </table>
+      `;
+    }
+
+    if (summary) {
+      const { totalGames, voidedGames } = this.stats.getStats();
+      const truncated = this.stats.isHistoryTruncated() ?
+        ` of ${(totalGames + voidedGames).toLocaleString()} played (older rounds are not kept)` : '';
+      summary.textContent = `${history.totalRecords.toLocaleString()} rounds logged${truncated}`;
+    }
+    if (prevButton) prevButton.disabled = history.page <= 1;
+    if (nextButton) nextButton.disabled = history.page >= history.totalPages;
+    if (pageLabel) pageLabel.textContent = `Page ${history.page} of ${history.totalPages}`;
+  }
+
+  /**
+   * Render one history record as a table row
+   * @param {object} record - Round record from GameStats
+   * @returns {string} - Table row HTML
+   */
+  renderRow(record) {
+    const door = (index) => index === null || index === undefined ? '—' : `Door ${index + 1}`;
+    const opened = record.revealedDoors.length > 3 ?
+      `${record.revealedDoors.length} doors` :
+      record.revealedDoors.map(index => index + 1).join(', ') || 'none';
+    const results = { won: '🚗 Won', lost: '🐐 Lost', voided: '🙈 Voided' };
+    const time = new Date(record.timestamp).toLocaleTimeString();
+
+    return `
+      <tr class="history-row ${record.outcome}">
+        <td>${record.id}</td>
+        <td><time datetime="${record.timestamp}" title="${new Date(record.timestamp).toLocaleString()}">${time}</time></td>
+        <td title="Seed ${record.seed ?? 'unknown'}">${record.doorCount} doors • ${getHostName(record.hostModel)}</td>
+        <td>${door(record.initialPick)}</td>
+        <td>${opened}</td>
+        <td>${door(record.finalPick)}</td>
+        <td>${record.strategy ?? '—'}</td>
+        <td>${results[record.outcome] || record.outcome}</td>
+      </tr>
+    `;
+  }
+}
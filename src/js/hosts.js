@@ -0,0 +1,344 @@
+/**
+ * Host Behaviour Models for Monty Hall Simulator
+ * Each model decides which doors the host opens and whether a switch is offered
+ */
+
+/**
+ * Base class for host behaviour models
+ */
+export class HostStrategy {
+  /**
+   * @param {string} id - Stable identifier used for stats and config
+   * @param {string} name - Human-readable name
+   * @param {string} description - One-line summary of the behaviour
+   */
+  constructor(id, name, description) {
+    this.id = id;
+    this.name = name;
+    this.description = description;
+  }
+
+  /**
+   * Decide what the host does after the player's initial pick
+   * @param {object} round - { doorCount, revealCount, carDoor, playerChoice }
+   * @param {function} random - Returns a float in [0, 1)
+   * @returns {object} - { revealedDoors: Array, offersSwitch: boolean }
+   */
+  chooseAction(round, random) {
+    throw new Error(`Host model "${this.id}" does not implement chooseAction()`);
+  }
+
+  /**
+   * Exact probability that chooseAction() returns a given action
+   * @param {object} round - { doorCount, revealCount, carDoor, playerChoice }
+   * @param {object} action - { revealedDoors: Array, offersSwitch: boolean }
+   * @returns {number} - Probability between 0 and 1
+   */
+  getActionProbability(round, action) {
+    throw new Error(`Host model "${this.id}" does not implement getActionProbability()`);
+  }
+
+  /**
+   * Chances of the host offering a switch and of revealing the car, given whether
+   * the player's first pick is the car
+   * @param {object} setup - { doorCount, revealCount, pickIsCar }
+   * @returns {object} - { offersSwitch, revealsCar } probabilities
+   */
+  getOfferProbabilities(setup) {
+    throw new Error(`Host model "${this.id}" does not implement getOfferProbabilities()`);
+  }
+
+  /**
+   * Get the options needed to recreate this host
+   * @returns {object} - Options accepted by createHost()
+   */
+  getOptions() {
+    return {};
+  }
+}
+
+/**
+ * Standard Monty: knows where the car is and always opens goats
+ */
+export class StandardHost extends HostStrategy {
+  constructor() {
+    super('standard', 'Standard Monty', 'Knows where the car is and always opens goat doors.');
+  }
+
+  chooseAction(round, random) {
+    return {
+      revealedDoors: pickRandomDoors(getGoatDoors(round), round.revealCount, random),
+      offersSwitch: true
+    };
+  }
+
+  getActionProbability(round, action) {
+    return action.offersSwitch ? uniformRevealProbability(getGoatDoors(round), round.revealCount, action.revealedDoors) : 0;
+  }
+
+  getOfferProbabilities() {
+    return { offersSwitch: 1, revealsCar: 0 };
+  }
+}
+
+/**
+ * Ignorant Monty ("Monty Fall"): opens doors at random and may reveal the car
+ */
+export class IgnorantHost extends HostStrategy {
+  constructor() {
+    super('ignorant', 'Ignorant Monty', 'Opens doors at random and can reveal the car, voiding the round.');
+  }
+
+  chooseAction(round, random) {
+    const closedDoors = [];
+    for (let i = 0; i < round.doorCount; i++) {
+      if (i !== round.playerChoice) {
+        closedDoors.push(i);
+      }
+    }
+
+    return {
+      revealedDoors: pickRandomDoors(closedDoors, round.revealCount, random),
+      offersSwitch: true
+    };
+  }
+
+  getActionProbability(round, action) {
+    const closedDoors = [];
+    for (let i = 0; i < round.doorCount; i++) {
+      if (i !== round.playerChoice) {
+        closedDoors.push(i);
+      }
+    }
+    return action.offersSwitch ? uniformRevealProbability(closedDoors, round.revealCount, action.revealedDoors) : 0;
+  }
+
+  getOfferProbabilities({ doorCount, revealCount, pickIsCar }) {
+    // Any of the doorCount - 1 unpicked doors is equally likely to be opened
+    return { offersSwitch: 1, revealsCar: pickIsCar ? 0 : revealCount / (doorCount - 1) };
+  }
+}
+
+/**
+ * Monty Hell: only offers a switch when the player's first pick is the car
+ */
+export class MontyHellHost extends HostStrategy {
+  constructor() {
+    super('hell', 'Monty Hell', 'Only opens doors and offers a switch when your first pick is the car.');
+  }
+
+  chooseAction(round, random) {
+    if (round.playerChoice !== round.carDoor) {
+      return { revealedDoors: [], offersSwitch: false };
+    }
+
+    return {
+      revealedDoors: pickRandomDoors(getGoatDoors(round), round.revealCount, random),
+      offersSwitch: true
+    };
+  }
+
+  getActionProbability(round, action) {
+    if (round.playerChoice !== round.carDoor) {
+      return !action.offersSwitch && action.revealedDoors.length === 0 ? 1 : 0;
+    }
+    return action.offersSwitch ? uniformRevealProbability(getGoatDoors(round), round.revealCount, action.revealedDoors) : 0;
+  }
+
+  getOfferProbabilities({ pickIsCar }) {
+    return { offersSwitch: pickIsCar ? 1 : 0, revealsCar: 0 };
+  }
+}
+
+/**
+ * Angelic Monty: only offers a switch when the player's first pick is a goat
+ */
+export class AngelicHost extends HostStrategy {
+  constructor() {
+    super('angelic', 'Angelic Monty', 'Only opens doors and offers a switch when your first pick is a goat.');
+  }
+
+  chooseAction(round, random) {
+    if (round.playerChoice === round.carDoor) {
+      return { revealedDoors: [], offersSwitch: false };
+    }
+
+    return {
+      revealedDoors: pickRandomDoors(getGoatDoors(round), round.revealCount, random),
+      offersSwitch: true
+    };
+  }
+
+  getActionProbability(round, action) {
+    if (round.playerChoice === round.carDoor) {
+      return !action.offersSwitch && action.revealedDoors.length === 0 ? 1 : 0;
+    }
+    return action.offersSwitch ? uniformRevealProbability(getGoatDoors(round), round.revealCount, action.revealedDoors) : 0;
+  }
+
+  getOfferProbabilities({ pickIsCar }) {
+    return { offersSwitch: pickIsCar ? 0 : 1, revealsCar: 0 };
+  }
+}
+
+/**
+ * Preferential Monty: knows where the car is, but favours the lowest-numbered goat door
+ */
+export class PreferentialHost extends HostStrategy {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.preference=1] - Probability of opening the lowest-numbered
+   *   goat door when there is a choice (0.5 with three doors behaves like Standard Monty)
+   */
+  constructor({ preference = 1 } = {}) {
+    if (typeof preference !== 'number' || !(preference >= 0 && preference <= 1)) {
+      throw new RangeError('preference must be a number between 0 and 1');
+    }
+
+    super('preferential', 'Preferential Monty', 'Always opens goats, but prefers the lowest-numbered goat door.');
+    this.preference = preference;
+  }
+
+  chooseAction(round, random) {
+    const candidates = getGoatDoors(round);
+    const revealedDoors = [];
+
+    for (let i = 0; i < round.revealCount; i++) {
+      // Candidates stay sorted, so index 0 is always the preferred door
+      let index = 0;
+      if (candidates.length > 1 && random() >= this.preference) {
+        index = 1 + Math.floor(random() * (candidates.length - 1));
+      }
+      revealedDoors.push(candidates.splice(index, 1)[0]);
+    }
+
+    return {
+      revealedDoors: revealedDoors.sort((a, b) => a - b),
+      offersSwitch: true
+    };
+  }
+
+  getActionProbability(round, action) {
+    const candidates = getGoatDoors(round);
+    const revealed = new Set(action.revealedDoors);
+    if (!action.offersSwitch || revealed.size !== round.revealCount ||
+        !action.revealedDoors.every(door => candidates.includes(door))) {
+      return 0;
+    }
+
+    // Which revealed doors get picked in which order doesn't matter; what matters is whether
+    // the preferred (lowest) candidate is a revealed door. It is while any revealed door is
+    // below the lowest door that stays closed, so track revealed doors below and above it.
+    const firstKept = candidates.find(door => !revealed.has(door)) ?? Infinity;
+    const others = candidates.length - revealed.size;
+    const memo = new Map();
+    const step = (below, above) => {
+      const remaining = below + above;
+      if (remaining === 0) return 1;
+
+      const key = below * (candidates.length + 1) + above;
+      if (!memo.has(key)) {
+        const count = others + remaining;
+        const spread = count > 1 ? (1 - this.preference) / (count - 1) : 0;
+        let probability;
+        if (count === 1) {
+          probability = step(below - 1, above);
+        } else if (below > 0) {
+          probability = (this.preference + spread * (below - 1)) * step(below - 1, above) +
+            (above > 0 ? spread * above * step(below, above - 1) : 0);
+        } else {
+          probability = spread * above * step(0, above - 1);
+        }
+        memo.set(key, probability);
+      }
+      return memo.get(key);
+    };
+
+    const below = action.revealedDoors.filter(door => door < firstKept).length;
+    return step(below, revealed.size - below);
+  }
+
+  getOfferProbabilities() {
+    return { offersSwitch: 1, revealsCar: 0 };
+  }
+
+  getOptions() {
+    return { preference: this.preference };
+  }
+}
+
+/**
+ * Registry of available host models, keyed by id
+ */
+export const HOST_MODELS = {
+  standard: StandardHost,
+  ignorant: IgnorantHost,
+  hell: MontyHellHost,
+  angelic: AngelicHost,
+  preferential: PreferentialHost
+};
+
+/**
+ * Create a host model by id
+ * @param {string} id - Key of HOST_MODELS
+ * @param {object} [options] - Model-specific options
+ * @returns {HostStrategy} - Host instance
+ */
+export function createHost(id = 'standard', options = {}) {
+  const HostClass = HOST_MODELS[id];
+  if (!HostClass) {
+    throw new RangeError(`Unknown host model: ${id}`);
+  }
+  return new HostClass(options);
+}
+
+/**
+ * Get the display name for a host model id
+ * @param {string} id - Key of HOST_MODELS
+ * @returns {string} - Human-readable name, or the id itself if unknown
+ */
+export function getHostName(id) {
+  const HostClass = HOST_MODELS[id];
+  return HostClass ? new HostClass().name : id;
+}
+
+/**
+ * Doors that hide goats and were not picked by the player
+ */
+function getGoatDoors(round) {
+  const doors = [];
+  for (let i = 0; i < round.doorCount; i++) {
+    if (i !== round.carDoor && i !== round.playerChoice) {
+      doors.push(i);
+    }
+  }
+  return doors;
+}
+
+/**
+ * Probability that pickRandomDoors(doors, count) returns exactly `revealedDoors`
+ */
+function uniformRevealProbability(doors, count, revealedDoors) {
+  if (new Set(revealedDoors).size !== count || !revealedDoors.every(door => doors.includes(door))) {
+    return 0;
+  }
+
+  // One of C(doors.length, count) equally likely subsets
+  let probability = 1;
+  for (let i = 0; i < count; i++) {
+    probability *= (count - i) / (doors.length - i);
+  }
+  return probability;
+}
+
+/**
+ * Pick `count` doors uniformly at random (partial Fisher-Yates shuffle)
+ */
+function pickRandomDoors(doors, count, random) {
+  const pool = [...doors];
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count).sort((a, b) => a - b);
+}
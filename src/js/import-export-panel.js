@@ -0,0 +1,240 @@
+/**
+ * Export/Import Panel for Monty Hall Simulator
+ * Downloads stats and round history as JSON or CSV, and loads exported files back in
+ * by merging them into, or replacing, the current stats after a preview
+ */
+
+// Import errors listed in the panel; the rest are summarised as a count
+const MAX_ERRORS_SHOWN = 10;
+
+export class ImportExportPanel {
+  /**
+   * @param {GameStats} stats - Stats to export and import into
+   * @param {object} [options]
+   * @param {function} [options.onImport] - Called after an import has been applied
+   */
+  constructor(stats, { onImport } = {}) {
+    this.stats = stats;
+    this.onImport = onImport;
+    this.pendingImport = null; // { stats, fileName } awaiting confirmation
+    this.elements = {};
+
+    this.init();
+  }
+
+  /**
+   * Initialize the panel
+   */
+  init() {
+    this.cacheElements();
+    this.bindEvents();
+  }
+
+  /**
+   * Cache panel DOM elements
+   */
+  cacheElements() {
+    this.elements = {
+      exportJsonButton: document.getElementById('export-json'),
+      exportHistoryButton: document.getElementById('export-history-csv'),
+      exportSummaryButton: document.getElementById('export-summary-csv'),
+      fileInput: document.getElementById('import-file'),
+      preview: document.getElementById('import-preview'),
+      previewTable: document.getElementById('import-preview-table'),
+      modeInputs: document.querySelectorAll('input[name="import-mode"]'),
+      applyButton: document.getElementById('import-apply'),
+      cancelButton: document.getElementById('import-cancel'),
+      message: document.getElementById('import-message')
+    };
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    const { exportJsonButton, exportHistoryButton, exportSummaryButton, fileInput, modeInputs, applyButton, cancelButton } = this.elements;
+
+    exportJsonButton?.addEventListener('click', () => {
+      this.download(this.stats.exportStats(), 'stats', 'json', 'application/json');
+    });
+    exportHistoryButton?.addEventListener('click', () => {
+      this.download(this.stats.exportHistoryCsv(), 'history', 'csv', 'text/csv');
+    });
+    exportSummaryButton?.addEventListener('click', () => {
+      this.download(this.stats.exportSummaryCsv(), 'summary', 'csv', 'text/csv');
+    });
+
+    fileInput?.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      if (file) {
+        this.loadFile(file);
+      }
+    });
+    modeInputs.forEach(input => input.addEventListener('change', () => this.renderPreview()));
+    applyButton?.addEventListener('click', () => this.applyImport());
+    cancelButton?.addEventListener('click', () => this.clearImport());
+  }
+
+  /**
+   * Offer text as a file download
+   * @param {string} content - File contents
+   * @param {string} kind - Part of the file name, e.g. 'history'
+   * @param {string} extension - File extension
+   * @param {string} type - MIME type
+   */
+  download(content, kind, extension, type) {
+    const date = new Date().toISOString().slice(0, 10);
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `monty-hall-${kind}-${date}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Read and validate a file, then show a preview of the import
+   * @param {File} file - File chosen by the user
+   * @returns {Promise<boolean>} - True if the file is valid
+   */
+  async loadFile(file) {
+    this.clearImport({ keepFile: true });
+
+    let text;
+    try {
+      text = await file.text();
+    } catch (error) {
+      this.showErrors([`Could not read ${file.name}: ${error.message}`]);
+      return false;
+    }
+
+    const { stats, errors } = this.stats.parseImport(text, file.name);
+    if (!stats) {
+      this.showErrors(errors, file.name);
+      return false;
+    }
+
+    this.pendingImport = { stats, fileName: file.name };
+    this.renderPreview();
+    return true;
+  }
+
+  /**
+   * Get the selected import mode
+   * @returns {string} - 'merge' or 'replace'
+   */
+  getMode() {
+    const checked = [...this.elements.modeInputs].find(input => input.checked);
+    return checked ? checked.value : 'merge';
+  }
+
+  /**
+   * Show current, file and resulting stats side by side for the selected mode
+   */
+  renderPreview() {
+    const { preview, previewTable, message } = this.elements;
+    if (!this.pendingImport || !previewTable) return;
+
+    const current = this.stats.getStats();
+    const incoming = this.pendingImport.stats;
+    const result = this.stats.previewImport(incoming, this.getMode());
+
+    const rate = (bucket) => bucket.played > 0 ? `${(bucket.winRate * 100).toFixed(1)}% of ${bucket.played.toLocaleString()}` : '—';
+    const rows = [
+      ['Games played', stats => stats.totalGames.toLocaleString()],
+      ['Stay wins', stats => rate(stats.stay)],
+      ['Switch wins', stats => rate(stats.switch)],
+      ['Voided rounds', stats => stats.voidedGames.toLocaleString()],
+      ['Rounds in history', stats => stats.history.length.toLocaleString()]
+    ];
+
+    previewTable.innerHTML = `
+      <thead>
+        <tr>
+          <th scope="col"></th>
+          <th scope="col">Current</th>
+          <th scope="col">File</th>
+          <th scope="col">After import</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(([label, value]) => `
+          <tr>
+            <th scope="row">${label}</th>
+            <td>${value(current)}</td>
+            <td>${value(incoming)}</td>
+            <td>${value(result)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    `;
+
+    if (preview) preview.hidden = false;
+    if (message) {
+      message.className = 'import-message';
+      message.textContent = `Ready to import ${this.pendingImport.fileName}.`;
+    }
+  }
+
+  /**
+   * Apply the previewed import
+   */
+  applyImport() {
+    if (!this.pendingImport) return;
+
+    const mode = this.getMode();
+    const { fileName } = this.pendingImport;
+    this.stats.applyImport(this.pendingImport.stats, mode);
+    this.clearImport();
+
+    if (this.elements.message) {
+      this.elements.message.textContent = `${mode === 'merge' ? 'Merged' : 'Replaced stats with'} ${fileName}.`;
+    }
+    this.onImport?.();
+  }
+
+  /**
+   * Discard the pending import
+   * @param {object} [options]
+   * @param {boolean} [options.keepFile=false] - Leave the file input as it is
+   */
+  clearImport({ keepFile = false } = {}) {
+    const { preview, fileInput, message } = this.elements;
+
+    this.pendingImport = null;
+    if (preview) preview.hidden = true;
+    if (fileInput && !keepFile) fileInput.value = '';
+    if (message) {
+      message.className = 'import-message';
+      message.textContent = '';
+    }
+  }
+
+  /**
+   * List the problems that stopped a file from being imported
+   * @param {Array} errors - Error messages naming the bad fields
+   * @param {string} [fileName] - File that was rejected
+   */
+  showErrors(errors, fileName) {
+    const { message } = this.elements;
+    if (!message) return;
+
+    message.className = 'import-message import-error';
+    message.textContent = `${fileName ? `${fileName} was not imported` : 'Import failed'}; your stats are unchanged.`;
+
+    const list = document.createElement('ul');
+    errors.slice(0, MAX_ERRORS_SHOWN).forEach(error => {
+      const item = document.createElement('li');
+      item.textContent = error;
+      list.appendChild(item);
+    });
+    if (errors.length > MAX_ERRORS_SHOWN) {
+      const item = document.createElement('li');
+      item.textContent = `…and ${errors.length - MAX_ERRORS_SHOWN} more`;
+      list.appendChild(item);
+    }
+    message.appendChild(list);
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Statistical Inference Helpers for Monty Hall Simulator
+ * Confidence intervals and significance tests for win rates
+ */
+
+/**
+ * Standard normal cumulative distribution function
+ * @param {number} z - z-score
+ * @returns {number} - P(Z <= z)
+ */
+export function normalCdf(z) {
+  // Abramowitz & Stegun 7.1.26 approximation of erf (|error| < 1.5e-7)
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Inverse of the standard normal CDF
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} - z such that P(Z <= z) = p
+ */
+export function normalQuantile(p) {
+  if (!(p > 0 && p < 1)) {
+    throw new RangeError('p must be between 0 and 1 (exclusive)');
+  }
+
+  // Acklam's rational approximation (relative error < 1.2e-9)
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Wilson score interval for a binomial proportion
+ * @param {number} successes - Number of wins
+ * @param {number} trials - Number of games
+ * @param {number} [confidence=0.95] - Confidence level
+ * @returns {object} - { estimate, lower, upper, margin } (margin is half the interval width)
+ */
+export function wilsonInterval(successes, trials, confidence = 0.95) {
+  if (trials === 0) {
+    return { estimate: 0, lower: 0, upper: 1, margin: 0.5 };
+  }
+
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+  const p = successes / trials;
+  const z2 = z * z;
+  const denominator = 1 + z2 / trials;
+  const center = (p + z2 / (2 * trials)) / denominator;
+  const spread = (z / denominator) * Math.sqrt(p * (1 - p) / trials + z2 / (4 * trials * trials));
+  const lower = Math.max(0, center - spread);
+  const upper = Math.min(1, center + spread);
+
+  return { estimate: p, lower, upper, margin: (upper - lower) / 2 };
+}
+
+/**
+ * Two-sided two-proportion z-test (pooled variance)
+ * @param {number} successes1 - Wins in the first group
+ * @param {number} trials1 - Games in the first group
+ * @param {number} successes2 - Wins in the second group
+ * @param {number} trials2 - Games in the second group
+ * @returns {object} - { z, pValue }; pValue is 1 when either group is empty
+ */
+export function twoProportionZTest(successes1, trials1, successes2, trials2) {
+  if (trials1 === 0 || trials2 === 0) {
+    return { z: 0, pValue: 1 };
+  }
+
+  const p1 = successes1 / trials1;
+  const p2 = successes2 / trials2;
+  const pooled = (successes1 + successes2) / (trials1 + trials2);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / trials1 + 1 / trials2));
+
+  if (standardError === 0) {
+    return { z: 0, pValue: p1 === p2 ? 1 : 0 };
+  }
+
+  const z = (p1 - p2) / standardError;
+  return { z, pValue: Math.min(1, 2 * (1 - normalCdf(Math.abs(z)))) };
+}
+
+/**
+ * Two-sided exact binomial test against an expected proportion
+ * @param {number} successes - Number of wins
+ * @param {number} trials - Number of games
+ * @param {number} expected - Proportion under the null hypothesis
+ * @returns {object} - { expected, pValue }
+ */
+export function binomialTest(successes, trials, expected) {
+  if (trials === 0) {
+    return { expected, pValue: 1 };
+  }
+
+  // Sum the probabilities of every outcome at least as unlikely as the observed one
+  const observed = binomialLogPmf(successes, trials, expected);
+  const tolerance = 1e-7;
+  let pValue = 0;
+  for (let k = 0; k <= trials; k++) {
+    const logPmf = binomialLogPmf(k, trials, expected);
+    if (logPmf <= observed + tolerance) {
+      pValue += Math.exp(logPmf);
+    }
+  }
+
+  return { expected, pValue: Math.min(1, pValue) };
+}
+
+/**
+ * Format a p-value for display
+ * @param {number} pValue - p-value
+ * @returns {string} - e.g. "p = 0.002" or "p < 0.001"
+ */
+export function formatPValue(pValue) {
+  return pValue < 0.001 ? 'p < 0.001' : `p = ${pValue.toFixed(3)}`;
+}
+
+/**
+ * Log of the binomial probability mass function
+ */
+function binomialLogPmf(k, n, p) {
+  if (p === 0) return k === 0 ? 0 : -Infinity;
+  if (p === 1) return k === n ? 0 : -Infinity;
+  return logFactorial(n) - logFactorial(k) - logFactorial(n - k) + k * Math.log(p) + (n - k) * Math.log(1 - p);
+}
+
+// Cache of log(n!) values, grown on demand
+const logFactorials = [0];
+
+/**
+ * Natural log of n!
+ */
+function logFactorial(n) {
+  for (let i = logFactorials.length; i <= n; i++) {
+    logFactorials[i] = logFactorials[i - 1] + Math.log(i);
+  }
+  return logFactorials[n];
+}
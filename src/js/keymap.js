@@ -0,0 +1,253 @@
+/**
+ * Keymap for Monty Hall Simulator
+ * The keyboard shortcuts, the keys they are bound to, and the player's own bindings
+ * kept with their other settings
+ */
+
+import { lowerFirst } from './text.js';
+
+// Every shortcut with its default key, in the order the help lists them
+export const SHORTCUTS = Object.freeze([
+  ...Array.from({ length: 9 }, (_, door) => ({
+    action: `door${door + 1}`,
+    key: String(door + 1),
+    door,
+    description: `Select door ${door + 1} (after the reveal, switch to it)`
+  })),
+  { action: 'stay', key: 's', description: 'Stay with your original choice' },
+  { action: 'switch', key: 'w', description: 'Switch to the other door' },
+  { action: 'undo', key: 'u', description: 'Undo your last move' },
+  { action: 'reset', key: 'r', description: 'Start a new game' },
+  { action: 'help', key: '?', description: 'Show the keyboard shortcuts' }
+].map(shortcut => Object.freeze(shortcut)));
+
+// Keys that move focus, choose doors and close dialogs, so they cannot be rebound
+const RESERVED_KEYS = new Set([
+  'Tab', 'Enter', ' ', 'Escape', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End',
+  'Shift', 'Control', 'Alt', 'Meta', 'CapsLock', 'Dead', 'Unidentified'
+]);
+
+// Inputs that take typing; shortcuts are off while one has focus
+const TEXT_INPUT_TYPES = new Set(['text', 'search', 'email', 'url', 'tel', 'password', 'number', 'date', 'time']);
+
+export class Keymap {
+  /**
+   * @param {object} [options]
+   * @param {Settings} [options.settings] - Where the player's bindings are saved; kept in memory if omitted
+   */
+  constructor({ settings = null } = {}) {
+    this.settings = settings;
+    this.bindings = getDefaultBindings();
+    this.listeners = new Set();
+  }
+
+  /**
+   * Load the saved bindings. Unknown actions and reserved keys are dropped with an
+   * error; if two actions end up on the same key, the defaults are used instead.
+   */
+  async load() {
+    try {
+      const saved = this.settings?.get('shortcuts');
+      if (saved && typeof saved === 'object') {
+        const bindings = getDefaultBindings();
+        const dropped = [];
+        for (const [action, key] of Object.entries(saved)) {
+          if (action in bindings && !getKeyProblem(key)) {
+            bindings[action] = normalizeKey(key);
+          } else {
+            dropped.push(action);
+          }
+        }
+        if (dropped.length > 0) {
+          console.error('Dropped invalid saved shortcuts:', dropped);
+        }
+
+        if (new Set(Object.values(bindings)).size === SHORTCUTS.length) {
+          this.bindings = bindings;
+        } else {
+          console.error('Saved shortcuts share keys; using the defaults');
+        }
+      }
+    } catch (error) {
+      console.error('Error loading keyboard shortcuts:', error);
+    }
+    this.notify();
+  }
+
+  /**
+   * Get every shortcut with the key it is bound to now
+   * @returns {Array} - Shortcuts, as in SHORTCUTS
+   */
+  list() {
+    return SHORTCUTS.map(shortcut => ({ ...shortcut, key: this.bindings[shortcut.action] }));
+  }
+
+  /**
+   * Find the shortcut a key is bound to
+   * @param {string} key - KeyboardEvent.key
+   * @returns {object|null} - Shortcut, or null if the key does nothing
+   */
+  getShortcut(key) {
+    const normalized = normalizeKey(key);
+    return this.list().find(shortcut => shortcut.key === normalized) ?? null;
+  }
+
+  /**
+   * Get the key bound to an action
+   * @param {string} action - e.g. 'stay'
+   * @returns {string|undefined} - KeyboardEvent.key
+   */
+  getKey(action) {
+    return this.bindings[action];
+  }
+
+  /**
+   * Check that an action can be bound to a key
+   * @param {string} action - e.g. 'stay'
+   * @param {string} key - KeyboardEvent.key
+   * @returns {string|null} - Problem with the binding, or null if it is fine
+   */
+  validate(action, key) {
+    if (!SHORTCUTS.some(shortcut => shortcut.action === action)) {
+      return `There is no shortcut called "${action}"`;
+    }
+    const keyProblem = getKeyProblem(key);
+    if (keyProblem) {
+      return keyProblem;
+    }
+
+    const taken = this.getShortcut(key);
+    if (taken && taken.action !== action) {
+      return `${formatKey(key)} is already used to ${lowerFirst(taken.description)}`;
+    }
+    return null;
+  }
+
+  /**
+   * Bind an action to a new key and save it
+   * @param {string} action - e.g. 'stay'
+   * @param {string} key - KeyboardEvent.key
+   * @returns {Promise<object>} - { success, error }
+   */
+  async rebind(action, key) {
+    const error = this.validate(action, key);
+    if (error) {
+      return { success: false, error };
+    }
+
+    this.bindings[action] = normalizeKey(key);
+    await this.persist();
+    this.notify();
+    return { success: true, error: null };
+  }
+
+  /**
+   * Put every shortcut back on its default key
+   */
+  async resetToDefaults() {
+    this.bindings = getDefaultBindings();
+    await this.persist();
+    this.notify();
+  }
+
+  /**
+   * Short phrases for the main shortcuts, e.g. "S to stay", for hints. The door keys
+   * only reach the first nine doors, so the arrow keys are named for the rest.
+   * @returns {Array} - Phrases, in the order the help lists them
+   */
+  describeShortcuts() {
+    const doorKeys = this.list().filter(shortcut => shortcut.door !== undefined).map(shortcut => shortcut.key);
+    const doors = doorKeys.join('') === '123456789' ? '1-9' : doorKeys.map(formatKey).join(' ');
+
+    return [
+      `${doors} to select doors 1-${doorKeys.length}`,
+      'arrow keys and Enter for any door',
+      `${formatKey(this.bindings.stay)} to stay`,
+      `${formatKey(this.bindings.switch)} to switch`,
+      `${formatKey(this.bindings.undo)} to undo`,
+      `${formatKey(this.bindings.reset)} to reset`,
+      `${formatKey(this.bindings.help)} for all shortcuts`
+    ];
+  }
+
+  /**
+   * Be told whenever a binding changes
+   * @param {function} listener - Called with the keymap
+   * @returns {function} - Call to stop listening
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Tell listeners the bindings changed
+   */
+  notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  /**
+   * Save the bindings with the other settings
+   */
+  async persist() {
+    const result = await this.settings?.update({ shortcuts: { ...this.bindings } });
+    if (result && !result.success) {
+      console.error('Error saving keyboard shortcuts:', result.errors);
+    }
+  }
+}
+
+/**
+ * Check whether a keydown should trigger shortcuts. It should not while the player is
+ * typing, holds Ctrl, Alt or Cmd (browser shortcuts), or is in a dialog. The result
+ * dialog is marked with data-allow-shortcuts, so the next round can be started from it.
+ * @param {KeyboardEvent} e - Keydown
+ * @returns {boolean} - True if shortcuts apply
+ */
+export function isShortcutEvent(e) {
+  if (e.ctrlKey || e.altKey || e.metaKey) {
+    return false;
+  }
+
+  const target = e.target;
+  if (typeof target?.closest !== 'function') {
+    return true; // The document itself
+  }
+  if (target.isContentEditable || target.closest('textarea, select') ||
+      (target.tagName === 'INPUT' && TEXT_INPUT_TYPES.has(target.type))) {
+    return false;
+  }
+  return !target.closest('[aria-modal="true"]:not([data-allow-shortcuts])');
+}
+
+/**
+ * Get a key as it is shown to the player, e.g. "S"
+ * @param {string} key - KeyboardEvent.key
+ * @returns {string} - Label
+ */
+export function formatKey(key) {
+  if (key === ' ') return 'Space';
+  return typeof key === 'string' && key.length === 1 ? key.toUpperCase() : String(key);
+}
+
+/**
+ * Check that a key can have a shortcut: not reserved, and not a function key
+ */
+function getKeyProblem(key) {
+  if (typeof key !== 'string' || key.length === 0 || RESERVED_KEYS.has(key) || /^F\d+$/.test(key)) {
+    return `${formatKey(key)} cannot be used as a shortcut`;
+  }
+  return null;
+}
+
+/**
+ * Letters match whatever the case, so Caps Lock and Shift do not change what a key does
+ */
+function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+function getDefaultBindings() {
+  return Object.fromEntries(SHORTCUTS.map(shortcut => [shortcut.action, shortcut.key]));
+}
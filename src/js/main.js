@@ -6,6 +6,30 @@
 import { MontyHallGame } from './game.js';
 import { GameStats } from './stats.js';
 import { MontyHallUI } from './ui.js';
+import { SimulationPanel } from './simulation-panel.js';
+import { SimulationRunner } from './simulation-runner.js';
+import { HistoryPanel } from './history-panel.js';
+import { ImportExportPanel } from './import-export-panel.js';
+import { ConvergenceChart } from './convergence-chart.js';
+import { ProbabilityCalculator } from './probability-calculator.js';
+import { ExplainMode } from './explain-mode.js';
+import { OutcomeTable } from './outcome-table.js';
+import { StrategyLibrary } from './strategy-library.js';
+import { TournamentPanel } from './tournament-panel.js';
+import { ClassroomClient } from './classroom-client.js';
+import { ClassroomPanel } from './classroom-panel.js';
+import { Announcer } from './announcer.js';
+import { GameNarrator } from './game-narrator.js';
+import { FocusTrap } from './focus-trap.js';
+import { Keymap } from './keymap.js';
+import { ShortcutHelp } from './shortcut-help.js';
+import { Settings, getGameOptions } from './settings.js';
+import { SettingsPanel } from './settings-panel.js';
+import { parsePermalink, applyPermalink, createPermalink } from './permalink.js';
+import { escapeHtml } from './text.js';
+
+// Import errors listed in the failure dialog; the rest are summarised as a count
+const MAX_IMPORT_ERRORS_SHOWN = 10;
 
 /**
  * Main Application Class
@@ -15,6 +39,25 @@ class MontyHallApp {
     this.game = null;
     this.stats = null;
     this.ui = null;
+    this.announcer = null;
+    this.narrator = null;
+    this.infoModalTrap = null;
+    this.settings = null;
+    this.settingsPanel = null;
+    this.keymap = null;
+    this.shortcutHelp = null;
+    this.explainMode = null;
+    this.outcomeTable = null;
+    this.simulationRunner = null;
+    this.simulationPanel = null;
+    this.strategyLibrary = null;
+    this.tournamentPanel = null;
+    this.historyPanel = null;
+    this.importExportPanel = null;
+    this.classroomClient = null;
+    this.classroomPanel = null;
+    this.convergenceChart = null;
+    this.probabilityCalculator = null;
     this.initialized = false;
   }
 
@@ -26,18 +69,78 @@ class MontyHallApp {
       // Initialize core components
       this.game = new MontyHallGame();
       this.stats = new GameStats();
+      this.simulationRunner = new SimulationRunner();
+
+      // Saved stats must be loaded before any UI reads or records them
+      await this.stats.load();
+      this.strategyLibrary = new StrategyLibrary({ storage: this.stats.storage });
+      await this.strategyLibrary.load();
+
+      // Preferences are saved apart from the stats, under their own key
+      this.settings = new Settings({ storage: this.stats.storage });
+      await this.settings.load();
+      this.game.configure(getGameOptions(this.settings.getAll()));
+      this.keymap = new Keymap({ settings: this.settings });
+      await this.keymap.load();
 
       // Wait for DOM to be ready
       await this.waitForDOM();
 
+      // Open on the scenario in the link, if any. This happens before stats are tracked,
+      // so a first pick carried by the link is not recorded as a round of its own.
+      const permalinkErrors = this.restorePermalink();
+
+      // Stats record each round as the game finishes it
+      this.stats.trackGame(this.game);
+
+      // Screen readers hear each step of the round, however it is played
+      this.announcer = new Announcer();
+      this.narrator = new GameNarrator(this.game, this.announcer);
+
       // Initialize UI (this will handle all DOM interactions)
-      this.ui = new MontyHallUI(this.game, this.stats);
+      this.ui = new MontyHallUI(this.game, this.stats, {
+        announcer: this.announcer,
+        keymap: this.keymap,
+        onShowShortcuts: () => this.shortcutHelp?.open(),
+        settings: this.settings,
+        onUpdate: () => {
+          this.explainMode?.render();
+          this.outcomeTable?.render();
+        }
+      });
+      this.shortcutHelp = new ShortcutHelp(this.keymap);
+      this.settingsPanel = new SettingsPanel(this.settings);
+      this.explainMode = new ExplainMode(this.game);
+      this.outcomeTable = new OutcomeTable(this.game);
+      this.convergenceChart = new ConvergenceChart(this.stats);
+      this.simulationPanel = new SimulationPanel(this.game, this.simulationRunner, {
+        onResults: (results) => this.convergenceChart.showSimulation(results)
+      });
+      this.tournamentPanel = new TournamentPanel(this.game, this.simulationRunner, this.stats, this.strategyLibrary);
+      this.historyPanel = new HistoryPanel(this.stats);
+      this.probabilityCalculator = new ProbabilityCalculator(this.game);
+      this.importExportPanel = new ImportExportPanel(this.stats, {
+        onImport: () => this.ui.updateStatsDisplay()
+      });
+      this.classroomClient = new ClassroomClient(this.game, {
+        storage: this.stats.storage,
+        onStatus: () => this.classroomPanel?.render()
+      });
+      this.classroomPanel = new ClassroomPanel(this.classroomClient);
+
+      // Rejoin the classroom from last time, if any, without holding up the page
+      this.classroomClient.load().then(() => this.classroomPanel.render());
 
       // Set up global error handling
       this.setupErrorHandling();
 
-      // Set up visibility change handling (for pausing animations)
-      this.setupVisibilityHandling();
+      // Stop the simulation worker when the page goes away
+      window.addEventListener('pagehide', () => this.destroy());
+
+      document.getElementById('copy-link-button')?.addEventListener('click', () => this.copyPermalink());
+      if (permalinkErrors.length > 0) {
+        this.ui.showMessage('That link could not be read, so a new game was started instead', 'error');
+      }
 
       this.initialized = true;
 
@@ -65,6 +168,51 @@ class MontyHallApp {
     });
   }
 
+  /**
+   * Set the game up from the permalink in the page URL. A malformed link is
+   * reported and ignored, leaving the default game.
+   * @returns {Array} - Problems with the link (empty if there was none, or it was valid)
+   */
+  restorePermalink() {
+    const { settings, errors } = parsePermalink(window.location.hash);
+    if (errors.length > 0) {
+      console.error('Ignoring malformed link:', errors);
+      return errors;
+    }
+    if (!settings) {
+      return [];
+    }
+
+    try {
+      applyPermalink(this.game, settings);
+      return [];
+    } catch (error) {
+      console.error('Could not restore the linked game:', error);
+      this.game.configure(getGameOptions(this.settings.getAll()));
+      return [error.message];
+    }
+  }
+
+  /**
+   * Copy a link to the current setup and round, so others can open the same scenario
+   * @returns {Promise<string>} - The link
+   */
+  async copyPermalink() {
+    const link = createPermalink(this.game, window.location.href);
+
+    try {
+      await navigator.clipboard.writeText(link);
+      this.ui.showMessage(this.game.canMakeChoice() ?
+        'Link copied: it opens at this decision, with the same car and host' :
+        'Link copied: it opens this round, with the same doors, car and host', 'success');
+    } catch (error) {
+      // Clipboard access can be refused (e.g. on file:// pages); let the user copy it by hand
+      console.error('Could not copy link:', error);
+      window.prompt('Copy this link:', link);
+    }
+    return link;
+  }
+
   /**
    * Set up global error handling
    */
@@ -80,20 +228,6 @@ class MontyHallApp {
     });
   }
 
-  /**
-   * Set up page visibility handling
-   */
-  setupVisibilityHandling() {
-    document.addEventListener('visibilitychange', () => {
-      if (this.ui) {
-        // Reset any ongoing animations when page becomes hidden
-        if (document.hidden) {
-          this.ui.isAnimating = false;
-        }
-      }
-    });
-  }
-
   /**
    * Show welcome message for new users
    */
@@ -103,21 +237,24 @@ class MontyHallApp {
     if (stats.totalGames === 0) {
       // First time user
       setTimeout(() => {
+        // Read when shown, so the doors chosen in settings or a link are described
+        const { doorCount, revealCount } = this.game;
+        const opened = revealCount === 1 ? 'a door with a goat' : `${revealCount} doors with goats`;
         this.showInfoModal(
           'Welcome to the Monty Hall Problem!',
           `
             <p>This classic probability puzzle demonstrates counterintuitive mathematics.</p>
             <p><strong>How it works:</strong></p>
             <ul>
-              <li>Choose one of three doors (one has a car, two have goats)</li>
-              <li>The host opens a door with a goat</li>
+              <li>Choose one of ${doorCount} doors (one has a car, ${doorCount - 1} have goats)</li>
+              <li>The host opens ${opened}</li>
               <li>Decide: stay with your choice or switch doors</li>
             </ul>
             <p>Try both strategies and see which works better!</p>
-            <p><em>Keyboard shortcuts: 1-3 to select doors, S to stay, W to switch, R to reset</em></p>
+            <p><em>Keyboard shortcuts: ${escapeHtml(this.keymap.describeShortcuts().join(', '))}</em></p>
           `
         );
-      }, 1000);
+      }, this.settings.get('welcomeDelaySeconds') * 1000);
     }
   }
 
@@ -132,6 +269,9 @@ class MontyHallApp {
       modal = document.createElement('div');
       modal.id = 'info-modal';
       modal.className = 'modal';
+      modal.setAttribute('role', 'dialog');
+      modal.setAttribute('aria-modal', 'true');
+      modal.setAttribute('aria-labelledby', 'info-modal-title');
       modal.innerHTML = `
         <div class="modal-content">
           <div class="modal-header">
@@ -143,23 +283,22 @@ class MontyHallApp {
       `;
       document.body.appendChild(modal);
 
+      const close = () => {
+        modal.style.display = 'none';
+        this.infoModalTrap.release();
+      };
+
+      // Keep focus in the dialog while it is open; Escape closes it
+      this.infoModalTrap = new FocusTrap(modal, { onEscape: close });
+
       // Add close functionality
       const closeBtn = modal.querySelector('.modal-close');
-      closeBtn.addEventListener('click', () => {
-        modal.style.display = 'none';
-      });
+      closeBtn.addEventListener('click', close);
 
       // Close on backdrop click
       modal.addEventListener('click', (e) => {
         if (e.target === modal) {
-          modal.style.display = 'none';
-        }
-      });
-
-      // Close on Escape key
-      document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && modal.style.display !== 'none') {
-          modal.style.display = 'none';
+          close();
         }
       });
     }
@@ -170,6 +309,7 @@ class MontyHallApp {
 
     // Show modal
     modal.style.display = 'flex';
+    this.infoModalTrap.activate(modal.querySelector('.modal-close'));
   }
 
   /**
@@ -210,6 +350,32 @@ class MontyHallApp {
     }, 5000);
   }
 
+  /**
+   * Import stats exported by exportStats(), reporting any invalid fields to the user
+   * @param {string} jsonString - Exported stats JSON
+   * @returns {boolean} - True if the stats were replaced
+   */
+  importData(jsonString) {
+    const { success, errors } = this.stats.importStats(jsonString);
+
+    if (success) {
+      this.ui?.updateStatsDisplay();
+      return true;
+    }
+
+    const shown = errors.slice(0, MAX_IMPORT_ERRORS_SHOWN);
+    const more = errors.length - shown.length;
+    this.showInfoModal(
+      'Import failed',
+      `
+        <p>The file was not imported and your current statistics are unchanged. Problems found:</p>
+        <ul>${shown.map(error => `<li><code>${escapeHtml(error)}</code></li>`).join('')}</ul>
+        ${more > 0 ? `<p>…and ${more} more.</p>` : ''}
+      `
+    );
+    return false;
+  }
+
   /**
    * Reset the entire application
    */
@@ -222,6 +388,14 @@ class MontyHallApp {
     }
   }
 
+  /**
+   * Release background resources (the simulation worker)
+   */
+  destroy() {
+    this.simulationPanel?.cancel();
+    this.simulationRunner?.terminate();
+  }
+
   /**
    * Get application status for debugging
    */
@@ -230,6 +404,8 @@ class MontyHallApp {
       initialized: this.initialized,
       gamePhase: this.game ? this.game.gamePhase : null,
       totalGames: this.stats ? this.stats.getStats().totalGames : 0,
+      simulationWorker: this.simulationRunner ? this.simulationRunner.isUsingWorker() : false,
+      storage: this.stats?.storage ? this.stats.storage.id : null,
       version: '1.0.0'
     };
   }
@@ -0,0 +1,236 @@
+/**
+ * Outcome Table for Monty Hall Simulator
+ * Lists every combination of car position, first pick and host move for the current
+ * game configuration, weighted by probability, with the stay and switch result of each
+ */
+
+import { enumerateOutcomes, countEnumerationSteps } from './enumeration.js';
+import { formatProbability, formatDoors } from './probability.js';
+import { capitalize } from './text.js';
+
+export class OutcomeTable {
+  /**
+   * @param {MontyHallGame} game - Game whose configuration is enumerated and whose round is highlighted
+   * @param {object} [options]
+   * @param {number} [options.pageSize=24] - Rows per page
+   */
+  constructor(game, { pageSize = 24 } = {}) {
+    this.game = game;
+    this.pageSize = pageSize;
+    this.page = 1;
+    this.enumeration = null;
+    this.enumerationKey = null;
+    this.roundKey = null;
+    this.elements = {};
+
+    this.init();
+  }
+
+  /**
+   * Initialize the table
+   */
+  init() {
+    this.cacheElements();
+    this.bindEvents();
+    this.render();
+  }
+
+  /**
+   * Cache table DOM elements
+   */
+  cacheElements() {
+    this.elements = {
+      summary: document.getElementById('outcome-summary'),
+      table: document.getElementById('outcome-table'),
+      totals: document.getElementById('outcome-totals'),
+      prevButton: document.getElementById('outcome-prev'),
+      nextButton: document.getElementById('outcome-next'),
+      pageLabel: document.getElementById('outcome-page')
+    };
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    this.elements.prevButton?.addEventListener('click', () => this.goToPage(this.page - 1));
+    this.elements.nextButton?.addEventListener('click', () => this.goToPage(this.page + 1));
+  }
+
+  /**
+   * Show a specific page of the table
+   * @param {number} page - 1-based page number
+   */
+  goToPage(page) {
+    this.page = page;
+    this.render();
+  }
+
+  /**
+   * Enumerate the current configuration, reusing the last result while it is unchanged
+   * @returns {object|null} - Result of enumerateOutcomes()
+   */
+  getEnumeration() {
+    const { doorCount, revealCount, host } = this.game;
+    const key = JSON.stringify([doorCount, revealCount, host.id, host.getOptions()]);
+
+    if (key !== this.enumerationKey) {
+      this.enumeration = enumerateOutcomes({ doorCount, revealCount, host });
+      this.enumerationKey = key;
+      this.page = 1;
+    }
+    return this.enumeration;
+  }
+
+  /**
+   * Decide how a row relates to the round being played. Until the round is over only
+   * what the player has seen is compared, so the table never gives away the car.
+   * @param {object} row - Enumerated outcome
+   * @param {object} state - Current game state
+   * @returns {string|null} - 'current' for the exact round, 'consistent' for rows that fit
+   *   what the player has seen so far, or null
+   */
+  matchRow(row, state) {
+    if (state.playerChoice === null || row.playerChoice !== state.playerChoice ||
+        row.offersSwitch !== state.switchOffered ||
+        row.revealedDoors.join() !== state.hostRevealedDoors.join()) {
+      return null;
+    }
+
+    const roundOver = state.gamePhase === 'finished' || state.voided;
+    if (roundOver) {
+      return row.carDoor === state.carDoor ? 'current' : null;
+    }
+    return row.revealedDoors.includes(row.carDoor) ? null : 'consistent';
+  }
+
+  /**
+   * Render the current page, jumping to the current round's rows when the round changes
+   */
+  render() {
+    const { summary, table, totals } = this.elements;
+    if (!table) return;
+
+    const { doorCount, revealCount, host } = this.game;
+    const enumeration = this.getEnumeration();
+
+    if (!enumeration) {
+      const steps = countEnumerationSteps({ doorCount, revealCount });
+      if (summary) {
+        summary.textContent = `${doorCount} doors with the host opening ${revealCount} means checking ` +
+          `${steps.toLocaleString()} combinations, too many to list here. Try fewer doors.`;
+      }
+      table.innerHTML = '';
+      if (totals) totals.innerHTML = '';
+      this.renderPagination(1, 1);
+      return;
+    }
+
+    const state = this.game.getGameState();
+    const { rows } = enumeration;
+    const matches = rows.map(row => this.matchRow(row, state));
+
+    // Show the page holding the current round whenever the round moves on
+    const roundKey = JSON.stringify([state.seed, state.gamePhase, state.playerChoice]);
+    if (roundKey !== this.roundKey) {
+      this.roundKey = roundKey;
+      const firstMatch = matches.findIndex(match => match !== null);
+      if (firstMatch >= 0) {
+        this.page = Math.floor(firstMatch / this.pageSize) + 1;
+      }
+    }
+
+    const totalPages = Math.max(1, Math.ceil(rows.length / this.pageSize));
+    this.page = Math.min(Math.max(1, this.page), totalPages);
+    const start = (this.page - 1) * this.pageSize;
+
+    if (summary) {
+      const matching = matches.filter(match => match !== null).length;
+      const highlight = matches.includes('current') ? ' The highlighted row is the round you just played.' :
+        matching > 0 ? ` The ${matching} highlighted ${matching === 1 ? 'row fits' : 'rows fit'} what you have seen this round.` : '';
+      summary.textContent = `Every way a round can go with ${doorCount} doors, ${host.name} and ` +
+        `${revealCount} ${revealCount === 1 ? 'door' : 'doors'} opened: ${rows.length} combinations ` +
+        `of car, first pick and host move, each with its exact probability.${highlight}`;
+    }
+
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th scope="col">Car</th>
+          <th scope="col">Your pick</th>
+          <th scope="col">Host opens</th>
+          <th scope="col">Probability</th>
+          <th scope="col">Stay</th>
+          <th scope="col">Switch</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.slice(start, start + this.pageSize).map((row, i) => this.renderRow(row, matches[start + i])).join('')}
+      </tbody>
+    `;
+
+    if (totals) {
+      const voided = enumeration.totals.voided > 0 ?
+        ` Rows where the host shows the car (${formatProbability(enumeration.totals.voided)} of rounds) are voided and left out.` : '';
+      totals.innerHTML = `Adding up the rows: staying wins <strong>${formatProbability(enumeration.totals.stay)}</strong> ` +
+        `and switching wins <strong>${formatProbability(enumeration.totals.switch)}</strong>.${voided}`;
+    }
+
+    this.renderPagination(this.page, totalPages);
+  }
+
+  /**
+   * Render one outcome as a table row
+   * @param {object} row - Enumerated outcome
+   * @param {string|null} match - Result of matchRow()
+   * @returns {string} - HTML
+   */
+  renderRow(row, match) {
+    const opened = row.offersSwitch ? capitalize(formatDoors(row.revealedDoors)) : 'Nothing (no switch offered)';
+    const result = (won) => won ? '<span class="outcome-win">Win</span>' : '<span class="outcome-loss">Lose</span>';
+
+    let stay;
+    let switchResult;
+    if (row.voided) {
+      stay = switchResult = '<span class="outcome-void">Void (car shown)</span>';
+    } else {
+      stay = result(row.stayWins);
+      if (!row.offersSwitch) {
+        switchResult = `<span class="outcome-void">Must stay:</span> ${result(row.stayWins)}`;
+      } else if (row.switchWins === 0 || row.switchWins === 1) {
+        switchResult = result(row.switchWins === 1);
+      } else {
+        switchResult = `<span class="outcome-win">Wins ${formatProbability(row.switchWins)} of the time</span>`;
+      }
+    }
+
+    return `
+      <tr class="${match ? `outcome-${match}` : ''}">
+        <td>Door ${row.carDoor + 1}</td>
+        <td>Door ${row.playerChoice + 1}</td>
+        <td>${opened}</td>
+        <td>${formatProbability(row.probability)}</td>
+        <td>${stay}</td>
+        <td>${switchResult}</td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Update the pagination controls
+   * @param {number} page - Current page
+   * @param {number} totalPages - Page count
+   */
+  renderPagination(page, totalPages) {
+    const { prevButton, nextButton, pageLabel } = this.elements;
+    if (pageLabel) {
+      pageLabel.textContent = `Page ${page} of ${totalPages}`;
+    }
+    if (prevButton) {
+      prevButton.disabled = page <= 1;
+    }
+    if (nextButton) {
+      nextButton.disabled = page >= totalPages;
+    }
+  }
+}
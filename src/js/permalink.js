@@ -0,0 +1,137 @@
+/**
+ * Permalinks for Monty Hall Simulator
+ * Encodes the game setup, round seed and optionally the player's first pick in the
+ * URL hash, e.g. #doors=10&open=8&host=standard&seed=42&pick=3, so a link opens on
+ * exactly the same scenario
+ */
+
+import { MIN_DOORS, MAX_DOORS } from './game.js';
+import { HOST_MODELS, createHost } from './hosts.js';
+import { SeededRandom } from './random.js';
+
+// Parameters a permalink may carry; anything else in the hash is ignored
+const PARAMS = ['doors', 'open', 'host', 'preference', 'seed', 'pick'];
+
+/**
+ * Build the hash for the game's current setup and round. The first pick is included
+ * while the player is deciding whether to switch, so the link opens at that decision.
+ * @param {MontyHallGame} game - Game to describe
+ * @returns {string} - Hash including the leading '#'
+ */
+export function encodePermalink(game) {
+  const params = new URLSearchParams({
+    doors: String(game.doorCount),
+    open: String(game.revealCount),
+    host: game.host.id
+  });
+
+  for (const [key, value] of Object.entries(game.host.getOptions())) {
+    params.set(key, String(value));
+  }
+  params.set('seed', String(game.seed));
+
+  if (game.canMakeChoice()) {
+    params.set('pick', String(game.playerChoice + 1));
+  }
+
+  return `#${params.toString()}`;
+}
+
+/**
+ * Build a full link to the game's current setup and round
+ * @param {MontyHallGame} game - Game to describe
+ * @param {string} pageUrl - URL of the page; any existing hash is replaced
+ * @returns {string} - Shareable URL
+ */
+export function createPermalink(game, pageUrl) {
+  return pageUrl.split('#')[0] + encodePermalink(game);
+}
+
+/**
+ * Read a permalink hash. A hash without any permalink parameters (such as
+ * #main-content from the skip link) is not a permalink and gives no settings.
+ * @param {string} hash - location.hash, with or without the leading '#'
+ * @returns {object} - { settings, errors }; settings is null if there is no valid
+ *   permalink, and errors lists every problem found
+ */
+export function parsePermalink(hash) {
+  const params = new URLSearchParams(String(hash ?? '').replace(/^#/, ''));
+  if (!PARAMS.some(key => params.has(key))) {
+    return { settings: null, errors: [] };
+  }
+
+  const errors = [];
+  const readInteger = (key, fallback, min, max) => {
+    if (!params.has(key)) return fallback;
+
+    const raw = params.get(key).trim();
+    const value = /^\d+$/.test(raw) ? Number(raw) : NaN;
+    if (!(value >= min && value <= max)) {
+      errors.push(`${key}: "${raw}" is not a whole number from ${min} to ${max}`);
+      return fallback;
+    }
+    return value;
+  };
+
+  const doorCount = readInteger('doors', 3, MIN_DOORS, MAX_DOORS);
+  const revealCount = readInteger('open', doorCount - 2, 1, doorCount - 2);
+  const pick = readInteger('pick', null, 1, doorCount);
+
+  const hostModel = params.get('host') ?? 'standard';
+  const hostOptions = {};
+  if (!HOST_MODELS[hostModel]) {
+    errors.push(`host: unknown host model "${hostModel}"`);
+  } else if (params.has('preference')) {
+    hostOptions.preference = Number(params.get('preference'));
+    try {
+      createHost(hostModel, hostOptions);
+    } catch (error) {
+      errors.push(`preference: ${error.message}`);
+    }
+  }
+
+  const rawSeed = params.get('seed')?.trim();
+  if (rawSeed === '') {
+    errors.push('seed: is empty');
+  } else if (rawSeed === undefined && pick !== null) {
+    // Without the seed the pick would land in a different round
+    errors.push('pick: needs a seed, so the door is picked in the same round');
+  }
+
+  if (errors.length > 0) {
+    return { settings: null, errors };
+  }
+
+  return {
+    settings: {
+      doorCount,
+      revealCount,
+      hostModel,
+      hostOptions,
+      // Text seeds are allowed too (e.g. seed=lesson-1) and are hashed to a number
+      seed: rawSeed === undefined ? null : SeededRandom.normalizeSeed(rawSeed),
+      playerChoice: pick === null ? null : pick - 1
+    },
+    errors
+  };
+}
+
+/**
+ * Set a game up as described by parsePermalink()
+ * @param {MontyHallGame} game - Game to set up
+ * @param {object} settings - Settings from parsePermalink()
+ */
+export function applyPermalink(game, settings) {
+  game.configure({
+    doorCount: settings.doorCount,
+    revealCount: settings.revealCount,
+    host: createHost(settings.hostModel, settings.hostOptions)
+  });
+
+  if (settings.seed !== null) {
+    game.reset(settings.seed);
+  }
+  if (settings.playerChoice !== null) {
+    game.selectDoor(settings.playerChoice);
+  }
+}
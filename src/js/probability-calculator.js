@@ -0,0 +1,200 @@
+/**
+ * Probability Calculator for Monty Hall Simulator
+ * Works out the exact stay and switch win probabilities for any door count,
+ * number of doors opened and host model, showing each step of Bayes' rule
+ */
+
+import { HOST_MODELS, createHost, getHostName } from './hosts.js';
+import { analyzeObservation, getStrategyWinProbabilities, formatProbability, formatDoors } from './probability.js';
+import { capitalize } from './text.js';
+
+const ROLE_LABELS = {
+  pick: 'your pick',
+  opened: 'opened, goat',
+  closed: 'still closed'
+};
+
+export class ProbabilityCalculator {
+  /**
+   * @param {MontyHallGame} game - Game whose configuration the calculator starts from
+   */
+  constructor(game) {
+    this.game = game;
+    this.elements = {};
+
+    this.init();
+  }
+
+  /**
+   * Initialize the calculator
+   */
+  init() {
+    this.cacheElements();
+    this.renderOptions(this.game.doorCount, this.game.revealCount, this.game.host);
+    this.bindEvents();
+    this.render();
+  }
+
+  /**
+   * Cache calculator DOM elements
+   */
+  cacheElements() {
+    this.elements = {
+      doorCountSelect: document.getElementById('calc-door-count'),
+      revealCountSelect: document.getElementById('calc-reveal-count'),
+      hostModelSelect: document.getElementById('calc-host-model'),
+      hostPreferenceOption: document.getElementById('calc-host-preference-option'),
+      hostPreferenceSelect: document.getElementById('calc-host-preference'),
+      observation: document.getElementById('calc-observation'),
+      steps: document.getElementById('calc-steps'),
+      result: document.getElementById('calc-result')
+    };
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    const { doorCountSelect, revealCountSelect, hostModelSelect, hostPreferenceSelect } = this.elements;
+
+    doorCountSelect?.addEventListener('change', () => {
+      const doorCount = parseInt(doorCountSelect.value, 10);
+      this.renderOptions(doorCount, doorCount - 2, this.getHost());
+      this.render();
+    });
+    [revealCountSelect, hostModelSelect, hostPreferenceSelect].forEach(select => {
+      select?.addEventListener('change', () => {
+        this.renderOptions(this.getDoorCount(), this.getRevealCount(), this.getHost());
+        this.render();
+      });
+    });
+  }
+
+  /**
+   * Sync the selectors with a configuration
+   * @param {number} doorCount - Doors in play
+   * @param {number} revealCount - Goats the host opens
+   * @param {HostStrategy} host - Host model
+   */
+  renderOptions(doorCount, revealCount, host) {
+    const { doorCountSelect, revealCountSelect, hostModelSelect, hostPreferenceOption, hostPreferenceSelect } = this.elements;
+
+    if (doorCountSelect) {
+      doorCountSelect.value = String(doorCount);
+    }
+
+    if (revealCountSelect) {
+      let optionsHtml = '';
+      for (let count = 1; count <= doorCount - 2; count++) {
+        optionsHtml += `<option value="${count}">${count}</option>`;
+      }
+      revealCountSelect.innerHTML = optionsHtml;
+      revealCountSelect.value = String(revealCount);
+    }
+
+    if (hostModelSelect) {
+      if (hostModelSelect.options.length === 0) {
+        hostModelSelect.innerHTML = Object.keys(HOST_MODELS)
+          .map(id => `<option value="${id}">${getHostName(id)}</option>`)
+          .join('');
+      }
+      hostModelSelect.value = host.id;
+    }
+
+    if (hostPreferenceOption) {
+      const isPreferential = host.id === 'preferential';
+      hostPreferenceOption.style.display = isPreferential ? '' : 'none';
+      if (isPreferential && hostPreferenceSelect) {
+        hostPreferenceSelect.value = String(host.preference);
+      }
+    }
+  }
+
+  /**
+   * @returns {number} - Selected door count
+   */
+  getDoorCount() {
+    return parseInt(this.elements.doorCountSelect?.value || '3', 10);
+  }
+
+  /**
+   * @returns {number} - Selected number of doors the host opens
+   */
+  getRevealCount() {
+    return parseInt(this.elements.revealCountSelect?.value || '1', 10);
+  }
+
+  /**
+   * @returns {HostStrategy} - Host model built from the selectors
+   */
+  getHost() {
+    const hostModel = this.elements.hostModelSelect?.value || 'standard';
+    const options = {};
+    if (hostModel === 'preferential' && this.elements.hostPreferenceSelect) {
+      options.preference = parseFloat(this.elements.hostPreferenceSelect.value);
+    }
+    return createHost(hostModel, options);
+  }
+
+  /**
+   * Show the Bayes' rule working and the long-run win rates for the selected configuration
+   */
+  render() {
+    const { observation, steps, result } = this.elements;
+    const setup = { doorCount: this.getDoorCount(), revealCount: this.getRevealCount(), host: this.getHost() };
+    const analysis = analyzeObservation(setup);
+    const longRun = getStrategyWinProbabilities(setup);
+    const opened = analysis.doors.filter(entry => entry.role === 'opened').map(entry => entry.door);
+
+    if (observation) {
+      observation.textContent = `Suppose you pick door 1 and ${setup.host.name} opens ${formatDoors(opened)}, ` +
+        'showing goats, and offers you a switch. Where is the car now?';
+    }
+
+    if (steps) {
+      steps.innerHTML = `
+        <thead>
+          <tr>
+            <th scope="col">Car behind</th>
+            <th scope="col">Prior</th>
+            <th scope="col">Likelihood of the host's move</th>
+            <th scope="col">Prior × likelihood</th>
+            <th scope="col">Posterior</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${analysis.groups.map(group => `
+            <tr>
+              <th scope="row">${capitalize(formatDoors(group.doors))} <small>(${ROLE_LABELS[group.role]}${group.doors.length > 1 ? ', each' : ''})</small></th>
+              <td>${formatProbability(group.prior)}</td>
+              <td>${formatProbability(group.likelihood)}</td>
+              <td>${formatProbability(group.joint)}</td>
+              <td>${formatProbability(group.posterior)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+        <tfoot>
+          <tr>
+            <th scope="row">Total</th>
+            <td>1</td>
+            <td></td>
+            <td>${formatProbability(analysis.evidence)}</td>
+            <td>${analysis.evidence > 0 ? '1' : '—'}</td>
+          </tr>
+        </tfoot>
+      `;
+    }
+
+    if (result) {
+      const given = analysis.evidence > 0 ?
+        `Given this move, staying wins <strong>${formatProbability(analysis.stay)}</strong> and switching to an unopened door wins <strong>${formatProbability(analysis.switch)}</strong>.` :
+        'This host never makes that move.';
+      const voided = longRun.voided > 0 ? ` (${formatProbability(longRun.voided)} of rounds are voided because the car is revealed)` : '';
+
+      result.innerHTML = `
+        <p>Each posterior is prior × likelihood divided by the total, ${formatProbability(analysis.evidence)}. ${given}</p>
+        <p>Over many rounds, always staying wins <strong>${formatProbability(longRun.stay)}</strong> and always switching wins <strong>${formatProbability(longRun.switch)}</strong>${voided}.</p>
+      `;
+    }
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * Exact Probability Calculations for Monty Hall Simulator
+ * Bayes' rule over the car's position given what the host did, and the
+ * long-run win rates of the stay and switch strategies
+ */
+
+/**
+ * Apply Bayes' rule to one observed round: the player picked a door, and the host
+ * opened some doors (all showing goats) and did or did not offer a switch.
+ * @param {object} observation
+ * @param {number} observation.doorCount - Doors in play
+ * @param {number} observation.revealCount - Goats the host is set to open
+ * @param {HostStrategy} observation.host - Host model
+ * @param {number} [observation.playerChoice=0] - Door the player picked
+ * @param {Array} [observation.revealedDoors] - Doors the host opened (by default the
+ *   lowest-numbered doors other than the pick)
+ * @param {boolean} [observation.offersSwitch=true] - Whether a switch was offered
+ * @returns {object} - { doors, evidence, stay, switch, groups } where doors holds
+ *   { door, role, prior, likelihood, joint, posterior } for every door, stay is the
+ *   posterior of the pick and switch the chance a random unopened door wins;
+ *   evidence is 0 (and posteriors null) if the host model can never act this way
+ */
+export function analyzeObservation({
+  doorCount,
+  revealCount,
+  host,
+  playerChoice = 0,
+  revealedDoors = getDefaultRevealedDoors(doorCount, revealCount, playerChoice),
+  offersSwitch = true
+}) {
+  const action = { revealedDoors, offersSwitch };
+  const doors = [];
+
+  for (let door = 0; door < doorCount; door++) {
+    // The observation includes goats behind the opened doors, so the car can't be there
+    const likelihood = revealedDoors.includes(door) ? 0 :
+      host.getActionProbability({ doorCount, revealCount, carDoor: door, playerChoice }, action);
+    const prior = 1 / doorCount;
+
+    doors.push({
+      door,
+      role: getDoorRole(door, playerChoice, revealedDoors),
+      prior,
+      likelihood,
+      joint: prior * likelihood
+    });
+  }
+
+  const evidence = doors.reduce((sum, entry) => sum + entry.joint, 0);
+  doors.forEach(entry => {
+    entry.posterior = evidence > 0 ? entry.joint / evidence : null;
+  });
+
+  const closed = doors.filter(entry => entry.role === 'closed');
+  const switchWin = evidence > 0 && offersSwitch && closed.length > 0 ?
+    closed.reduce((sum, entry) => sum + entry.posterior, 0) / closed.length : null;
+
+  return {
+    doors,
+    evidence,
+    stay: evidence > 0 ? doors[playerChoice].posterior : null,
+    switch: switchWin,
+    groups: groupDoors(doors)
+  };
+}
+
+/**
+ * Long-run win rates of always staying and always switching (to a random unopened door).
+ * A player who is not offered a switch has to stay. Voided rounds (car revealed) are
+ * excluded, matching how GameStats and the bulk simulation count them.
+ * @param {object} setup
+ * @param {number} setup.doorCount - Doors in play
+ * @param {number} setup.revealCount - Goats the host is set to open
+ * @param {HostStrategy} setup.host - Host model
+ * @returns {object} - { stay, switch, voided } probabilities
+ */
+export function getStrategyWinProbabilities({ doorCount, revealCount, host }) {
+  const pickIsCar = 1 / doorCount;
+  const pickIsGoat = 1 - pickIsCar;
+  const carPicked = host.getOfferProbabilities({ doorCount, revealCount, pickIsCar: true });
+  const goatPicked = host.getOfferProbabilities({ doorCount, revealCount, pickIsCar: false });
+  const closedDoors = doorCount - 1 - revealCount;
+
+  const voided = pickIsCar * carPicked.revealsCar + pickIsGoat * goatPicked.revealsCar;
+  const counted = 1 - voided;
+
+  // Staying wins exactly when the first pick is the car
+  const stay = pickIsCar * (1 - carPicked.revealsCar) / counted;
+
+  // Switching wins when the pick is the car but no switch is offered (forced to stay),
+  // or the pick is a goat, the car is still hidden, and the random switch finds it
+  const switchWin = (pickIsCar * (1 - carPicked.offersSwitch) +
+    pickIsGoat * (goatPicked.offersSwitch - goatPicked.revealsCar) / closedDoors) / counted;
+
+  return { stay, switch: switchWin, voided };
+}
+
+/**
+ * Format a probability as a simple fraction where one exists, otherwise as a percentage
+ * @param {number} probability - Value between 0 and 1
+ * @returns {string} - e.g. "2/3", "0", "1" or "12.34%"
+ */
+export function formatProbability(probability) {
+  if (probability === null || Number.isNaN(probability)) return '—';
+
+  for (let denominator = 1; denominator <= 1000; denominator++) {
+    const numerator = Math.round(probability * denominator);
+    if (Math.abs(numerator / denominator - probability) < 1e-9) {
+      return denominator === 1 ? String(numerator) : `${numerator}/${denominator}`;
+    }
+  }
+  return probability < 0.0001 ? probability.toExponential(2) : `${(probability * 100).toFixed(2)}%`;
+}
+
+/**
+ * Describe a list of 0-based door indices with 1-based numbers, collapsing runs
+ * @param {Array} doors - Door indices in ascending order
+ * @returns {string} - e.g. "door 2", "doors 2, 4" or "doors 2–99"
+ */
+export function formatDoors(doors) {
+  if (doors.length === 1) {
+    return `door ${doors[0] + 1}`;
+  }
+
+  const ranges = [];
+  for (const door of doors) {
+    const last = ranges[ranges.length - 1];
+    if (last && door === last[1] + 1) {
+      last[1] = door;
+    } else {
+      ranges.push([door, door]);
+    }
+  }
+  return 'doors ' + ranges.map(([start, end]) => start === end ? `${start + 1}` : `${start + 1}–${end + 1}`).join(', ');
+}
+
+/**
+ * The lowest-numbered doors other than the pick
+ */
+function getDefaultRevealedDoors(doorCount, revealCount, playerChoice) {
+  const doors = [];
+  for (let door = 0; door < doorCount && doors.length < revealCount; door++) {
+    if (door !== playerChoice) {
+      doors.push(door);
+    }
+  }
+  return doors;
+}
+
+/**
+ * Classify a door as the player's pick, opened by the host, or still closed
+ */
+function getDoorRole(door, playerChoice, revealedDoors) {
+  if (door === playerChoice) return 'pick';
+  return revealedDoors.includes(door) ? 'opened' : 'closed';
+}
+
+/**
+ * Collapse doors with the same role and numbers into one row each, so a 100-door
+ * game shows three or four rows instead of a hundred
+ */
+function groupDoors(doors) {
+  const groups = [];
+  for (const entry of doors) {
+    const group = groups.find(existing => existing.role === entry.role &&
+      Math.abs(existing.likelihood - entry.likelihood) < 1e-12);
+    if (group) {
+      group.doors.push(entry.door);
+    } else {
+      groups.push({ ...entry, doors: [entry.door] });
+    }
+  }
+
+  return groups.map(({ door, ...group }) => group);
+}
@@ -0,0 +1,89 @@
+/**
+ * Seedable Random Number Generator for Monty Hall Simulator
+ * Uses the Mulberry32 algorithm so any game can be replayed from its seed
+ */
+
+const UINT32_RANGE = 2 ** 32;
+
+export class SeededRandom {
+  /**
+   * @param {number|string} [seed] - Seed value; a random seed is generated if omitted
+   */
+  constructor(seed = SeededRandom.generateSeed()) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Get the next float in [0, 1)
+   * @returns {number} - Pseudo-random float
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32_RANGE;
+  }
+
+  /**
+   * Get the next integer in [0, max)
+   * @param {number} max - Exclusive upper bound
+   * @returns {number} - Pseudo-random integer
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Derive a fresh seed from this generator (used for per-round seeds)
+   * @returns {number} - Unsigned 32-bit seed
+   */
+  nextSeed() {
+    return Math.floor(this.next() * UINT32_RANGE) >>> 0;
+  }
+
+  /**
+   * Get a plain function returning floats, for APIs that expect Math.random
+   * @returns {function} - Bound next()
+   */
+  asFunction() {
+    return () => this.next();
+  }
+
+  /**
+   * Generate a non-reproducible seed
+   * @returns {number} - Unsigned 32-bit seed
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * UINT32_RANGE) >>> 0;
+  }
+
+  /**
+   * Convert a number or string seed to an unsigned 32-bit integer
+   * @param {number|string} seed - Seed value
+   * @returns {number} - Unsigned 32-bit seed
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return Math.trunc(seed) >>> 0;
+    }
+
+    if (typeof seed === 'string') {
+      // Numeric strings keep their value so seeds survive URLs and form fields
+      if (/^\d+$/.test(seed.trim())) {
+        return Number(seed.trim()) >>> 0;
+      }
+
+      // FNV-1a hash for arbitrary text seeds
+      let hash = 0x811C9DC5;
+      for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      return hash >>> 0;
+    }
+
+    throw new TypeError('Seed must be a finite number or a string');
+  }
+}
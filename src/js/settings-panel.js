@@ -0,0 +1,284 @@
+/**
+ * Settings Panel for Monty Hall Simulator
+ * Dialog for changing every setting, restoring the defaults, and exporting or loading
+ * a settings file (e.g. a class setup handed out by a teacher)
+ */
+
+import { FocusTrap } from './focus-trap.js';
+import { SETTINGS_FIELDS, SETTINGS_GROUPS } from './settings-schema.js';
+import { escapeHtml } from './text.js';
+
+// Problems listed in the dialog; the rest are summarised as a count
+const MAX_ERRORS_SHOWN = 10;
+
+export class SettingsPanel {
+  /**
+   * @param {Settings} settings - Settings to show and change
+   */
+  constructor(settings) {
+    this.settings = settings;
+    this.trap = null;
+    this.elements = {};
+
+    this.init();
+  }
+
+  /**
+   * Initialize the panel
+   */
+  init() {
+    this.cacheElements();
+    if (this.elements.dialog) {
+      this.trap = new FocusTrap(this.elements.dialog, { onEscape: () => this.close() });
+    }
+    this.bindEvents();
+    this.render();
+  }
+
+  /**
+   * Cache panel DOM elements
+   */
+  cacheElements() {
+    this.elements = {
+      openButton: document.getElementById('settings-button'),
+      dialog: document.getElementById('settings-dialog'),
+      form: document.getElementById('settings-form'),
+      closeButton: document.getElementById('settings-close'),
+      cancelButton: document.getElementById('settings-cancel'),
+      resetButton: document.getElementById('settings-reset'),
+      exportButton: document.getElementById('settings-export'),
+      fileInput: document.getElementById('settings-import'),
+      message: document.getElementById('settings-message')
+    };
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    const { openButton, dialog, form, closeButton, cancelButton, resetButton, exportButton, fileInput } = this.elements;
+
+    openButton?.addEventListener('click', () => this.open());
+    closeButton?.addEventListener('click', () => this.close());
+    cancelButton?.addEventListener('click', () => this.close());
+    dialog?.addEventListener('click', (e) => {
+      if (e.target === dialog) {
+        this.close();
+      }
+    });
+
+    form?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.save();
+    });
+    resetButton?.addEventListener('click', async () => {
+      await this.settings.reset();
+      this.render();
+      this.showMessage('Settings restored to their defaults.');
+    });
+
+    exportButton?.addEventListener('click', () => this.download(this.settings.exportSettings()));
+    fileInput?.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      if (file) {
+        this.loadFile(file);
+      }
+    });
+  }
+
+  /**
+   * Show the dialog with the current settings
+   */
+  open() {
+    const { dialog, form } = this.elements;
+    if (!dialog) return;
+
+    this.render();
+    this.showMessage('');
+    dialog.style.display = 'flex';
+    this.trap?.activate(form?.querySelector('input, select') ?? undefined);
+  }
+
+  /**
+   * Hide the dialog, dropping unsaved changes
+   */
+  close() {
+    const { dialog } = this.elements;
+    if (!dialog || dialog.style.display === 'none') return;
+
+    dialog.style.display = 'none';
+    this.trap?.release();
+  }
+
+  /**
+   * Check whether the dialog is showing
+   * @returns {boolean} - True if open
+   */
+  isOpen() {
+    return this.elements.dialog?.style.display === 'flex';
+  }
+
+  /**
+   * Save the values in the form, closing the dialog if they are all valid
+   * @returns {Promise<boolean>} - True if saved
+   */
+  async save() {
+    const { success, errors } = await this.settings.update(this.readForm());
+    if (!success) {
+      this.showErrors(errors);
+      return false;
+    }
+
+    this.close();
+    return true;
+  }
+
+  /**
+   * Read the settings from a file and apply them
+   * @param {File} file - File chosen by the user
+   * @returns {Promise<boolean>} - True if the settings were applied
+   */
+  async loadFile(file) {
+    let text;
+    try {
+      text = await file.text();
+    } catch (error) {
+      this.showErrors([`Could not read ${file.name}: ${error.message}`]);
+      return false;
+    }
+
+    const { success, errors } = await this.settings.importSettings(text);
+    if (this.elements.fileInput) {
+      this.elements.fileInput.value = '';
+    }
+    if (!success) {
+      this.showErrors(errors, file.name);
+      return false;
+    }
+
+    this.render();
+    this.showMessage(`Loaded the settings from ${file.name}.`);
+    return true;
+  }
+
+  /**
+   * Offer the settings as a file download
+   * @param {string} content - File contents
+   */
+  download(content) {
+    const date = new Date().toISOString().slice(0, 10);
+    const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `monty-hall-settings-${date}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Build the form from the settings schema, filled in with the current values
+   */
+  render() {
+    const { form } = this.elements;
+    if (!form) return;
+
+    const values = this.settings.getAll();
+    form.innerHTML = Object.entries(SETTINGS_GROUPS).map(([group, title]) => `
+      <fieldset class="settings-group">
+        <legend>${title}</legend>
+        ${Object.entries(SETTINGS_FIELDS)
+          .filter(([, field]) => field.group === group && !field.local)
+          .map(([key, field]) => renderField(key, field, values[key]))
+          .join('')}
+      </fieldset>
+    `).join('');
+  }
+
+  /**
+   * Read the form back into settings values
+   * @returns {object} - Settings, as the form has them
+   */
+  readForm() {
+    const values = {};
+    for (const [key, field] of Object.entries(SETTINGS_FIELDS)) {
+      const input = this.elements.form?.elements.namedItem(key);
+      if (!input || field.local) continue;
+
+      if (field.type === 'boolean') {
+        values[key] = input.checked;
+      } else if (field.type === 'choice') {
+        values[key] = field.choices[Number(input.value)]?.value;
+      } else {
+        values[key] = input.value.trim() === '' ? NaN : Number(input.value);
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Show a message under the form
+   * @param {string} message - Text ('' clears it)
+   */
+  showMessage(message) {
+    const { message: messageEl } = this.elements;
+    if (!messageEl) return;
+
+    messageEl.className = 'import-message';
+    messageEl.textContent = message;
+  }
+
+  /**
+   * List what is wrong with the settings entered or loaded
+   * @param {Array} errors - Problems found
+   * @param {string} [fileName] - File they came from, if any
+   */
+  showErrors(errors, fileName) {
+    const { message } = this.elements;
+    if (!message) return;
+
+    const shown = errors.slice(0, MAX_ERRORS_SHOWN);
+    const more = errors.length - shown.length;
+    message.className = 'import-message import-error';
+    message.innerHTML = `
+      <p>${fileName ? `${escapeHtml(fileName)} was not loaded` : 'The settings were not saved'}; nothing has changed:</p>
+      <ul>${shown.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>
+      ${more > 0 ? `<p>…and ${more} more.</p>` : ''}
+    `;
+  }
+}
+
+/**
+ * Render the input for one setting
+ */
+function renderField(key, field, value) {
+  const id = `setting-${key}`;
+
+  if (field.type === 'boolean') {
+    return `
+      <label class="game-option settings-field">
+        <input type="checkbox" id="${id}" name="${key}"${value ? ' checked' : ''}>
+        <span class="game-option-label">${escapeHtml(field.label)}</span>
+      </label>
+    `;
+  }
+
+  const input = field.type === 'choice' ? `
+      <select id="${id}" name="${key}" class="game-option-select">
+        ${field.choices.map((choice, index) => `
+          <option value="${index}"${choice.value === value ? ' selected' : ''}>${escapeHtml(choice.label)}</option>
+        `).join('')}
+      </select>
+    ` : `
+      <input type="number" id="${id}" name="${key}" class="game-option-select" value="${value}"
+             min="${field.min}" max="${field.max}" step="${field.step ?? 1}">
+    `;
+
+  return `
+    <label class="game-option settings-field" for="${id}">
+      <span class="game-option-label">${escapeHtml(field.label)}</span>
+      ${input}
+    </label>
+  `;
+}
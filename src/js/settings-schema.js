@@ -0,0 +1,194 @@
+/**
+ * Settings Schema for Monty Hall Simulator
+ * Every user preference with its default and allowed values, and validation of saved
+ * or imported settings
+ *
+ * Version history:
+ *   1 - first version
+ */
+
+import { HOST_MODELS, getHostName } from './hosts.js';
+import { MIN_DOORS, MAX_DOORS } from './game.js';
+import { DEFAULT_HINT_THRESHOLDS } from './stats.js';
+import { isPlainObject, describe } from './stats-schema.js';
+
+export const SETTINGS_SCHEMA_VERSION = 1;
+
+// Animation speeds on offer, as multiples of normal speed; 0 is instant (no animation)
+export const ANIMATION_SPEEDS = [0, 0.25, 0.5, 1, 2, 4];
+
+/**
+ * Sections of the settings dialog, in order
+ */
+export const SETTINGS_GROUPS = Object.freeze({
+  game: 'Game',
+  display: 'Display',
+  timing: 'Timing',
+  hints: 'Hints'
+});
+
+/**
+ * Every setting. Types are 'integer', 'number', 'boolean', 'choice' (one of choices)
+ * and 'keymap' (action → key). Local settings belong to this browser: they are not
+ * exported, imported or reset with the rest, and are not shown in the settings dialog.
+ */
+export const SETTINGS_FIELDS = Object.freeze({
+  doorCount: { group: 'game', label: 'Doors', type: 'integer', default: 3, min: MIN_DOORS, max: MAX_DOORS },
+  revealCount: { group: 'game', label: 'Doors the host opens', type: 'integer', default: 1, min: 1, max: MAX_DOORS - 2 },
+  hostModel: {
+    group: 'game', label: 'Host', type: 'choice', default: 'standard',
+    choices: Object.keys(HOST_MODELS).map(id => ({ value: id, label: getHostName(id) }))
+  },
+  hostPreference: {
+    group: 'game', label: 'Preferential host opens the lowest door (probability)', type: 'number',
+    default: 1, min: 0, max: 1, step: 0.05
+  },
+
+  animationSpeed: {
+    group: 'display', label: 'Animation speed', type: 'choice', default: null,
+    choices: [
+      { value: null, label: 'Automatic (instant if reduced motion is on)' },
+      ...ANIMATION_SPEEDS.map(speed => ({ value: speed, label: speed === 0 ? 'Instant' : `${speed}×` }))
+    ]
+  },
+  keepResultOpen: { group: 'display', label: 'Keep results open until dismissed', type: 'boolean', default: false },
+
+  // Reading time, so these do not follow the animation speed
+  resultCloseSeconds: {
+    group: 'timing', label: 'Result closes after (seconds)', type: 'number', default: 3, min: 0.5, max: 60, step: 0.5
+  },
+  welcomeDelaySeconds: {
+    group: 'timing', label: 'Welcome message appears after (seconds)', type: 'number', default: 1, min: 0, max: 30, step: 0.5
+  },
+  statsResetHoldSeconds: {
+    group: 'timing', label: 'Hold on the statistics to reset them (seconds)', type: 'number', default: 2, min: 0.5, max: 10, step: 0.5
+  },
+
+  hintEarlyGames: {
+    group: 'hints', label: '"Keep playing" hint for the first (games)', type: 'integer',
+    default: DEFAULT_HINT_THRESHOLDS.earlyGames, min: 0, max: 1000
+  },
+  hintBalanceMinGames: {
+    group: 'hints', label: '"Try both strategies" hint after (games)', type: 'integer',
+    default: DEFAULT_HINT_THRESHOLDS.balanceMinGames, min: 1, max: 10000
+  },
+  hintBalanceGap: {
+    group: 'hints', label: '"Try both strategies" when one is played more by (games)', type: 'integer',
+    default: DEFAULT_HINT_THRESHOLDS.balanceGap, min: 1, max: 10000
+  },
+  hintTheoryMinGames: {
+    group: 'hints', label: '"Probability theory" hint after (classic-game switches)', type: 'integer',
+    default: DEFAULT_HINT_THRESHOLDS.theoryMinGames, min: 1, max: 10000
+  },
+  hintTheoryTolerance: {
+    group: 'hints', label: '"Probability theory" when the classic-game switch win rate is off by more than', type: 'number',
+    default: DEFAULT_HINT_THRESHOLDS.theoryTolerance, min: 0.01, max: 0.5, step: 0.01
+  },
+
+  shortcuts: { type: 'keymap', default: {}, local: true }
+});
+
+/**
+ * Create settings with every default
+ * @returns {object} - Settings
+ */
+export function createDefaultSettings() {
+  return Object.fromEntries(Object.entries(SETTINGS_FIELDS).map(([key, field]) => [key, structuredClone(field.default)]));
+}
+
+/**
+ * Check one setting's value on its own
+ * @param {string} key - Setting name
+ * @param {*} value - Proposed value
+ * @returns {string|null} - Problem with the value, or null if it is allowed
+ */
+export function validateSetting(key, value) {
+  const field = SETTINGS_FIELDS[key];
+  if (!field) {
+    return `${key}: unknown setting`;
+  }
+
+  switch (field.type) {
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value) || (field.type === 'integer' && !Number.isInteger(value))) {
+        return `${key}: expected ${field.type === 'integer' ? 'a whole number' : 'a number'}, got ${describe(value)}`;
+      }
+      if (value < field.min || value > field.max) {
+        return `${key}: must be between ${field.min} and ${field.max}, got ${value}`;
+      }
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${key}: expected true or false, got ${describe(value)}`;
+    case 'choice':
+      return field.choices.some(choice => choice.value === value) ?
+        null :
+        `${key}: expected one of ${field.choices.map(choice => JSON.stringify(choice.value)).join(', ')}, got ${describe(value)}`;
+    case 'keymap':
+      return isPlainObject(value) && Object.values(value).every(key => typeof key === 'string') ?
+        null :
+        `${key}: expected an object of keys, got ${describe(value)}`;
+    default:
+      return `${key}: unknown setting type`;
+  }
+}
+
+/**
+ * Check settings that depend on each other
+ * @param {object} settings - Complete settings
+ * @returns {Array} - Problems found
+ */
+export function validateSettingCombinations(settings) {
+  if (settings.revealCount > settings.doorCount - 2) {
+    return [`revealCount: with ${settings.doorCount} doors the host can open at most ${settings.doorCount - 2}`];
+  }
+  return [];
+}
+
+/**
+ * Validate saved or imported settings, laid over a base set
+ * @param {object} data - Settings, or the file written by Settings.exportSettings()
+ * @param {object} [options]
+ * @param {object} [options.base] - Values for settings the data leaves out (defaults if omitted)
+ * @param {boolean} [options.strict=false] - Reject the data if anything is wrong. Otherwise
+ *   bad values are reported and replaced by the base value.
+ * @param {boolean} [options.includeLocal=true] - Read local settings (false for imports)
+ * @returns {object} - { settings, errors }; settings is null if strict and there are errors
+ */
+export function parseSettings(data, { base = createDefaultSettings(), strict = false, includeLocal = true } = {}) {
+  // Accept the exported file as well as bare settings
+  const values = isPlainObject(data) && isPlainObject(data.settings) ? data.settings : data;
+  if (!isPlainObject(values)) {
+    return { settings: strict ? null : { ...base }, errors: [`settings: expected an object, got ${describe(values)}`] };
+  }
+
+  const version = data.schemaVersion ?? SETTINGS_SCHEMA_VERSION;
+  if (!Number.isInteger(version) || version < 1 || version > SETTINGS_SCHEMA_VERSION) {
+    return {
+      settings: strict ? null : { ...base },
+      errors: [`schemaVersion: ${describe(version)} is not a settings version this simulator supports (${SETTINGS_SCHEMA_VERSION})`]
+    };
+  }
+
+  const settings = { ...base };
+  const errors = [];
+  for (const [key, value] of Object.entries(values)) {
+    if (key === 'schemaVersion') continue;
+    if (SETTINGS_FIELDS[key]?.local && !includeLocal) continue;
+
+    const error = validateSetting(key, value);
+    if (error) {
+      errors.push(error);
+    } else {
+      settings[key] = structuredClone(value);
+    }
+  }
+
+  const combinationErrors = validateSettingCombinations(settings);
+  if (combinationErrors.length > 0) {
+    errors.push(...combinationErrors);
+    settings.revealCount = Math.min(base.revealCount, settings.doorCount - 2);
+  }
+
+  return { settings: strict && errors.length > 0 ? null : settings, errors };
+}
@@ -0,0 +1,193 @@
+/**
+ * Settings for Monty Hall Simulator
+ * The user's preferences, saved separately from their statistics, with export and
+ * import so a teacher can hand the same setup to a whole class
+ */
+
+import { createHost } from './hosts.js';
+import {
+  SETTINGS_SCHEMA_VERSION,
+  SETTINGS_FIELDS,
+  createDefaultSettings,
+  validateSetting,
+  validateSettingCombinations,
+  parseSettings
+} from './settings-schema.js';
+
+export class Settings {
+  /**
+   * @param {object} [options]
+   * @param {StorageAdapter} [options.storage] - Where settings are saved; kept in memory if omitted
+   */
+  constructor({ storage = null } = {}) {
+    this.storage = storage;
+    this.storageKey = 'montyHallSettings';
+    this.values = createDefaultSettings();
+    this.listeners = new Set();
+  }
+
+  /**
+   * Load saved settings. Values that are no longer valid are reported and replaced
+   * by their defaults, so one bad setting does not lose the rest.
+   * @returns {Promise<Array>} - Problems with the saved settings
+   */
+  async load() {
+    let errors = [];
+    try {
+      const saved = await this.storage?.get(this.storageKey);
+      if (saved) {
+        const parsed = parseSettings(saved);
+        this.values = parsed.settings;
+        errors = parsed.errors;
+      }
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    if (errors.length > 0) {
+      console.error('Ignoring invalid saved settings:', errors);
+    }
+    return errors;
+  }
+
+  /**
+   * Get one setting
+   * @param {string} key - Setting name, e.g. 'doorCount'
+   * @returns {*} - Value
+   */
+  get(key) {
+    return structuredClone(this.values[key]);
+  }
+
+  /**
+   * Get every setting
+   * @returns {object} - Copy of the settings
+   */
+  getAll() {
+    return structuredClone(this.values);
+  }
+
+  /**
+   * Change some settings and save them. Nothing changes unless every value is valid.
+   * @param {object} changes - Settings to change, e.g. { doorCount: 10, revealCount: 8 }
+   * @returns {Promise<object>} - { success, errors }
+   */
+  async update(changes) {
+    const errors = Object.entries(changes)
+      .map(([key, value]) => validateSetting(key, value))
+      .filter(Boolean);
+    const next = { ...this.values, ...structuredClone(changes) };
+    if (errors.length === 0) {
+      errors.push(...validateSettingCombinations(next));
+    }
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const changed = Object.keys(changes).filter(key => !isEqual(this.values[key], next[key]));
+    if (changed.length === 0) {
+      return { success: true, errors: [] };
+    }
+
+    this.values = next;
+    await this.persist();
+    this.notify(changed);
+    return { success: true, errors: [] };
+  }
+
+  /**
+   * Put every setting back to its default, except local ones such as keyboard shortcuts
+   */
+  async reset() {
+    const defaults = createDefaultSettings();
+    const changes = Object.fromEntries(Object.keys(SETTINGS_FIELDS)
+      .filter(key => !SETTINGS_FIELDS[key].local)
+      .map(key => [key, defaults[key]]));
+    await this.update(changes);
+  }
+
+  /**
+   * Export the settings to share, leaving out local ones
+   * @returns {string} - JSON
+   */
+  exportSettings() {
+    const settings = Object.fromEntries(Object.entries(this.values).filter(([key]) => !SETTINGS_FIELDS[key].local));
+    return JSON.stringify({
+      format: 'monty-hall-settings',
+      schemaVersion: SETTINGS_SCHEMA_VERSION,
+      exported: new Date().toISOString(),
+      settings
+    }, null, 2);
+  }
+
+  /**
+   * Apply settings from an exported file. Settings the file leaves out keep their
+   * current values; nothing changes if anything in the file is wrong.
+   * @param {string} text - File contents
+   * @returns {Promise<object>} - { success, errors }
+   */
+  async importSettings(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { success: false, errors: [`Not valid JSON: ${error.message}`] };
+    }
+
+    const { settings, errors } = parseSettings(data, { base: this.values, strict: true, includeLocal: false });
+    if (!settings) {
+      return { success: false, errors };
+    }
+    return this.update(settings);
+  }
+
+  /**
+   * Be told whenever settings change
+   * @param {function} listener - Called with (settings, changedKeys)
+   * @returns {function} - Call to stop listening
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Tell listeners which settings changed
+   * @param {Array} changed - Setting names
+   */
+  notify(changed) {
+    const settings = this.getAll();
+    this.listeners.forEach(listener => listener(settings, changed));
+  }
+
+  /**
+   * Write the settings to storage
+   */
+  async persist() {
+    try {
+      await this.storage?.set(this.storageKey, { schemaVersion: SETTINGS_SCHEMA_VERSION, ...this.values });
+    } catch (error) {
+      console.error('Error saving settings:', error);
+    }
+  }
+}
+
+/**
+ * Get the options for MontyHallGame.configure() from settings
+ * @param {object} settings - Settings, as from Settings.getAll()
+ * @returns {object} - { doorCount, revealCount, host }
+ */
+export function getGameOptions({ doorCount, revealCount, hostModel, hostPreference }) {
+  return {
+    doorCount,
+    revealCount,
+    host: createHost(hostModel, hostModel === 'preferential' ? { preference: hostPreference } : {})
+  };
+}
+
+/**
+ * Compare two setting values (plain data)
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
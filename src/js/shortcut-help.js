@@ -0,0 +1,217 @@
+/**
+ * Shortcut Help for Monty Hall Simulator
+ * Overlay listing every keyboard shortcut, where each one can be moved to another key,
+ * plus the short shortcut hint under the game
+ */
+
+import { FocusTrap } from './focus-trap.js';
+import { formatKey } from './keymap.js';
+import { escapeHtml, lowerFirst } from './text.js';
+
+// Keys pressed on their own while choosing a new key; they only modify the real one
+const MODIFIER_KEYS = new Set(['Shift', 'Control', 'Alt', 'Meta', 'CapsLock']);
+
+export class ShortcutHelp {
+  /**
+   * @param {Keymap} keymap - Shortcuts to list and rebind
+   */
+  constructor(keymap) {
+    this.keymap = keymap;
+    this.capturing = null; // Action waiting for its new key
+    this.trap = null;
+    this.elements = {};
+
+    this.init();
+  }
+
+  /**
+   * Initialize the overlay
+   */
+  init() {
+    this.cacheElements();
+    if (this.elements.overlay) {
+      this.trap = new FocusTrap(this.elements.overlay, { onEscape: () => this.close() });
+    }
+    this.bindEvents();
+    this.keymap.subscribe(() => this.render());
+    this.render();
+  }
+
+  /**
+   * Cache overlay DOM elements
+   */
+  cacheElements() {
+    this.elements = {
+      overlay: document.getElementById('shortcut-help'),
+      list: document.getElementById('shortcut-list'),
+      message: document.getElementById('shortcut-message'),
+      closeButton: document.getElementById('shortcut-help-close'),
+      resetButton: document.getElementById('shortcut-reset'),
+      openButton: document.getElementById('shortcut-help-button'),
+      hint: document.getElementById('keyboard-hint')
+    };
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    const { overlay, list, closeButton, resetButton, openButton } = this.elements;
+
+    openButton?.addEventListener('click', () => this.open());
+    closeButton?.addEventListener('click', () => this.close());
+    resetButton?.addEventListener('click', async () => {
+      this.cancelCapture();
+      await this.keymap.resetToDefaults();
+      this.showMessage('All shortcuts are back on their default keys.');
+    });
+
+    list?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (button) {
+        this.startCapture(button.dataset.action);
+      }
+    });
+
+    overlay?.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        this.close();
+      }
+    });
+
+    // The new key is caught before the dialog (or the game) can act on it
+    overlay?.addEventListener('keydown', (e) => this.captureKey(e), true);
+  }
+
+  /**
+   * Show the overlay
+   */
+  open() {
+    const { overlay, closeButton } = this.elements;
+    if (!overlay) return;
+
+    this.cancelCapture();
+    this.showMessage('');
+    overlay.style.display = 'flex';
+    this.trap?.activate(closeButton);
+  }
+
+  /**
+   * Hide the overlay, returning focus to where it was
+   */
+  close() {
+    const { overlay } = this.elements;
+    if (!overlay || overlay.style.display === 'none') return;
+
+    this.cancelCapture();
+    overlay.style.display = 'none';
+    this.trap?.release();
+  }
+
+  /**
+   * Check whether the overlay is showing
+   * @returns {boolean} - True if open
+   */
+  isOpen() {
+    return this.elements.overlay?.style.display === 'flex';
+  }
+
+  /**
+   * Wait for the next key pressed, and bind an action to it
+   * @param {string} action - e.g. 'stay'
+   */
+  startCapture(action) {
+    const shortcut = this.keymap.list().find(entry => entry.action === action);
+    if (!shortcut) return;
+
+    this.capturing = action;
+    this.render();
+    this.elements.list?.querySelector(`[data-action="${action}"]`)?.focus(); // Redrawn, so focus it again
+    this.showMessage(`Press the new key to ${lowerFirst(shortcut.description)}, or Esc to cancel.`);
+  }
+
+  /**
+   * Stop waiting for a new key
+   */
+  cancelCapture() {
+    if (!this.capturing) return;
+    this.capturing = null;
+    this.render();
+  }
+
+  /**
+   * Handle a key pressed in the overlay while a new key is being chosen
+   * @param {KeyboardEvent} e - Keydown
+   */
+  async captureKey(e) {
+    if (!this.capturing || MODIFIER_KEYS.has(e.key)) return;
+    if (e.key === 'Tab') {
+      this.cancelCapture();
+      this.showMessage('');
+      return; // Let focus move on
+    }
+
+    e.preventDefault();
+    e.stopPropagation();
+    const action = this.capturing;
+    if (e.key === 'Escape') {
+      this.cancelCapture();
+      this.showMessage('Unchanged.');
+    } else {
+      const { success, error } = await this.keymap.rebind(action, e.key);
+      this.capturing = null;
+      this.render();
+      this.showMessage(success ? `Now ${formatKey(e.key)}.` : error, success ? 'info' : 'error');
+    }
+    this.elements.list?.querySelector(`[data-action="${action}"]`)?.focus();
+  }
+
+  /**
+   * List the shortcuts and refresh the hint under the game
+   */
+  render() {
+    const { list, hint } = this.elements;
+
+    if (hint) {
+      hint.textContent = [...this.keymap.describeShortcuts(), 'Esc to close the result'].join(' • ');
+    }
+
+    if (list) {
+      list.innerHTML = `
+        <thead>
+          <tr><th scope="col">Action</th><th scope="col">Key</th><th scope="col"><span class="sr-only">Change</span></th></tr>
+        </thead>
+        <tbody>
+          ${this.keymap.list().map(shortcut => {
+            const waiting = shortcut.action === this.capturing;
+            return `
+              <tr${waiting ? ' class="capturing"' : ''}>
+                <td>${escapeHtml(shortcut.description)}</td>
+                <td><kbd>${escapeHtml(formatKey(shortcut.key))}</kbd></td>
+                <td>
+                  <button class="shortcut-change" data-action="${shortcut.action}"
+                          aria-label="Change the key to ${escapeHtml(lowerFirst(shortcut.description))}">
+                    ${waiting ? 'Press a key…' : 'Change'}
+                  </button>
+                </td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      `;
+    }
+  }
+
+  /**
+   * Show a message under the list
+   * @param {string} message - Text ('' clears it)
+   * @param {string} [type='info'] - 'info' or 'error'
+   */
+  showMessage(message, type = 'info') {
+    const { message: messageEl } = this.elements;
+    if (!messageEl) return;
+
+    messageEl.textContent = message;
+    messageEl.className = `shortcut-message ${type}`;
+  }
+}
@@ -0,0 +1,214 @@
+/**
+ * Bulk Simulation Panel for Monty Hall Simulator
+ * Runs thousands of rounds with the current game configuration and shows the results
+ */
+
+import { SimulationRunner } from './simulation-runner.js';
+import { SeededRandom } from './random.js';
+import { getHostName } from './hosts.js';
+
+export class SimulationPanel {
+  /**
+   * @param {MontyHallGame} game - Game whose door and host configuration is simulated
+   * @param {SimulationRunner} [runner] - Runs simulations (in a worker where possible)
+   * @param {object} [options]
+   * @param {function} [options.onResults] - Called with the results (partial while running) whenever they change
+   */
+  constructor(game, runner = new SimulationRunner(), { onResults } = {}) {
+    this.game = game;
+    this.runner = runner;
+    this.onResults = onResults;
+    this.elements = {};
+    this.abortController = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize the panel
+   */
+  init() {
+    this.cacheElements();
+    this.bindEvents();
+    this.updateRunButton();
+  }
+
+  /**
+   * Cache panel DOM elements
+   */
+  cacheElements() {
+    this.elements = {
+      panel: document.getElementById('simulation-panel'),
+      roundsSelect: document.getElementById('simulation-rounds'),
+      strategySelect: document.getElementById('simulation-strategy'),
+      runButton: document.getElementById('simulation-run'),
+      cancelButton: document.getElementById('simulation-cancel'),
+      progress: document.getElementById('simulation-progress'),
+      results: document.getElementById('simulation-results')
+    };
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    this.elements.roundsSelect?.addEventListener('change', () => this.updateRunButton());
+    this.elements.runButton?.addEventListener('click', () => this.runSimulations());
+    this.elements.cancelButton?.addEventListener('click', () => this.cancel());
+  }
+
+  /**
+   * Get the number of rounds selected in the panel
+   * @returns {number} - Rounds per strategy
+   */
+  getRounds() {
+    return parseInt(this.elements.roundsSelect?.value || '10000', 10);
+  }
+
+  /**
+   * Get the strategies selected in the panel
+   * @returns {Array} - Strategy names to simulate
+   */
+  getStrategies() {
+    const value = this.elements.strategySelect?.value || 'both';
+    return value === 'both' ? ['stay', 'switch'] : [value];
+  }
+
+  /**
+   * Keep the run button label in sync with the selected round count
+   */
+  updateRunButton() {
+    if (this.elements.runButton) {
+      this.elements.runButton.textContent = `Simulate ${this.getRounds().toLocaleString()} games`;
+    }
+  }
+
+  /**
+   * Check if a simulation is in progress
+   * @returns {boolean} - True while running
+   */
+  isRunning() {
+    return this.abortController !== null;
+  }
+
+  /**
+   * Run the selected strategies against the current game configuration
+   * @returns {Promise<Array>} - One result per strategy
+   */
+  async runSimulations() {
+    if (this.isRunning()) return [];
+
+    const rounds = this.getRounds();
+    const strategies = this.getStrategies();
+    // Every strategy plays the same seeded sequence of rounds, so they are directly comparable
+    const seed = SeededRandom.generateSeed();
+    const results = [];
+
+    this.abortController = new AbortController();
+    this.setRunning(true);
+
+    try {
+      for (let i = 0; i < strategies.length; i++) {
+        const options = {
+          rounds,
+          strategy: strategies[i],
+          doorCount: this.game.doorCount,
+          revealCount: this.game.revealCount,
+          hostModel: this.game.host.id,
+          hostOptions: this.game.host.getOptions(),
+          seed
+        };
+
+        const result = await this.runner.run(options, {
+          signal: this.abortController.signal,
+          onProgress: ({ completed }) => this.updateProgress((i + completed / rounds) / strategies.length),
+          onPartial: (partial) => this.renderResults([...results, partial])
+        });
+
+        results.push(result);
+        if (result.cancelled) break;
+      }
+
+      this.renderResults(results);
+    } catch (error) {
+      console.error('Simulation failed:', error);
+      if (this.elements.results) {
+        this.elements.results.textContent = `Simulation failed: ${error.message}`;
+      }
+    } finally {
+      this.abortController = null;
+      this.setRunning(false);
+    }
+
+    return results;
+  }
+
+  /**
+   * Cancel the running simulation
+   */
+  cancel() {
+    this.abortController?.abort();
+  }
+
+  /**
+   * Toggle controls between idle and running states
+   * @param {boolean} running - True while a simulation is in progress
+   */
+  setRunning(running) {
+    const { runButton, cancelButton, progress } = this.elements;
+
+    if (runButton) runButton.disabled = running;
+    if (cancelButton) cancelButton.hidden = !running;
+    if (progress) {
+      progress.hidden = !running;
+      progress.value = 0;
+    }
+  }
+
+  /**
+   * Update the progress bar
+   * @param {number} fraction - Overall progress between 0 and 1
+   */
+  updateProgress(fraction) {
+    if (this.elements.progress) {
+      this.elements.progress.value = fraction;
+    }
+  }
+
+  /**
+   * Render simulation results
+   * @param {Array} results - Results from MontyHallSimulation.run()
+   */
+  renderResults(results) {
+    if (results.length === 0) return;
+    this.onResults?.(results);
+    if (!this.elements.results) return;
+
+    const first = results[0];
+    const cards = results.map(result => `
+      <div class="simulation-result ${result.strategy}-result">
+        <div class="strategy-name">${result.strategyName}</div>
+        <span class="win-rate">${(result.winRate * 100).toFixed(1)}%</span>
+        <span class="games-played">
+          ${result.wins.toLocaleString()}/${(result.wins + result.losses).toLocaleString()} wins
+          ${result.voided > 0 ? ` • ${result.voided.toLocaleString()} voided` : ''}
+        </span>
+      </div>
+    `).join('');
+
+    let statusNote = '';
+    if (results.some(result => result.cancelled)) {
+      statusNote = '<div class="confidence-note">Cancelled — showing partial results</div>';
+    } else if (this.isRunning()) {
+      statusNote = `<div class="confidence-note">Running… ${results[results.length - 1].completed.toLocaleString()} rounds so far</div>`;
+    }
+
+    this.elements.results.innerHTML = `
+      <div class="simulation-summary">
+        ${first.doorCount} doors • host opens ${first.revealCount} • ${getHostName(first.hostModel)} • seed ${first.seed}
+      </div>
+      <div class="simulation-result-grid">${cards}</div>
+      ${statusNote}
+    `;
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * Simulation Worker Message Protocol for Monty Hall Simulator
+ * Shared between SimulationRunner (main thread) and simulation.worker.js
+ *
+ * Main thread → worker:
+ *   { type: 'start', id, options }     Begin a run; options as for MontyHallSimulation
+ *   { type: 'cancel', id }             Stop a run after its current batch
+ *
+ * Worker → main thread:
+ *   { type: 'progress', id, completed, rounds }
+ *   { type: 'histogram', id, partial } Outcome tallies and convergence samples so far
+ *   { type: 'done', id, result }       Final result (result.cancelled if stopped early)
+ *   { type: 'error', id, message }
+ */
+
+export const SIMULATION_MESSAGES = {
+  START: 'start',
+  CANCEL: 'cancel',
+  PROGRESS: 'progress',
+  HISTOGRAM: 'histogram',
+  DONE: 'done',
+  ERROR: 'error'
+};
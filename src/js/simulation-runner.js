@@ -0,0 +1,268 @@
+/**
+ * Simulation Runner for Monty Hall Simulator
+ * Runs bulk simulations in a Web Worker, falling back to the main thread
+ * where workers are unavailable (old browsers, pages opened from file://)
+ */
+
+import { MontyHallSimulation } from './simulation.js';
+import { SIMULATION_MESSAGES } from './simulation-protocol.js';
+
+// A run of user-written strategy code that reports no progress for this long is
+// assumed to be stuck (e.g. an endless loop) and its worker is stopped. Simulations
+// report at least every maxBatchMs, so a slow strategy that is still playing is kept.
+export const SCRIPT_STALL_TIMEOUT_MS = 5000;
+
+/**
+ * Check if a run executes user-written strategy code
+ */
+function isScriptRun(options) {
+  return options?.strategy === 'script';
+}
+
+export class SimulationRunner {
+  /**
+   * @param {object} [options]
+   * @param {URL|string} [options.workerUrl] - Location of simulation.worker.js
+   * @param {boolean} [options.useWorker] - Force worker use on or off (auto-detected by default)
+   */
+  constructor({
+    workerUrl = new URL('./simulation.worker.js', import.meta.url),
+    useWorker = SimulationRunner.isWorkerSupported()
+  } = {}) {
+    this.workerUrl = workerUrl;
+    this.useWorker = useWorker;
+    this.worker = null;
+    this.jobs = new Map(); // Pending worker jobs by id
+    this.nextId = 1;
+  }
+
+  /**
+   * Check if module workers can be used in this environment
+   * @returns {boolean} - True if a worker should be attempted
+   */
+  static isWorkerSupported() {
+    if (typeof Worker === 'undefined') {
+      return false;
+    }
+
+    // Browsers refuse to load module workers from file:// URLs
+    return typeof location === 'undefined' || location.protocol !== 'file:';
+  }
+
+  /**
+   * Check if runs currently go through the worker
+   * @returns {boolean} - True in worker mode
+   */
+  isUsingWorker() {
+    return this.useWorker;
+  }
+
+  /**
+   * Run a simulation. User-written strategies only ever run in the worker, where
+   * they can't reach the page and can be stopped if they hang.
+   * @param {object} options - Options for MontyHallSimulation
+   * @param {object} [callbacks]
+   * @param {function} [callbacks.onProgress] - Called with { completed, rounds }
+   * @param {function} [callbacks.onPartial] - Called with a partial result snapshot
+   * @param {AbortSignal} [callbacks.signal] - Aborting cancels the run
+   * @returns {Promise<object>} - Final result (result.cancelled if aborted)
+   */
+  run(options, callbacks = {}) {
+    if (this.useWorker && this.ensureWorker()) {
+      return this.runInWorker(options, callbacks);
+    }
+    if (isScriptRun(options)) {
+      return Promise.reject(new Error('Your own strategies need Web Worker support, which is unavailable ' +
+        '(for example when index.html is opened straight from disk)'));
+    }
+    return this.runInline(options, callbacks);
+  }
+
+  /**
+   * Check if user-written strategies can be run
+   * @returns {boolean} - True in worker mode
+   */
+  canRunScripts() {
+    return this.useWorker;
+  }
+
+  /**
+   * Run a simulation on the main thread
+   */
+  runInline(options, { onProgress, onPartial, signal } = {}) {
+    const simulation = new MontyHallSimulation(options);
+
+    return simulation.run({
+      signal,
+      onProgress: (partial) => {
+        onProgress?.({ completed: partial.completed, rounds: partial.rounds });
+        onPartial?.(partial);
+      }
+    });
+  }
+
+  /**
+   * Run a simulation in the worker
+   */
+  runInWorker(options, callbacks) {
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const job = { id, options, callbacks, resolve, reject, watchdog: null };
+      this.jobs.set(id, job);
+      this.resetWatchdog(job);
+
+      if (callbacks.signal) {
+        if (callbacks.signal.aborted) {
+          // Still round-trip through the worker so the result shape is identical
+          queueMicrotask(() => this.cancelJob(id));
+        } else {
+          callbacks.signal.addEventListener('abort', () => this.cancelJob(id), { once: true });
+        }
+      }
+
+      this.worker.postMessage({ type: SIMULATION_MESSAGES.START, id, options });
+    });
+  }
+
+  /**
+   * Create the worker on first use
+   * @returns {boolean} - True if a worker is available
+   */
+  ensureWorker() {
+    if (this.worker) {
+      return true;
+    }
+
+    try {
+      this.worker = new Worker(this.workerUrl, { type: 'module' });
+      this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+      this.worker.addEventListener('error', (event) => this.handleWorkerFailure(event));
+      return true;
+    } catch (error) {
+      console.warn('Simulation worker unavailable, running on the main thread:', error);
+      this.useWorker = false;
+      this.worker = null;
+      return false;
+    }
+  }
+
+  /**
+   * Route a message from the worker to its job
+   * @param {object} message - Protocol message
+   */
+  handleMessage(message) {
+    const job = this.jobs.get(message?.id);
+    if (!job) return;
+
+    this.resetWatchdog(job);
+    switch (message.type) {
+      case SIMULATION_MESSAGES.PROGRESS:
+        job.callbacks.onProgress?.({ completed: message.completed, rounds: message.rounds });
+        break;
+      case SIMULATION_MESSAGES.HISTOGRAM:
+        job.callbacks.onPartial?.(message.partial);
+        break;
+      case SIMULATION_MESSAGES.DONE:
+        this.finishJob(job);
+        job.resolve(message.result);
+        break;
+      case SIMULATION_MESSAGES.ERROR:
+        this.finishJob(job);
+        job.reject(new Error(message.message));
+        break;
+    }
+  }
+
+  /**
+   * Forget a job that has finished
+   * @param {object} job - Pending job
+   */
+  finishJob(job) {
+    clearTimeout(job.watchdog);
+    this.jobs.delete(job.id);
+  }
+
+  /**
+   * (Re)start the stall timer for a job running user-written strategy code
+   * @param {object} job - Pending job
+   */
+  resetWatchdog(job) {
+    if (!isScriptRun(job.options)) return;
+
+    clearTimeout(job.watchdog);
+    job.watchdog = setTimeout(() => this.handleStalledJob(job), SCRIPT_STALL_TIMEOUT_MS);
+  }
+
+  /**
+   * A user strategy stopped responding: stop the worker (the only way to interrupt it)
+   * and fail every pending job, since they shared that worker
+   * @param {object} job - The stalled job
+   */
+  handleStalledJob(job) {
+    const name = job.options.strategyOptions?.name || 'Your strategy';
+    console.warn(`Strategy "${name}" stopped responding; restarting the simulation worker`);
+
+    const pending = [...this.jobs.values()];
+    this.jobs.clear();
+    this.worker?.terminate();
+    this.worker = null;
+
+    pending.forEach(pendingJob => {
+      clearTimeout(pendingJob.watchdog);
+      pendingJob.reject(new Error(pendingJob === job ?
+        `"${name}" did not respond for ${SCRIPT_STALL_TIMEOUT_MS / 1000} seconds and was stopped` :
+        'Simulation worker was restarted'));
+    });
+  }
+
+  /**
+   * Ask the worker to stop a job
+   * @param {number} id - Job id
+   */
+  cancelJob(id) {
+    if (this.jobs.has(id)) {
+      this.worker?.postMessage({ type: SIMULATION_MESSAGES.CANCEL, id });
+    }
+  }
+
+  /**
+   * The worker failed to load or crashed: switch to inline mode and rerun pending jobs
+   * @param {Event} event - Worker error event
+   */
+  handleWorkerFailure(event) {
+    console.warn('Simulation worker failed, running on the main thread:', event.message || event);
+    event.preventDefault?.();
+
+    const pending = [...this.jobs.values()];
+    this.jobs.clear();
+    this.worker?.terminate();
+    this.worker = null;
+    this.useWorker = false;
+
+    pending.forEach(job => {
+      clearTimeout(job.watchdog);
+      if (isScriptRun(job.options)) {
+        job.reject(new Error('Simulation worker failed, and your own strategies only run in a worker'));
+        return;
+      }
+      this.runInline(job.options, job.callbacks).then(job.resolve, job.reject);
+    });
+  }
+
+  /**
+   * Stop the worker; pending jobs are rejected
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    this.jobs.forEach(job => {
+      clearTimeout(job.watchdog);
+      job.reject(new Error('Simulation worker was terminated'));
+    });
+    this.jobs.clear();
+  }
+}
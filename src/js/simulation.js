@@ -0,0 +1,200 @@
+/**
+ * Bulk Simulation Engine for Monty Hall Simulator
+ * Plays many rounds with MontyHallGame for any strategy, door count and host model
+ */
+
+import { MontyHallGame } from './game.js';
+import { createHost } from './hosts.js';
+import { createStrategy, playStrategy } from './strategies.js';
+import { SeededRandom } from './random.js';
+
+// Strategies run when no particular one is asked for
+export const SIMULATION_STRATEGIES = ['stay', 'switch'];
+
+export class MontyHallSimulation {
+  /**
+   * @param {object} [options] - Simulation configuration
+   * @param {number} [options.rounds=10000] - Number of rounds to play
+   * @param {string} [options.strategy='switch'] - Strategy id (see PLAYER_STRATEGIES)
+   * @param {object} [options.strategyOptions] - Strategy options (e.g. { probability })
+   * @param {number} [options.doorCount=3] - Number of doors
+   * @param {number} [options.revealCount] - Goats the host opens (defaults to all but one)
+   * @param {string} [options.hostModel='standard'] - Host model id
+   * @param {object} [options.hostOptions] - Host model options (e.g. { preference })
+   * @param {number|string} [options.seed] - Seed for reproducible runs
+   * @param {number} [options.batchSize=5000] - Rounds played between progress reports
+   * @param {number} [options.maxBatchMs=250] - Longest a batch may run before progress is reported,
+   *   so slow strategies still report often enough not to look stuck
+   * @param {number} [options.sampleCount=200] - Approximate number of convergence samples
+   */
+  constructor({
+    rounds = 10000,
+    strategy = 'switch',
+    strategyOptions = {},
+    doorCount = 3,
+    revealCount = doorCount - 2,
+    hostModel = 'standard',
+    hostOptions = {},
+    seed = SeededRandom.generateSeed(),
+    batchSize = 5000,
+    maxBatchMs = 250,
+    sampleCount = 200
+  } = {}) {
+    if (!Number.isInteger(rounds) || rounds < 1) {
+      throw new RangeError('rounds must be a positive integer');
+    }
+
+    // Throws on an unknown strategy, bad options or user code that does not compile
+    this.player = createStrategy(strategy, strategyOptions);
+
+    this.rounds = rounds;
+    this.strategy = strategy;
+    this.strategyOptions = strategyOptions;
+    this.hostModel = hostModel;
+    this.hostOptions = hostOptions;
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.batchSize = Math.max(1, batchSize);
+    this.maxBatchMs = maxBatchMs;
+    this.sampleInterval = Math.max(1, Math.floor(rounds / sampleCount));
+
+    // Throws on an invalid door configuration or unknown host model
+    const rng = new SeededRandom(this.seed);
+    this.game = new MontyHallGame({ doorCount, revealCount, host: createHost(hostModel, hostOptions), rng });
+    // First picks and the player's decisions draw from separate streams, so every
+    // strategy run with the same seed faces exactly the same rounds
+    this.playerRng = new SeededRandom(rng.nextSeed());
+    this.decisionRng = new SeededRandom(rng.nextSeed());
+    this.decide = this.decisionRng.asFunction();
+
+    this.cancelled = false;
+    this.resetCounters();
+  }
+
+  /**
+   * Clear all tallies
+   */
+  resetCounters() {
+    this.completed = 0;
+    this.wins = 0;
+    this.losses = 0;
+    this.voided = 0;
+    this.samples = [];
+  }
+
+  /**
+   * Run the whole simulation, yielding to the event loop between batches
+   * @param {object} [callbacks]
+   * @param {function} [callbacks.onProgress] - Called with a partial result after each batch
+   * @param {AbortSignal} [callbacks.signal] - Aborting stops the run after the current batch
+   * @returns {Promise<object>} - Final (or partial, if cancelled) result
+   */
+  async run({ onProgress, signal } = {}) {
+    const started = Date.now();
+
+    while (this.completed < this.rounds) {
+      if (this.cancelled || signal?.aborted) {
+        this.cancelled = true;
+        break;
+      }
+
+      this.runBatch(Math.min(this.batchSize, this.rounds - this.completed), Date.now() + this.maxBatchMs);
+
+      if (onProgress) {
+        onProgress(this.getResult());
+      }
+
+      // Let the UI (or worker message loop) breathe between batches
+      if (this.completed < this.rounds) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+
+    return { ...this.getResult(), durationMs: Date.now() - started };
+  }
+
+  /**
+   * Play a batch of rounds synchronously
+   * @param {number} count - Rounds to play
+   * @param {number} [deadline=Infinity] - Time (ms since the epoch) after which the batch
+   *   ends early, once at least one round has been played
+   */
+  runBatch(count, deadline = Infinity) {
+    const game = this.game;
+
+    for (let i = 0; i < count && (i === 0 || Date.now() < deadline); i++) {
+      game.reset();
+      game.selectDoor(this.playerRng.nextInt(game.doorCount));
+
+      if (game.isVoided()) {
+        this.voided++;
+      } else {
+        this.playRound(game);
+        if (game.won) {
+          this.wins++;
+        } else {
+          this.losses++;
+        }
+      }
+
+      this.completed++;
+      if (this.completed % this.sampleInterval === 0 || this.completed === this.rounds) {
+        this.samples.push({
+          round: this.completed,
+          played: this.wins + this.losses,
+          wins: this.wins,
+          winRate: this.getWinRate()
+        });
+      }
+    }
+  }
+
+  /**
+   * Make the final decision for one round according to the strategy
+   * @param {MontyHallGame} game - Game in the 'revealed' phase
+   */
+  playRound(game) {
+    playStrategy(game, this.player, this.decide);
+  }
+
+  /**
+   * Request cancellation; run() stops after the current batch
+   */
+  cancel() {
+    this.cancelled = true;
+  }
+
+  /**
+   * Win rate over rounds that were not voided
+   * @returns {number} - Win rate between 0 and 1
+   */
+  getWinRate() {
+    const decided = this.wins + this.losses;
+    return decided > 0 ? this.wins / decided : 0;
+  }
+
+  /**
+   * Get a snapshot of the simulation results so far
+   * @returns {object} - Structured result
+   */
+  getResult() {
+    return {
+      strategy: this.strategy,
+      strategyOptions: { ...this.strategyOptions },
+      strategyName: this.player.name,
+      doorCount: this.game.doorCount,
+      revealCount: this.game.revealCount,
+      hostModel: this.hostModel,
+      hostOptions: { ...this.hostOptions },
+      seed: this.seed,
+      rounds: this.rounds,
+      completed: this.completed,
+      wins: this.wins,
+      losses: this.losses,
+      voided: this.voided,
+      winRate: this.getWinRate(),
+      samples: [...this.samples],
+      cancelled: this.cancelled,
+      finished: this.completed === this.rounds
+    };
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * Simulation Worker for Monty Hall Simulator
+ * Runs MontyHallSimulation off the main thread so the page stays responsive
+ */
+
+import { MontyHallSimulation } from './simulation.js';
+import { SIMULATION_MESSAGES } from './simulation-protocol.js';
+
+// Running simulations by request id, so they can be cancelled
+const simulations = new Map();
+
+self.addEventListener('message', async (event) => {
+  const { type, id, options } = event.data || {};
+
+  if (type === SIMULATION_MESSAGES.CANCEL) {
+    simulations.get(id)?.cancel();
+    return;
+  }
+
+  if (type !== SIMULATION_MESSAGES.START) {
+    return;
+  }
+
+  try {
+    const simulation = new MontyHallSimulation(options);
+    simulations.set(id, simulation);
+
+    const result = await simulation.run({
+      onProgress: (partial) => {
+        self.postMessage({
+          type: SIMULATION_MESSAGES.PROGRESS,
+          id,
+          completed: partial.completed,
+          rounds: partial.rounds
+        });
+        self.postMessage({ type: SIMULATION_MESSAGES.HISTOGRAM, id, partial });
+      }
+    });
+
+    self.postMessage({ type: SIMULATION_MESSAGES.DONE, id, result });
+  } catch (error) {
+    self.postMessage({ type: SIMULATION_MESSAGES.ERROR, id, message: error.message });
+  } finally {
+    simulations.delete(id);
+  }
+});
@@ -0,0 +1,426 @@
+/**
+ * Stats Schema for Monty Hall Simulator
+ * Versioned shape of saved stats, migrations from older versions, and strict validation
+ *
+ * Version history:
+ *   1 - stay/switch counters only (no schemaVersion field)
+ *   2 - per-host-model buckets and voided rounds
+ *   3 - per-round history log
+ *   4 - per-strategy results from tournaments, keyed by strategy name
+ */
+
+import { HOST_MODELS } from './hosts.js';
+import { MIN_DOORS, MAX_DOORS } from './game.js';
+import { validateStrategyName } from './strategies.js';
+
+export const STATS_SCHEMA_VERSION = 4;
+
+const STRATEGIES = ['stay', 'switch'];
+const OUTCOMES = ['won', 'lost', 'voided'];
+
+/**
+ * Migrations keyed by the version they upgrade from. Each returns data one version newer.
+ */
+const MIGRATIONS = {
+  // Everything before host models existed was played against the standard host
+  1: (data) => {
+    const hosts = {};
+    if (data.totalGames > 0) {
+      hosts.standard = {
+        ...createDefaultHostStats(),
+        stay: { ...data.stay },
+        switch: { ...data.switch }
+      };
+    }
+    return { ...data, hosts: data.hosts ?? hosts, voidedGames: data.voidedGames ?? 0, schemaVersion: 2 };
+  },
+  2: (data) => ({ ...data, history: data.history ?? [], schemaVersion: 3 }),
+  3: (data) => ({ ...data, strategies: data.strategies ?? {}, schemaVersion: 4 })
+};
+
+/**
+ * Create an empty stats object
+ * @returns {object} - Stats in the current schema
+ */
+export function createDefaultStats() {
+  return {
+    schemaVersion: STATS_SCHEMA_VERSION,
+    totalGames: 0,
+    stay: createDefaultStrategyStats(),
+    switch: createDefaultStrategyStats(),
+    voidedGames: 0,
+    hosts: {},
+    strategies: {},
+    history: [],
+    lastPlayed: null,
+    created: new Date().toISOString()
+  };
+}
+
+/**
+ * Create an empty stats bucket for one host model
+ * @returns {object} - Host stats
+ */
+export function createDefaultHostStats() {
+  return {
+    totalGames: 0,
+    voided: 0,
+    stay: createDefaultStrategyStats(),
+    switch: createDefaultStrategyStats()
+  };
+}
+
+/**
+ * Create an empty results bucket for one named strategy
+ * @returns {object} - Strategy results
+ */
+export function createDefaultNamedStrategyStats() {
+  return { played: 0, won: 0, voided: 0, winRate: 0 };
+}
+
+/**
+ * Upgrade stats saved by an older version to the current schema
+ * @param {object} data - Saved stats (any version)
+ * @returns {object} - { stats, errors }; stats is null if the data can't be migrated
+ */
+export function migrateStats(data) {
+  if (!isPlainObject(data)) {
+    return { stats: null, errors: ['stats: expected an object'] };
+  }
+
+  // Version 1 predates the schemaVersion field
+  let version = data.schemaVersion ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    return { stats: null, errors: [`schemaVersion: expected a positive integer, got ${describe(version)}`] };
+  }
+  if (version > STATS_SCHEMA_VERSION) {
+    return {
+      stats: null,
+      errors: [`schemaVersion: ${version} is newer than this simulator supports (${STATS_SCHEMA_VERSION})`]
+    };
+  }
+
+  let stats = data;
+  while (version < STATS_SCHEMA_VERSION) {
+    stats = MIGRATIONS[version](stats);
+    version = stats.schemaVersion;
+  }
+
+  return { stats, errors: [] };
+}
+
+/**
+ * Strictly validate current-schema stats. Counts must be consistent with each other;
+ * derived fields (win rates and totals) are recomputed rather than trusted.
+ * @param {object} data - Stats in the current schema
+ * @returns {object} - { stats, errors }; stats is a cleaned copy, null if there are errors
+ */
+export function validateStats(data) {
+  if (!isPlainObject(data)) {
+    return { stats: null, errors: ['stats: expected an object'] };
+  }
+
+  const errors = [];
+  const hosts = {};
+
+  if (!isPlainObject(data.hosts)) {
+    errors.push(`hosts: expected an object, got ${describe(data.hosts)}`);
+  } else {
+    for (const [hostModel, bucket] of Object.entries(data.hosts)) {
+      if (!HOST_MODELS[hostModel]) {
+        errors.push(`hosts.${hostModel}: unknown host model`);
+        continue;
+      }
+      hosts[hostModel] = validateHostStats(bucket, `hosts.${hostModel}`, errors);
+    }
+  }
+
+  // Aggregate counters must equal the sum of the per-host buckets
+  const totals = createDefaultHostStats();
+  for (const bucket of Object.values(hosts)) {
+    totals.voided += bucket.voided;
+    for (const strategy of STRATEGIES) {
+      totals[strategy].played += bucket[strategy].played;
+      totals[strategy].won += bucket[strategy].won;
+    }
+  }
+
+  const aggregate = validateHostStats(
+    { stay: data.stay, switch: data.switch, voided: data.voidedGames },
+    '',
+    errors,
+    { voidedPath: 'voidedGames' }
+  );
+  for (const strategy of STRATEGIES) {
+    for (const field of ['played', 'won']) {
+      if (aggregate[strategy][field] !== totals[strategy][field]) {
+        errors.push(`${strategy}.${field}: ${aggregate[strategy][field]} does not match the per-host total ${totals[strategy][field]}`);
+      }
+    }
+  }
+  if (aggregate.voided !== totals.voided) {
+    errors.push(`voidedGames: ${aggregate.voided} does not match the per-host total ${totals.voided}`);
+  }
+
+  const strategies = {};
+  if (!isPlainObject(data.strategies)) {
+    errors.push(`strategies: expected an object, got ${describe(data.strategies)}`);
+  } else {
+    for (const [name, bucket] of Object.entries(data.strategies)) {
+      const nameError = validateStrategyName(name);
+      if (nameError || name !== name.trim()) {
+        errors.push(`strategies.${name}: invalid strategy name`);
+        continue;
+      }
+      strategies[name] = validateNamedStrategyStats(bucket, `strategies.${name}`, errors);
+    }
+  }
+
+  let history = [];
+  if (!Array.isArray(data.history)) {
+    errors.push(`history: expected an array, got ${describe(data.history)}`);
+  } else {
+    history = data.history.map((record, index) => validateHistoryRecord(record, `history[${index}]`, errors));
+    for (let i = 1; i < history.length; i++) {
+      if (history[i] && history[i - 1] && history[i].id <= history[i - 1].id) {
+        errors.push(`history[${i}].id: ${history[i].id} is not greater than the previous id ${history[i - 1].id}`);
+      }
+    }
+
+    const counted = aggregate.totalGames + aggregate.voided;
+    if (history.length > counted) {
+      errors.push(`history: ${history.length} rounds logged but only ${counted} counted`);
+    }
+  }
+
+  const lastPlayed = data.lastPlayed ?? null;
+  if (lastPlayed !== null && !isDateString(lastPlayed)) {
+    errors.push(`lastPlayed: expected a date or null, got ${describe(lastPlayed)}`);
+  }
+  const created = data.created ?? new Date().toISOString();
+  if (!isDateString(created)) {
+    errors.push(`created: expected a date, got ${describe(created)}`);
+  }
+
+  if (errors.length > 0) {
+    return { stats: null, errors };
+  }
+
+  return {
+    stats: {
+      schemaVersion: STATS_SCHEMA_VERSION,
+      totalGames: aggregate.totalGames,
+      stay: aggregate.stay,
+      switch: aggregate.switch,
+      voidedGames: aggregate.voided,
+      hosts,
+      strategies,
+      history,
+      lastPlayed,
+      created
+    },
+    errors: []
+  };
+}
+
+/**
+ * Migrate then validate saved or imported stats
+ * @param {object} data - Stats of any supported version
+ * @returns {object} - { stats, errors }; stats is null if there are errors
+ */
+export function parseStats(data) {
+  const migrated = migrateStats(data);
+  if (migrated.errors.length > 0) {
+    return migrated;
+  }
+  return validateStats(migrated.stats);
+}
+
+/**
+ * Create an empty stay or switch counter
+ */
+function createDefaultStrategyStats() {
+  return { played: 0, won: 0, winRate: 0 };
+}
+
+/**
+ * Validate one host bucket (or the aggregate counters), recomputing totals and win rates
+ */
+function validateHostStats(bucket, path, errors, { voidedPath = `${path}.voided` } = {}) {
+  const prefix = path ? `${path}.` : '';
+  const result = createDefaultHostStats();
+
+  if (!isPlainObject(bucket)) {
+    errors.push(`${path}: expected an object, got ${describe(bucket)}`);
+    return result;
+  }
+
+  for (const strategy of STRATEGIES) {
+    const counter = bucket[strategy];
+    const strategyPath = `${prefix}${strategy}`;
+    if (!isPlainObject(counter)) {
+      errors.push(`${strategyPath}: expected an object, got ${describe(counter)}`);
+      continue;
+    }
+
+    const played = checkCount(counter.played, `${strategyPath}.played`, errors);
+    const won = checkCount(counter.won, `${strategyPath}.won`, errors);
+    if (won > played) {
+      errors.push(`${strategyPath}.won: ${won} is more than ${strategyPath}.played (${played})`);
+    }
+    result[strategy] = { played, won, winRate: played > 0 ? won / played : 0 };
+  }
+
+  result.voided = bucket.voided === undefined ? 0 : checkCount(bucket.voided, voidedPath, errors);
+  result.totalGames = result.stay.played + result.switch.played;
+  return result;
+}
+
+/**
+ * Validate the results of one named strategy, recomputing its win rate
+ */
+function validateNamedStrategyStats(bucket, path, errors) {
+  if (!isPlainObject(bucket)) {
+    errors.push(`${path}: expected an object, got ${describe(bucket)}`);
+    return createDefaultNamedStrategyStats();
+  }
+
+  const played = checkCount(bucket.played, `${path}.played`, errors);
+  const won = checkCount(bucket.won, `${path}.won`, errors);
+  const voided = bucket.voided === undefined ? 0 : checkCount(bucket.voided, `${path}.voided`, errors);
+  if (won > played) {
+    errors.push(`${path}.won: ${won} is more than ${path}.played (${played})`);
+  }
+  return { played, won, voided, winRate: played > 0 ? won / played : 0 };
+}
+
+/**
+ * Validate one round of the history log against the rules of the game
+ * @param {object} record - Round to check
+ * @param {string} path - Where the round is, for error messages (e.g. 'history[3]')
+ * @param {Array} errors - Problems found are appended here
+ * @returns {object|null} - Clean copy of the round, or null if it is invalid
+ */
+export function validateHistoryRecord(record, path, errors) {
+  if (!isPlainObject(record)) {
+    errors.push(`${path}: expected an object, got ${describe(record)}`);
+    return null;
+  }
+
+  const errorCount = errors.length;
+  const fail = (field, message) => errors.push(`${path}.${field}: ${message}`);
+
+  if (!Number.isInteger(record.id) || record.id < 1) {
+    fail('id', `expected a positive integer, got ${describe(record.id)}`);
+  }
+  if (!isDateString(record.timestamp)) {
+    fail('timestamp', `expected a date, got ${describe(record.timestamp)}`);
+  }
+  if (!HOST_MODELS[record.hostModel]) {
+    fail('hostModel', `unknown host model ${describe(record.hostModel)}`);
+  }
+  if (record.seed !== null && record.seed !== undefined && !Number.isFinite(record.seed)) {
+    fail('seed', `expected a number or null, got ${describe(record.seed)}`);
+  }
+  if (!OUTCOMES.includes(record.outcome)) {
+    fail('outcome', `expected one of ${OUTCOMES.join(', ')}, got ${describe(record.outcome)}`);
+  }
+
+  const { doorCount, revealCount } = record;
+  if (!Number.isInteger(doorCount) || doorCount < MIN_DOORS || doorCount > MAX_DOORS) {
+    fail('doorCount', `expected an integer from ${MIN_DOORS} to ${MAX_DOORS}, got ${describe(doorCount)}`);
+    return null;
+  }
+  if (!Number.isInteger(revealCount) || revealCount < 1 || revealCount > doorCount - 2) {
+    fail('revealCount', `expected an integer from 1 to ${doorCount - 2}, got ${describe(revealCount)}`);
+  }
+
+  const isDoor = (index) => Number.isInteger(index) && index >= 0 && index < doorCount;
+  for (const field of ['carDoor', 'initialPick']) {
+    if (!isDoor(record[field])) {
+      fail(field, `expected a door index from 0 to ${doorCount - 1}, got ${describe(record[field])}`);
+    }
+  }
+
+  const revealedDoors = record.revealedDoors;
+  if (!Array.isArray(revealedDoors) || !revealedDoors.every(isDoor) ||
+      new Set(revealedDoors).size !== revealedDoors.length || revealedDoors.includes(record.initialPick)) {
+    fail('revealedDoors', 'expected distinct door indices other than the initial pick');
+  } else if (revealedDoors.length > revealCount) {
+    fail('revealedDoors', `${revealedDoors.length} doors opened but revealCount is ${revealCount}`);
+  }
+
+  if (record.outcome === 'voided') {
+    if (record.finalPick !== null || record.strategy !== null) {
+      fail('outcome', 'voided rounds must have a null finalPick and strategy');
+    }
+  } else if (OUTCOMES.includes(record.outcome)) {
+    if (!STRATEGIES.includes(record.strategy)) {
+      fail('strategy', `expected stay or switch, got ${describe(record.strategy)}`);
+    }
+    if (!isDoor(record.finalPick) || (Array.isArray(revealedDoors) && revealedDoors.includes(record.finalPick))) {
+      fail('finalPick', `expected an unopened door index, got ${describe(record.finalPick)}`);
+    } else if (record.strategy === 'stay' && record.finalPick !== record.initialPick) {
+      fail('finalPick', 'must equal initialPick when the strategy is stay');
+    } else if (record.strategy === 'switch' && record.finalPick === record.initialPick) {
+      fail('finalPick', 'must differ from initialPick when the strategy is switch');
+    } else if ((record.finalPick === record.carDoor) !== (record.outcome === 'won')) {
+      fail('outcome', `${record.outcome} does not match finalPick and carDoor`);
+    }
+  }
+
+  if (errors.length > errorCount) {
+    return null;
+  }
+
+  return {
+    id: record.id,
+    timestamp: record.timestamp,
+    carDoor: record.carDoor,
+    initialPick: record.initialPick,
+    revealedDoors: [...revealedDoors],
+    finalPick: record.finalPick,
+    strategy: record.strategy,
+    outcome: record.outcome,
+    hostModel: record.hostModel,
+    doorCount,
+    revealCount,
+    seed: record.seed ?? null
+  };
+}
+
+/**
+ * Check a non-negative integer counter, returning 0 if it is invalid
+ */
+function checkCount(value, path, errors) {
+  if (!Number.isInteger(value) || value < 0) {
+    errors.push(`${path}: expected a non-negative integer, got ${describe(value)}`);
+    return 0;
+  }
+  return value;
+}
+
+/**
+ * Check for an object that is not an array or null, e.g. parsed JSON
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for a plain object
+ */
+export function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isDateString(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Describe a bad value for an error message
+ * @param {*} value - Value found
+ * @returns {string} - e.g. 'nothing', 'an array' or '"abc"'
+ */
+export function describe(value) {
+  if (value === undefined) return 'nothing';
+  if (Array.isArray(value)) return 'an array';
+  if (isPlainObject(value)) return 'an object';
+  return JSON.stringify(value);
+}
@@ -0,0 +1,165 @@
+/**
+ * Stats Export/Import Formats for Monty Hall Simulator
+ * CSV reports of the aggregate stats and round history, CSV history parsing,
+ * and merging of two stats objects
+ */
+
+import { createDefaultHostStats, createDefaultNamedStrategyStats, validateStats } from './stats-schema.js';
+
+// Round history CSV columns. Door numbers are 1-based, as shown in the game.
+export const HISTORY_CSV_COLUMNS = [
+  'round', 'timestamp', 'doors', 'opened', 'host', 'seed',
+  'car', 'firstPick', 'openedDoors', 'finalPick', 'strategy', 'outcome'
+];
+
+// Summary CSV columns: one row per host model plus an "all" row
+export const SUMMARY_CSV_COLUMNS = [
+  'host', 'stayPlayed', 'stayWon', 'stayWinRate', 'switchPlayed', 'switchWon', 'switchWinRate', 'voided'
+];
+
+/**
+ * Format the round history as CSV
+ * @param {object} stats - Stats object with a history array
+ * @returns {string} - CSV text with a header row
+ */
+export function formatHistoryCsv(stats) {
+  const door = (index) => index === null ? '' : index + 1;
+  const rows = stats.history.map(record => [
+    record.id,
+    record.timestamp,
+    record.doorCount,
+    record.revealCount,
+    record.hostModel,
+    record.seed ?? '',
+    door(record.carDoor),
+    door(record.initialPick),
+    record.revealedDoors.map(door).join(' '),
+    door(record.finalPick),
+    record.strategy ?? '',
+    record.outcome
+  ]);
+
+  return [HISTORY_CSV_COLUMNS, ...rows].map(row => row.join(',')).join('\n') + '\n';
+}
+
+/**
+ * Format the aggregate stats as CSV
+ * @param {object} stats - Stats object
+ * @returns {string} - CSV text with a header row
+ */
+export function formatSummaryCsv(stats) {
+  const row = (host, bucket) => [
+    host,
+    bucket.stay.played, bucket.stay.won, bucket.stay.winRate,
+    bucket.switch.played, bucket.switch.won, bucket.switch.winRate,
+    bucket.voided
+  ];
+  const rows = [
+    ...Object.entries(stats.hosts).map(([host, bucket]) => row(host, bucket)),
+    row('all', { stay: stats.stay, switch: stats.switch, voided: stats.voidedGames })
+  ];
+
+  return [SUMMARY_CSV_COLUMNS, ...rows].map(columns => columns.join(',')).join('\n') + '\n';
+}
+
+/**
+ * Parse a round history CSV written by formatHistoryCsv()
+ * @param {string} text - CSV text
+ * @returns {object} - { history, errors }; history records use 0-based door indices
+ */
+export function parseHistoryCsv(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) {
+    return { history: [], errors: ['CSV file is empty'] };
+  }
+
+  const header = lines[0].split(',').map(name => name.trim());
+  const missing = HISTORY_CSV_COLUMNS.filter(column => !header.includes(column));
+  if (missing.length > 0) {
+    const hint = header.includes('stayPlayed') ? ' (summary CSVs cannot be imported; use the history CSV or JSON)' : '';
+    return { history: [], errors: [`CSV header is missing ${missing.join(', ')}${hint}`] };
+  }
+
+  const errors = [];
+  const history = lines.slice(1).map((line, index) => {
+    const cells = line.split(',');
+    if (cells.length !== header.length) {
+      errors.push(`CSV line ${index + 2}: expected ${header.length} values, got ${cells.length}`);
+    }
+    const value = (column) => (cells[header.indexOf(column)] ?? '').trim();
+    const number = (column) => value(column) === '' ? null : Number(value(column));
+    const door = (column) => value(column) === '' ? null : Number(value(column)) - 1;
+
+    return {
+      id: number('round'),
+      timestamp: value('timestamp'),
+      carDoor: door('car'),
+      initialPick: door('firstPick'),
+      revealedDoors: value('openedDoors').split(/\s+/).filter(Boolean).map(item => Number(item) - 1),
+      finalPick: door('finalPick'),
+      strategy: value('strategy') || null,
+      outcome: value('outcome'),
+      hostModel: value('host'),
+      doorCount: number('doors'),
+      revealCount: number('opened'),
+      seed: number('seed')
+    };
+  });
+
+  return { history, errors };
+}
+
+/**
+ * Combine two stats objects, e.g. results collected from several players.
+ * Counters are added, histories are interleaved by time and renumbered,
+ * and only the newest historyLimit rounds are kept.
+ * @param {object} current - Valid stats
+ * @param {object} incoming - Valid stats
+ * @param {number} historyLimit - Maximum rounds kept in the merged history
+ * @returns {object} - Merged stats
+ */
+export function mergeStats(current, incoming, historyLimit) {
+  const hosts = {};
+  for (const source of [current, incoming]) {
+    for (const [hostModel, bucket] of Object.entries(source.hosts)) {
+      const merged = hosts[hostModel] || (hosts[hostModel] = createDefaultHostStats());
+      merged.voided += bucket.voided;
+      for (const strategy of ['stay', 'switch']) {
+        merged[strategy].played += bucket[strategy].played;
+        merged[strategy].won += bucket[strategy].won;
+      }
+    }
+  }
+
+  const strategies = {};
+  for (const source of [current, incoming]) {
+    for (const [name, bucket] of Object.entries(source.strategies)) {
+      const merged = strategies[name] || (strategies[name] = createDefaultNamedStrategyStats());
+      merged.played += bucket.played;
+      merged.won += bucket.won;
+      merged.voided += bucket.voided;
+    }
+  }
+
+  const history = [...current.history, ...incoming.history]
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+    .slice(-historyLimit)
+    .map((record, index) => ({ ...record, id: index + 1 }));
+
+  const sum = (strategy, field) => current[strategy][field] + incoming[strategy][field];
+  const dates = (field) => [current[field], incoming[field]].filter(Boolean).sort();
+
+  // Validation recomputes totals and win rates for the merged counters
+  const { stats } = validateStats({
+    stay: { played: sum('stay', 'played'), won: sum('stay', 'won') },
+    switch: { played: sum('switch', 'played'), won: sum('switch', 'won') },
+    voidedGames: current.voidedGames + incoming.voidedGames,
+    hosts,
+    strategies,
+    history,
+    lastPlayed: dates('lastPlayed').pop() ?? null,
+    created: dates('created')[0]
+  });
+
+  return stats;
+}
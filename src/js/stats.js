@@ -1,75 +1,150 @@
 /**
  * Statistics Tracking for Monty Hall Simulator
- * Tracks win/loss rates for stay vs switch strategies using localStorage
+ * Tracks win/loss rates for stay vs switch strategies, overall and per host
+ * model, plus a capped per-round history log, persisted through a storage adapter
  */
 
+import { wilsonInterval, twoProportionZTest, binomialTest } from './inference.js';
+import { createStorageAdapter, migrateFromLocalStorage } from './storage.js';
+import { createDefaultStats, createDefaultHostStats, createDefaultNamedStrategyStats, parseStats } from './stats-schema.js';
+import { formatHistoryCsv, formatSummaryCsv, parseHistoryCsv, mergeStats } from './stats-transfer.js';
+import { GAME_EVENTS } from './game-state.js';
+
+// Long-run win rates for the classic three-door game with the standard host
+export const THEORETICAL_WIN_RATES = {
+  stay: 1 / 3,
+  switch: 2 / 3
+};
+
+// The setup THEORETICAL_WIN_RATES hold for
+export const CLASSIC_SETUP = Object.freeze({ doorCount: 3, revealCount: 1, hostModel: 'standard' });
+
+// Significance level used to call a difference real rather than noise
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+// When the educational hints appear: the first games get "keep playing", a lopsided mix
+// of stay and switch gets "try both", and a classic-game switch win rate far from 2/3 gets the theory
+export const DEFAULT_HINT_THRESHOLDS = Object.freeze({
+  earlyGames: 5,
+  balanceMinGames: 10,
+  balanceGap: 10,
+  theoryMinGames: 20,
+  theoryTolerance: 0.1
+});
+
+// Rounds kept in the history log; older rounds are dropped so storage doesn't grow without bound
+export const DEFAULT_HISTORY_LIMIT = 1000;
+
 export class GameStats {
-  constructor() {
+  /**
+   * Stats start out empty; call load() to read saved stats before using them.
+   * @param {object} [options]
+   * @param {StorageAdapter} [options.storage] - Where stats are saved (best available backend by default)
+   * @param {number} [options.historyLimit] - Maximum rounds kept in the history log
+   */
+  constructor({ storage = null, historyLimit = DEFAULT_HISTORY_LIMIT } = {}) {
     this.storageKey = 'montyHallStats';
-    this.loadStats();
+    this.storage = storage;
+    this.historyLimit = historyLimit;
+    this.listeners = [];
+    this.stats = this.getDefaultStats();
+    this.loaded = false;
+    this.pendingSave = Promise.resolve();
   }
 
   /**
-   * Load statistics from localStorage
+   * Register a callback run whenever the stats change
+   * @param {function} listener - Called with the GameStats instance
+   * @returns {function} - Call to unsubscribe
    */
-  loadStats() {
-    try {
-      const stored = localStorage.getItem(this.storageKey);
-      if (stored) {
-        this.stats = JSON.parse(stored);
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(existing => existing !== listener);
+    };
+  }
+
+  /**
+   * Record every round a game finishes, including voided ones. What-if rounds
+   * (replayed or played again after an undo) are skipped.
+   * @param {MontyHallGame} game - Game to follow
+   * @returns {function} - Call to stop following it
+   */
+  trackGame(game) {
+    return game.on(GAME_EVENTS.GAME_FINISHED, ({ won, voided, state }) => {
+      if (state.counterfactual) {
+        return;
+      }
+      if (voided) {
+        this.recordVoided(state.hostModel, state);
       } else {
-        this.resetStats();
+        this.recordGame(state.playerStrategy, won, state.hostModel, state);
       }
-    } catch (error) {
-      console.warn('Failed to load stats from localStorage:', error);
-      this.resetStats();
-    }
-
-    // Ensure all required properties exist (for backwards compatibility)
-    this.validateStats();
+    });
   }
 
   /**
-   * Validate and fix stats object structure
+   * Load saved statistics, migrating stats left in localStorage by older versions
+   * and upgrading older schema versions
+   * @returns {Promise<object>} - The loaded stats
    */
-  validateStats() {
-    const defaultStats = this.getDefaultStats();
+  async load() {
+    this.stats = this.getDefaultStats();
 
-    // Check if stats object has all required properties
-    for (const key in defaultStats) {
-      if (!this.stats.hasOwnProperty(key)) {
-        this.stats[key] = defaultStats[key];
+    try {
+      if (!this.storage) {
+        this.storage = await createStorageAdapter();
       }
-    }
 
-    // Ensure nested objects exist
-    if (!this.stats.stay || typeof this.stats.stay !== 'object') {
-      this.stats.stay = defaultStats.stay;
-    }
-    if (!this.stats.switch || typeof this.stats.switch !== 'object') {
-      this.stats.switch = defaultStats.switch;
+      let stored = await this.storage.get(this.storageKey);
+      if (stored === null) {
+        stored = await migrateFromLocalStorage(this.storage, this.storageKey);
+      }
+
+      if (stored !== null) {
+        const { stats, errors } = parseStats(stored);
+        if (stats) {
+          this.stats = stats;
+        } else {
+          // Keep the unreadable copy so it can be recovered by hand, then start fresh
+          console.error('Saved stats are invalid and were set aside:', errors);
+          await this.storage.set(`${this.storageKey}.invalid`, stored);
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to load stats:', error);
     }
+
+    this.loaded = true;
+    this.listeners.forEach(listener => listener(this));
+
+    return this.stats;
   }
 
   /**
    * Get default stats structure
    */
   getDefaultStats() {
-    return {
-      totalGames: 0,
-      stay: {
-        played: 0,
-        won: 0,
-        winRate: 0
-      },
-      switch: {
-        played: 0,
-        won: 0,
-        winRate: 0
-      },
-      lastPlayed: null,
-      created: new Date().toISOString()
-    };
+    return createDefaultStats();
+  }
+
+  /**
+   * Get default stats structure for a single host model
+   */
+  getDefaultHostStats() {
+    return createDefaultHostStats();
+  }
+
+  /**
+   * Get (creating if needed) the stats bucket for a host model
+   * @param {string} hostModel - Host model id
+   * @returns {object} Host stats object
+   */
+  getHostBucket(hostModel) {
+    if (!this.stats.hosts[hostModel]) {
+      this.stats.hosts[hostModel] = this.getDefaultHostStats();
+    }
+    return this.stats.hosts[hostModel];
   }
 
   /**
@@ -81,44 +156,218 @@ export class GameStats {
   }
 
   /**
-   * Save statistics to localStorage
+   * Save statistics in the background. Writes are queued so they land in order;
+   * nothing is written until load() has run, so saved stats can't be overwritten by defaults.
    */
   saveStats() {
-    try {
-      localStorage.setItem(this.storageKey, JSON.stringify(this.stats));
-    } catch (error) {
-      console.error('Failed to save stats to localStorage:', error);
+    if (this.loaded) {
+      this.pendingSave = this.pendingSave
+        .then(() => this.storage.set(this.storageKey, this.stats))
+        .catch(error => console.error('Failed to save stats:', error));
     }
+
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  /**
+   * Wait for queued saves to finish
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.pendingSave;
   }
 
   /**
    * Record a game result
    * @param {string} strategy - 'stay' or 'switch'
    * @param {boolean} won - true if player won, false if lost
+   * @param {string} [hostModel='standard'] - Id of the host model the game was played against
+   * @param {object} [round] - Game state (from getGameState()) to append to the history log
    */
-  recordGame(strategy, won) {
+  recordGame(strategy, won, hostModel = 'standard', round = null) {
     if (!['stay', 'switch'].includes(strategy)) {
       console.error('Invalid strategy:', strategy);
       return;
     }
 
-    // Update strategy-specific stats
-    this.stats[strategy].played++;
-    if (won) {
-      this.stats[strategy].won++;
+    // Update strategy-specific stats, overall and for this host model
+    const hostStats = this.getHostBucket(hostModel);
+    for (const bucket of [this.stats, hostStats]) {
+      bucket[strategy].played++;
+      if (won) {
+        bucket[strategy].won++;
+      }
+
+      // Calculate win rate
+      bucket[strategy].winRate = bucket[strategy].won / bucket[strategy].played;
+      bucket.totalGames++;
     }
 
-    // Calculate win rate
-    this.stats[strategy].winRate = this.stats[strategy].won / this.stats[strategy].played;
+    // Update last played
+    this.stats.lastPlayed = new Date().toISOString();
+
+    if (round) {
+      this.appendHistory(round, won ? 'won' : 'lost');
+    }
 
-    // Update total games
-    this.stats.totalGames++;
+    // Persist
+    this.saveStats();
+  }
+
+  /**
+   * Record a round voided because the host revealed the car
+   * @param {string} hostModel - Id of the host model the round was played against
+   * @param {object} [round] - Game state (from getGameState()) to append to the history log
+   */
+  recordVoided(hostModel, round = null) {
+    this.getHostBucket(hostModel).voided++;
+    this.stats.voidedGames++;
     this.stats.lastPlayed = new Date().toISOString();
 
-    // Save to localStorage
+    if (round) {
+      this.appendHistory(round, 'voided');
+    }
+
+    this.saveStats();
+  }
+
+  /**
+   * Add the results of a simulated run to a named strategy's totals. These are kept
+   * apart from the stay/switch counters, which only count rounds you played yourself.
+   * @param {string} name - Strategy name, e.g. "Always switch"
+   * @param {object} result - { wins, losses, voided } from MontyHallSimulation
+   */
+  recordStrategyResults(name, { wins, losses, voided = 0 }) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      console.error('Invalid strategy name:', name);
+      return;
+    }
+
+    const bucket = this.stats.strategies[name] || (this.stats.strategies[name] = createDefaultNamedStrategyStats());
+    bucket.played += wins + losses;
+    bucket.won += wins;
+    bucket.voided += voided;
+    bucket.winRate = bucket.played > 0 ? bucket.won / bucket.played : 0;
+
     this.saveStats();
   }
 
+  /**
+   * All-time results of every named strategy, best win rate first
+   * @returns {Array} - Entries of { name, played, won, voided, winRate, interval }
+   */
+  getStrategyStandings() {
+    return Object.entries(this.stats.strategies)
+      .map(([name, bucket]) => ({ name, ...bucket, interval: wilsonInterval(bucket.won, bucket.played) }))
+      .sort((a, b) => b.winRate - a.winRate);
+  }
+
+  /**
+   * Append a round to the history log, dropping the oldest rounds past the cap
+   * @param {object} round - Game state from MontyHallGame.getGameState()
+   * @param {string} outcome - 'won', 'lost' or 'voided'
+   */
+  appendHistory(round, outcome) {
+    const history = this.stats.history;
+    const lastId = history.length > 0 ? history[history.length - 1].id : 0;
+
+    history.push({
+      id: lastId + 1,
+      timestamp: this.stats.lastPlayed,
+      carDoor: round.carDoor,
+      initialPick: round.playerChoice,
+      revealedDoors: [...(round.hostRevealedDoors || [])],
+      finalPick: round.finalChoice ?? null,
+      strategy: round.playerStrategy ?? null,
+      outcome,
+      hostModel: round.hostModel ?? 'standard',
+      doorCount: round.doorCount ?? 3,
+      revealCount: round.revealCount ?? 1,
+      seed: round.seed ?? null
+    });
+
+    if (history.length > this.historyLimit) {
+      history.splice(0, history.length - this.historyLimit);
+    }
+  }
+
+  /**
+   * Get one page of the history log, newest rounds first
+   * @param {object} [options]
+   * @param {number} [options.page=1] - 1-based page number
+   * @param {number} [options.pageSize=20] - Rounds per page
+   * @returns {object} - { records, page, pageSize, totalRecords, totalPages }
+   */
+  getHistory({ page = 1, pageSize = 20 } = {}) {
+    const totalRecords = this.stats.history.length;
+    const totalPages = Math.max(1, Math.ceil(totalRecords / pageSize));
+    const currentPage = Math.min(Math.max(1, page), totalPages);
+    const end = totalRecords - (currentPage - 1) * pageSize;
+    const start = Math.max(0, end - pageSize);
+
+    return {
+      records: this.stats.history.slice(start, end).reverse(),
+      page: currentPage,
+      pageSize,
+      totalRecords,
+      totalPages
+    };
+  }
+
+  /**
+   * Rebuild aggregate counters from a history log
+   * @param {Array} [history] - Round records (defaults to the stored log)
+   * @returns {object} - { totalGames, voidedGames, stay, switch, hosts }
+   */
+  deriveStatsFromHistory(history = this.stats.history) {
+    const defaults = this.getDefaultStats();
+    const derived = {
+      totalGames: 0,
+      voidedGames: 0,
+      stay: defaults.stay,
+      switch: defaults.switch,
+      hosts: {}
+    };
+
+    for (const record of history) {
+      const hostModel = record.hostModel || 'standard';
+      if (!derived.hosts[hostModel]) {
+        derived.hosts[hostModel] = this.getDefaultHostStats();
+      }
+      const host = derived.hosts[hostModel];
+
+      if (record.outcome === 'voided') {
+        host.voided++;
+        derived.voidedGames++;
+        continue;
+      }
+      if (!['stay', 'switch'].includes(record.strategy)) {
+        // Malformed record (e.g. from an imported file); validation reports it
+        continue;
+      }
+
+      for (const bucket of [derived, host]) {
+        bucket[record.strategy].played++;
+        if (record.outcome === 'won') {
+          bucket[record.strategy].won++;
+        }
+        bucket[record.strategy].winRate = bucket[record.strategy].won / bucket[record.strategy].played;
+        bucket.totalGames++;
+      }
+    }
+
+    return derived;
+  }
+
+  /**
+   * Check whether older rounds have been dropped from the history log
+   * @returns {boolean} - True if the counters cover more rounds than the log
+   */
+  isHistoryTruncated() {
+    const logged = this.stats.history.length;
+    return this.stats.totalGames + this.stats.voidedGames > logged;
+  }
+
   /**
    * Get current statistics
    * @returns {object} Current stats object
@@ -166,6 +415,22 @@ export class GameStats {
     };
   }
 
+  /**
+   * Get per-host-model statistics for side-by-side comparison
+   * @returns {Array} One entry per host model that has been played
+   */
+  getHostComparison() {
+    return Object.entries(this.stats.hosts)
+      .filter(([, host]) => host.totalGames > 0 || host.voided > 0)
+      .map(([hostModel, host]) => ({
+        hostModel,
+        totalGames: host.totalGames,
+        voided: host.voided,
+        stay: { ...host.stay },
+        switch: { ...host.switch }
+      }));
+  }
+
   /**
    * Get strategy comparison for educational purposes
    * @returns {object} Comparison data showing which strategy is better
@@ -189,7 +454,22 @@ export class GameStats {
       switchWinRate: (switchRate * 100).toFixed(1),
       better: null,
       difference: null,
-      confidence: 'low'
+      confidence: 'low',
+      // 95% Wilson score intervals for each strategy's win rate
+      intervals: {
+        stay: wilsonInterval(stats.stay.won, stats.stay.played),
+        switch: wilsonInterval(stats.switch.won, stats.switch.played)
+      },
+      // Stay vs switch two-proportion z-test
+      test: null,
+      significant: false,
+      // Exact binomial tests against the theoretical 1/3 and 2/3
+      theoretical: this.getClassicTheoryTests(),
+      // The counters pool every setup played, and each setup has its own odds
+      pooled: this.getPlayedSetups().length > 1,
+      // Staying only has the worse odds against the standard host
+      standardHostOnly: Object.entries(stats.hosts)
+        .every(([hostModel, host]) => hostModel === 'standard' || host.totalGames === 0)
     };
 
     if (stats.stay.played > 0 && stats.switch.played > 0) {
@@ -204,11 +484,12 @@ export class GameStats {
         comparison.difference = '0.0';
       }
 
-      // Determine confidence level based on sample size
-      const totalRelevantGames = Math.min(stats.stay.played, stats.switch.played);
-      if (totalRelevantGames >= 50) {
+      // Determine confidence from the significance of the difference, not the sample size
+      comparison.test = twoProportionZTest(stats.switch.won, stats.switch.played, stats.stay.won, stats.stay.played);
+      comparison.significant = comparison.test.pValue < SIGNIFICANCE_LEVEL;
+      if (comparison.test.pValue < 0.01) {
         comparison.confidence = 'high';
-      } else if (totalRelevantGames >= 20) {
+      } else if (comparison.significant) {
         comparison.confidence = 'medium';
       }
     }
@@ -216,6 +497,70 @@ export class GameStats {
     return comparison;
   }
 
+  /**
+   * List the setups the rounds were played in: each host model played, and each
+   * door count and reveal count in the history log
+   * @returns {Array} - Entries of { doorCount, revealCount, hostModel }; the counts are
+   *   null for a host whose rounds have all been dropped from the log
+   */
+  getPlayedSetups() {
+    const setups = new Map();
+    for (const { strategy, outcome, doorCount, revealCount, hostModel } of this.stats.history) {
+      if (strategy && outcome !== 'voided') {
+        setups.set(`${doorCount}/${revealCount}/${hostModel}`, { doorCount, revealCount, hostModel });
+      }
+    }
+
+    // Rounds dropped from the log still count towards their host's totals
+    for (const [hostModel, host] of Object.entries(this.stats.hosts)) {
+      if (host.totalGames > 0 && ![...setups.values()].some(setup => setup.hostModel === hostModel)) {
+        setups.set(hostModel, { doorCount: null, revealCount: null, hostModel });
+      }
+    }
+    return [...setups.values()];
+  }
+
+  /**
+   * Tally the rounds in the history log played in one setup. The stay/switch counters
+   * pool every door count and host, whose win rates differ, so per-setup rates come from the log.
+   * @param {object} setup - { doorCount, revealCount, hostModel }
+   * @returns {object} - { stay, switch } with { played, won, winRate }
+   */
+  getSetupStats(setup) {
+    const tallies = { stay: { played: 0, won: 0 }, switch: { played: 0, won: 0 } };
+    for (const record of this.stats.history) {
+      const tally = tallies[record.strategy];
+      if (!tally || record.outcome === 'voided' || !isPlayedIn(record, setup)) continue;
+
+      tally.played++;
+      if (record.outcome === 'won') {
+        tally.won++;
+      }
+    }
+
+    for (const tally of Object.values(tallies)) {
+      tally.winRate = tally.played > 0 ? tally.won / tally.played : 0;
+    }
+    return tallies;
+  }
+
+  /**
+   * Test the classic rounds in the history log against the theoretical 1/3 and 2/3.
+   * Other door counts and hosts have other win rates, so their rounds are left out.
+   * @returns {object|null} - { stay, switch } with { played, won, expected, pValue }
+   *   (null for a strategy not played), or null if no classic rounds were logged
+   */
+  getClassicTheoryTests() {
+    const tallies = this.getSetupStats(CLASSIC_SETUP);
+    if (tallies.stay.played === 0 && tallies.switch.played === 0) {
+      return null;
+    }
+    return Object.fromEntries(Object.entries(tallies).map(([strategy, { played, won }]) => [
+      strategy,
+      played > 0 ? { played, won, ...binomialTest(won, played, THEORETICAL_WIN_RATES[strategy]) } : null
+    ]));
+  }
+
   /**
    * Export stats for sharing or backup
    * @returns {string} JSON string of stats
@@ -225,34 +570,116 @@ export class GameStats {
   }
 
   /**
-   * Import stats from JSON string
-   * @param {string} jsonString - Exported stats JSON
-   * @returns {boolean} True if import successful
+   * Export the round history as CSV
+   * @returns {string} CSV text, one row per round
    */
-  importStats(jsonString) {
-    try {
-      const imported = JSON.parse(jsonString);
+  exportHistoryCsv() {
+    return formatHistoryCsv(this.stats);
+  }
 
-      // Basic validation
-      if (!imported.totalGames && imported.totalGames !== 0) {
-        throw new Error('Invalid stats format');
+  /**
+   * Export the aggregate stats as CSV
+   * @returns {string} CSV text, one row per host model plus a total row
+   */
+  exportSummaryCsv() {
+    return formatSummaryCsv(this.stats);
+  }
+
+  /**
+   * Parse an exported file without applying it. JSON files hold full stats (older
+   * schema versions are migrated); history CSVs are turned into stats derived from the rounds.
+   * @param {string} text - File contents
+   * @param {string} [fileName=''] - Used to tell CSV from JSON
+   * @returns {object} - { stats, errors } where errors name each bad field; stats is null on error
+   */
+  parseImport(text, fileName = '') {
+    if (fileName.toLowerCase().endsWith('.csv')) {
+      const { history, errors } = parseHistoryCsv(text);
+      if (errors.length > 0) {
+        return { stats: null, errors };
       }
 
-      this.stats = imported;
-      this.validateStats();
-      this.saveStats();
-      return true;
+      return parseStats({
+        ...this.getDefaultStats(),
+        ...this.deriveStatsFromHistory(history),
+        history,
+        lastPlayed: history.length > 0 ? history[history.length - 1].timestamp : null,
+        created: history.length > 0 ? history[0].timestamp : new Date().toISOString()
+      });
+    }
+
+    let imported;
+    try {
+      imported = JSON.parse(text);
     } catch (error) {
-      console.error('Failed to import stats:', error);
-      return false;
+      return { stats: null, errors: [`Not valid JSON: ${error.message}`] };
+    }
+
+    // Accept the wrapper produced by MontyHallApp.exportData() too
+    if (imported && imported.stats && !imported.stay) {
+      imported = imported.stats;
+    }
+    return parseStats(imported);
+  }
+
+  /**
+   * Apply stats returned by parseImport()
+   * @param {object} stats - Valid stats
+   * @param {string} [mode='replace'] - 'replace' the current stats or 'merge' into them
+   * @returns {object} The resulting stats
+   */
+  applyImport(stats, mode = 'replace') {
+    const result = this.previewImport(stats, mode);
+    this.stats = result;
+    this.saveStats();
+    return result;
+  }
+
+  /**
+   * Work out what the stats would be after an import, without changing anything
+   * @param {object} stats - Valid stats
+   * @param {string} [mode='replace'] - 'replace' or 'merge'
+   * @returns {object} The stats the import would produce
+   */
+  previewImport(stats, mode = 'replace') {
+    if (mode === 'merge') {
+      return mergeStats(this.stats, stats, this.historyLimit);
+    }
+
+    const result = structuredClone(stats);
+    if (result.history.length > this.historyLimit) {
+      result.history.splice(0, result.history.length - this.historyLimit);
     }
+    return result;
+  }
+
+  /**
+   * Import stats from JSON string, replacing the current stats. Older schema versions
+   * are migrated; anything inconsistent is rejected and the current stats are left untouched.
+   * @param {string} jsonString - Exported stats JSON
+   * @returns {object} - { success, errors } where errors name each bad field
+   */
+  importStats(jsonString) {
+    const { stats, errors } = this.parseImport(jsonString);
+    if (!stats) {
+      console.error('Failed to import stats:', errors);
+      return { success: false, errors };
+    }
+
+    this.applyImport(stats, 'replace');
+    return { success: true, errors: [] };
   }
 
   /**
    * Check if user should be shown educational hints
+   * @param {object} [thresholds] - When each hint appears (see DEFAULT_HINT_THRESHOLDS)
    * @returns {object} Hints based on current statistics
    */
-  getEducationalHints() {
+  getEducationalHints(thresholds = {}) {
+    const { earlyGames, balanceMinGames, balanceGap, theoryMinGames, theoryTolerance } = {
+      ...DEFAULT_HINT_THRESHOLDS,
+      ...thresholds
+    };
     const stats = this.getStats();
     const hints = [];
 
@@ -265,8 +692,8 @@ export class GameStats {
       });
     }
 
-    // Early games hint (1-5 games)
-    if (stats.totalGames > 0 && stats.totalGames <= 5) {
+    // Early games hint
+    if (stats.totalGames > 0 && stats.totalGames <= earlyGames) {
       hints.push({
         type: 'early',
         title: 'Keep Playing!',
@@ -275,12 +702,12 @@ export class GameStats {
     }
 
     // Strategy imbalance hint
-    if (stats.totalGames >= 10) {
+    if (stats.totalGames >= balanceMinGames) {
       const stayPlayed = stats.stay.played;
       const switchPlayed = stats.switch.played;
       const imbalance = Math.abs(stayPlayed - switchPlayed);
 
-      if (imbalance >= 10) {
+      if (imbalance >= balanceGap) {
         const lessUsed = stayPlayed < switchPlayed ? 'staying' : 'switching';
         hints.push({
           type: 'balance',
@@ -290,15 +717,25 @@ export class GameStats {
       }
     }
 
-    // Theoretical vs actual hint
-    if (stats.switch.played >= 20 && Math.abs(stats.switch.winRate - 0.667) > 0.1) {
+    // Theoretical vs actual hint (2/3 only holds for the classic game, so only its rounds count)
+    const classicSwitch = this.getClassicTheoryTests()?.switch;
+    if (classicSwitch && classicSwitch.played >= theoryMinGames &&
+        Math.abs(classicSwitch.won / classicSwitch.played - THEORETICAL_WIN_RATES.switch) > theoryTolerance) {
       hints.push({
         type: 'theory',
         title: 'Probability Theory',
-        message: 'The switching strategy should win about 66.7% of the time in the long run.'
+        message: 'In the classic three-door game, switching should win about 66.7% of the time in the long run.'
       });
     }
 
     return hints;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Check whether a round was played with the given door count, reveal count and host
+ */
+function isPlayedIn(record, { doorCount, revealCount, hostModel }) {
+  return record.doorCount === doorCount && record.revealCount === revealCount &&
+    record.hostModel === hostModel;
+}
@@ -0,0 +1,229 @@
+/**
+ * Storage Adapters for Monty Hall Simulator
+ * A small async key-value interface with IndexedDB, localStorage and in-memory backends
+ */
+
+const DATABASE_NAME = 'montyHallSimulator';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'keyval';
+
+/**
+ * Base class for storage adapters. Values are plain JSON-compatible objects.
+ */
+export class StorageAdapter {
+  /**
+   * @param {string} id - Backend identifier
+   * @param {boolean} persistent - True if data survives a page reload
+   */
+  constructor(id, persistent) {
+    this.id = id;
+    this.persistent = persistent;
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Storage key
+   * @returns {Promise<*>} - Stored value, or null if missing
+   */
+  async get(key) {
+    throw new Error(`${this.constructor.name} must implement get()`);
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - Storage key
+   * @param {*} value - Value to store
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    throw new Error(`${this.constructor.name} must implement set()`);
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    throw new Error(`${this.constructor.name} must implement remove()`);
+  }
+}
+
+/**
+ * Keeps values in memory only; used when nothing else is available (and in tests)
+ */
+export class MemoryStorageAdapter extends StorageAdapter {
+  constructor() {
+    super('memory', false);
+    this.values = new Map();
+  }
+
+  async get(key) {
+    return this.values.has(key) ? structuredClone(this.values.get(key)) : null;
+  }
+
+  async set(key, value) {
+    this.values.set(key, structuredClone(value));
+  }
+
+  async remove(key) {
+    this.values.delete(key);
+  }
+}
+
+/**
+ * Stores values as JSON strings in localStorage
+ */
+export class LocalStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Storage} [storage] - Web Storage object (defaults to localStorage)
+   */
+  constructor(storage = globalThis.localStorage) {
+    super('localstorage', true);
+    this.storage = storage;
+  }
+
+  /**
+   * Check if localStorage exists and accepts writes (it may throw in private mode)
+   * @returns {boolean} - True if usable
+   */
+  static isSupported() {
+    try {
+      const probe = '__montyHallStorageProbe__';
+      globalThis.localStorage.setItem(probe, probe);
+      globalThis.localStorage.removeItem(probe);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async get(key) {
+    const stored = this.storage.getItem(key);
+    return stored === null ? null : JSON.parse(stored);
+  }
+
+  async set(key, value) {
+    this.storage.setItem(key, JSON.stringify(value));
+  }
+
+  async remove(key) {
+    this.storage.removeItem(key);
+  }
+}
+
+/**
+ * Stores values in an IndexedDB object store, which has far more room than localStorage
+ */
+export class IndexedDBStorageAdapter extends StorageAdapter {
+  /**
+   * @param {IDBDatabase} database - Open database containing the key-value store
+   */
+  constructor(database) {
+    super('indexeddb', true);
+    this.database = database;
+  }
+
+  /**
+   * Check if IndexedDB exists in this environment
+   * @returns {boolean} - True if an open should be attempted
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and create if needed) the simulator database
+   * @returns {Promise<IndexedDBStorageAdapter>} - Adapter for the open database
+   */
+  static open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      request.onsuccess = () => resolve(new IndexedDBStorageAdapter(request.result));
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB open was blocked by another tab'));
+    });
+  }
+
+  async get(key) {
+    const value = await this.request('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  async set(key, value) {
+    await this.request('readwrite', store => store.put(value, key));
+  }
+
+  async remove(key) {
+    await this.request('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * Run a single request in its own transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {function} action - Called with the object store, returns an IDBRequest
+   * @returns {Promise<*>} - Request result once the transaction completes
+   */
+  request(mode, action) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.database.transaction(STORE_NAME, mode);
+      const request = action(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+}
+
+/**
+ * Pick the best available backend: IndexedDB, then localStorage, then memory
+ * @returns {Promise<StorageAdapter>} - Ready-to-use adapter
+ */
+export async function createStorageAdapter() {
+  if (IndexedDBStorageAdapter.isSupported()) {
+    try {
+      return await IndexedDBStorageAdapter.open();
+    } catch (error) {
+      console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+    }
+  }
+
+  if (LocalStorageAdapter.isSupported()) {
+    return new LocalStorageAdapter();
+  }
+
+  console.warn('No persistent storage available; statistics will be lost when the page closes');
+  return new MemoryStorageAdapter();
+}
+
+/**
+ * Move a value saved by older versions under a localStorage key into another adapter.
+ * The localStorage copy is removed once the new adapter holds it.
+ * @param {StorageAdapter} target - Adapter to migrate into
+ * @param {string} key - Key used in both localStorage and the target
+ * @returns {Promise<*>} - The migrated value, or null if there was nothing to migrate
+ */
+export async function migrateFromLocalStorage(target, key) {
+  if (!target.persistent || target.id === 'localstorage' || !LocalStorageAdapter.isSupported()) {
+    return null;
+  }
+
+  const legacy = new LocalStorageAdapter();
+  let value;
+  try {
+    value = await legacy.get(key);
+  } catch (error) {
+    console.warn('Ignoring unreadable localStorage data during migration:', error);
+    return null;
+  }
+  if (value === null) {
+    return null;
+  }
+
+  await target.set(key, value);
+  await legacy.remove(key);
+  return value;
+}
@@ -0,0 +1,301 @@
+/**
+ * Player Strategies for Monty Hall Simulator
+ * Each strategy looks at what the player can see after the host's move and decides
+ * whether to stay, switch, or switch to a particular door
+ */
+
+/**
+ * Base class for player strategies
+ */
+export class PlayerStrategy {
+  /**
+   * @param {string} id - Stable identifier used in simulation options
+   * @param {string} name - Human-readable name, also the key for per-strategy stats
+   * @param {string} description - One-line summary of the behaviour
+   */
+  constructor(id, name, description) {
+    this.id = id;
+    this.name = name;
+    this.description = description;
+  }
+
+  /**
+   * Decide what to do once the host has acted
+   * @param {object} view - Visible game state from getVisibleState()
+   * @param {function} random - Returns a float in [0, 1)
+   * @returns {string|number} - 'stay', 'switch' (to a random closed door) or a door index to switch to
+   */
+  decide(view, random) {
+    throw new Error(`Strategy "${this.id}" does not implement decide()`);
+  }
+
+  /**
+   * Get the options needed to recreate this strategy
+   * @returns {object} - Options accepted by createStrategy()
+   */
+  getOptions() {
+    return {};
+  }
+}
+
+/**
+ * Always keep the first pick
+ */
+export class AlwaysStayStrategy extends PlayerStrategy {
+  constructor() {
+    super('stay', 'Always stay', 'Keeps the first pick every time.');
+  }
+
+  decide() {
+    return 'stay';
+  }
+}
+
+/**
+ * Always switch when a switch is offered
+ */
+export class AlwaysSwitchStrategy extends PlayerStrategy {
+  constructor() {
+    super('switch', 'Always switch', 'Switches to a closed door whenever the host offers it.');
+  }
+
+  decide() {
+    return 'switch';
+  }
+}
+
+/**
+ * Switch with a fixed probability
+ */
+export class SwitchWithProbabilityStrategy extends PlayerStrategy {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.probability=0.5] - Chance of switching, between 0 and 1
+   */
+  constructor({ probability = 0.5 } = {}) {
+    if (typeof probability !== 'number' || !(probability >= 0 && probability <= 1)) {
+      throw new RangeError('probability must be a number between 0 and 1');
+    }
+
+    super(
+      'switch-probability',
+      `Switch ${Math.round(probability * 100)}% of the time`,
+      'Switches at random with a fixed probability.'
+    );
+    this.probability = probability;
+  }
+
+  decide(view, random) {
+    return random() < this.probability ? 'switch' : 'stay';
+  }
+
+  getOptions() {
+    return { probability: this.probability };
+  }
+}
+
+/**
+ * Flip a fair coin
+ */
+export class RandomStrategy extends SwitchWithProbabilityStrategy {
+  constructor() {
+    super({ probability: 0.5 });
+    this.id = 'random';
+    this.name = 'Coin flip';
+    this.description = 'Stays or switches with equal chance.';
+  }
+
+  getOptions() {
+    return {};
+  }
+}
+
+/**
+ * Switch, except when the host opened door 3
+ */
+export class SwitchUnlessDoor3Strategy extends PlayerStrategy {
+  constructor() {
+    super('unless-door-3', 'Switch unless door 3 opened', 'Switches unless the host opened door 3, then stays.');
+  }
+
+  decide(view) {
+    return view.revealedDoors.includes(2) ? 'stay' : 'switch';
+  }
+}
+
+/**
+ * A strategy written by the user as the body of a function of (state, random)
+ */
+export class ScriptedStrategy extends PlayerStrategy {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Name shown in the leaderboard
+   * @param {string} options.source - Function body; see compileStrategyScript()
+   */
+  constructor({ name, source } = {}) {
+    const nameError = validateStrategyName(name);
+    if (nameError) {
+      throw new RangeError(nameError);
+    }
+
+    super('script', name.trim(), 'Written by you.');
+    this.source = source;
+    this.decideScript = compileStrategyScript(source);
+  }
+
+  decide(view, random) {
+    return this.decideScript(view, random);
+  }
+
+  getOptions() {
+    return { name: this.name, source: this.source };
+  }
+}
+
+/**
+ * Registry of available strategies, keyed by id
+ */
+export const PLAYER_STRATEGIES = {
+  stay: AlwaysStayStrategy,
+  switch: AlwaysSwitchStrategy,
+  random: RandomStrategy,
+  'switch-probability': SwitchWithProbabilityStrategy,
+  'unless-door-3': SwitchUnlessDoor3Strategy,
+  script: ScriptedStrategy
+};
+
+/**
+ * Strategies that need no user code, in the order they are listed
+ */
+export const BUILT_IN_STRATEGIES = ['stay', 'switch', 'random', 'switch-probability', 'unless-door-3'];
+
+// Longest name accepted for a user strategy
+const MAX_NAME_LENGTH = 40;
+
+// Globals shadowed in user scripts. The real boundary is the simulation worker, the only
+// place scripts run (no DOM, no page state, and it can be terminated); shadowing just keeps
+// the obvious routes to the network, storage and timers out of casual reach.
+const HIDDEN_GLOBALS = [
+  'globalThis', 'self', 'window', 'document', 'postMessage', 'close', 'importScripts',
+  'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'indexedDB', 'caches',
+  'localStorage', 'sessionStorage', 'navigator', 'location', 'Worker', 'SharedWorker',
+  'setTimeout', 'setInterval', 'queueMicrotask', 'Function'
+];
+
+/**
+ * Create a strategy by id
+ * @param {string} id - Key of PLAYER_STRATEGIES
+ * @param {object} [options] - Strategy-specific options
+ * @returns {PlayerStrategy} - Strategy instance
+ */
+export function createStrategy(id = 'switch', options = {}) {
+  const StrategyClass = PLAYER_STRATEGIES[id];
+  if (!StrategyClass) {
+    throw new RangeError(`Unknown strategy: ${id}`);
+  }
+  return new StrategyClass(options);
+}
+
+/**
+ * Get the display name for a strategy id and options
+ * @param {string} id - Key of PLAYER_STRATEGIES
+ * @param {object} [options] - Strategy-specific options
+ * @returns {string} - Human-readable name, or the id itself if unknown
+ */
+export function getStrategyName(id, options = {}) {
+  if (id === 'script') {
+    return options.name || id;
+  }
+  try {
+    return createStrategy(id, options).name;
+  } catch {
+    return id;
+  }
+}
+
+/**
+ * What the player can see once the host has acted (never the car's position)
+ * @param {MontyHallGame} game - Game in the 'revealed' phase
+ * @returns {object} - { doorCount, revealCount, hostModel, playerChoice, revealedDoors,
+ *   remainingDoors, switchOffered }
+ */
+export function getVisibleState(game) {
+  return Object.freeze({
+    doorCount: game.doorCount,
+    revealCount: game.revealCount,
+    hostModel: game.host.id,
+    playerChoice: game.playerChoice,
+    revealedDoors: Object.freeze([...game.hostRevealedDoors]),
+    remainingDoors: Object.freeze(game.getRemainingDoors()),
+    switchOffered: game.switchOffered
+  });
+}
+
+/**
+ * Ask a strategy for its decision and play it. A player who is not offered a switch stays.
+ * @param {MontyHallGame} game - Game in the 'revealed' phase
+ * @param {PlayerStrategy} strategy - Strategy to consult
+ * @param {function} random - Returns a float in [0, 1); used by the strategy and to pick
+ *   a door when it just says 'switch'
+ * @returns {string} - 'stay' or 'switch', as played
+ */
+export function playStrategy(game, strategy, random) {
+  const decision = strategy.decide(getVisibleState(game), random);
+  const remaining = game.getRemainingDoors();
+
+  if (decision !== 'stay' && decision !== 'switch' && !(Number.isInteger(decision) && remaining.includes(decision))) {
+    throw new Error(`Strategy "${strategy.name}" returned ${describeDecision(decision)}; ` +
+      'expected "stay", "switch" or the number of a closed door');
+  }
+
+  if (decision === 'stay' || !game.canSwitch()) {
+    game.makeChoice('stay');
+    return 'stay';
+  }
+
+  const target = decision === 'switch' ? remaining[Math.floor(random() * remaining.length)] : decision;
+  game.makeChoice('switch', target);
+  return 'switch';
+}
+
+/**
+ * Compile the body of a user strategy. The code runs in strict mode with browser and
+ * worker globals hidden, receives `state` (see getVisibleState()) and `random()`, and
+ * must return 'stay', 'switch' or a closed door index.
+ * @param {string} source - Function body
+ * @returns {function} - (state, random) => decision
+ * @throws {SyntaxError} - If the code does not parse
+ */
+export function compileStrategyScript(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new SyntaxError('Strategy code is empty');
+  }
+
+  const compiled = new Function('state', 'random', ...HIDDEN_GLOBALS, `'use strict';\n${source}\n`);
+  return (state, random) => compiled.call(undefined, state, random);
+}
+
+/**
+ * Check a user strategy's name
+ * @param {string} name - Proposed name
+ * @returns {string|null} - Problem with the name, or null if it is fine
+ */
+export function validateStrategyName(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return 'Give the strategy a name';
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return `Strategy names can be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Describe an invalid decision for an error message
+ */
+function describeDecision(decision) {
+  if (Number.isInteger(decision)) {
+    return `door ${decision}, which is not a closed door`;
+  }
+  return typeof decision === 'string' ? `"${decision}"` : String(decision);
+}
@@ -0,0 +1,136 @@
+/**
+ * Strategy Library for Monty Hall Simulator
+ * Keeps the user's own strategies (name and code) in persistent storage
+ */
+
+import { BUILT_IN_STRATEGIES, compileStrategyScript, getStrategyName, validateStrategyName } from './strategies.js';
+
+export class StrategyLibrary {
+  /**
+   * @param {object} [options]
+   * @param {StorageAdapter} [options.storage] - Where strategies are saved; kept in memory if omitted
+   */
+  constructor({ storage = null } = {}) {
+    this.storage = storage;
+    this.storageKey = 'montyHallStrategies';
+    this.scripts = [];
+  }
+
+  /**
+   * Load saved strategies. Entries that are malformed are dropped with an error.
+   * @returns {Promise<Array>} - Saved strategies
+   */
+  async load() {
+    try {
+      const saved = await this.storage?.get(this.storageKey);
+      this.scripts = Array.isArray(saved) ?
+        saved.filter(script => typeof script?.name === 'string' && typeof script?.source === 'string') :
+        [];
+      if (Array.isArray(saved) && this.scripts.length !== saved.length) {
+        console.error('Dropped malformed saved strategies:', saved.length - this.scripts.length);
+      }
+    } catch (error) {
+      console.error('Error loading saved strategies:', error);
+      this.scripts = [];
+    }
+    return this.list();
+  }
+
+  /**
+   * Get the saved strategies
+   * @returns {Array} - Entries of { name, source }
+   */
+  list() {
+    return this.scripts.map(script => ({ ...script }));
+  }
+
+  /**
+   * Get one saved strategy by name
+   * @param {string} name - Strategy name
+   * @returns {object|null} - { name, source }, or null if there is none
+   */
+  get(name) {
+    const script = this.scripts.find(entry => entry.name === name);
+    return script ? { ...script } : null;
+  }
+
+  /**
+   * Check a strategy before saving it: the name must be free and the code must compile
+   * @param {object} script - { name, source }
+   * @param {string} [replacing] - Name of the saved strategy being edited, if any
+   * @returns {string|null} - Problem with the strategy, or null if it can be saved
+   */
+  validate({ name, source }, replacing = null) {
+    const nameError = validateStrategyName(name);
+    if (nameError) {
+      return nameError;
+    }
+
+    const trimmed = name.trim().toLowerCase();
+    const builtInNames = BUILT_IN_STRATEGIES.map(id => getStrategyName(id).toLowerCase());
+    if (builtInNames.includes(trimmed) || trimmed.startsWith('switch ') && trimmed.endsWith('% of the time')) {
+      return `"${name.trim()}" is the name of a built-in strategy`;
+    }
+    if (this.scripts.some(script => script.name.toLowerCase() === trimmed && script.name !== replacing)) {
+      return `You already have a strategy called "${name.trim()}"`;
+    }
+
+    try {
+      compileStrategyScript(source);
+    } catch (error) {
+      return `The code has an error: ${error.message}`;
+    }
+    return null;
+  }
+
+  /**
+   * Save a strategy, replacing one with the same name
+   * @param {object} script - { name, source }
+   * @param {string} [replacing] - Name of the saved strategy being edited, if any
+   * @returns {Promise<object>} - { success, error }
+   */
+  async save(script, replacing = null) {
+    const error = this.validate(script, replacing);
+    if (error) {
+      return { success: false, error };
+    }
+
+    const entry = { name: script.name.trim(), source: script.source };
+    const index = this.scripts.findIndex(existing => existing.name === (replacing ?? entry.name));
+    if (index >= 0) {
+      this.scripts[index] = entry;
+    } else {
+      this.scripts.push(entry);
+    }
+
+    await this.persist();
+    return { success: true, error: null };
+  }
+
+  /**
+   * Delete a saved strategy
+   * @param {string} name - Strategy name
+   * @returns {Promise<boolean>} - True if a strategy was deleted
+   */
+  async remove(name) {
+    const before = this.scripts.length;
+    this.scripts = this.scripts.filter(script => script.name !== name);
+    if (this.scripts.length === before) {
+      return false;
+    }
+
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Write the strategies to storage
+   */
+  async persist() {
+    try {
+      await this.storage?.set(this.storageKey, this.list());
+    } catch (error) {
+      console.error('Error saving strategies:', error);
+    }
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * Text helpers for Monty Hall Simulator
+ * Small string utilities shared by the modules that build HTML and messages
+ */
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {*} text - Text (converted to a string)
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+/**
+ * Upper-case the first letter
+ * @param {string} text - Text
+ * @returns {string} - e.g. "Stay" for "stay"
+ */
+export function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Lower-case the first letter
+ * @param {string} text - Text
+ * @returns {string} - e.g. "stay" for "Stay"
+ */
+export function lowerFirst(text) {
+  return text.charAt(0).toLowerCase() + text.slice(1);
+}
@@ -0,0 +1,430 @@
+/**
+ * Strategy Tournament Panel for Monty Hall Simulator
+ * Lets the player pick strategies (built-in or their own), plays them over the same
+ * seeded rounds, and shows the leaderboard and all-time standings
+ */
+
+import { StrategyTournament } from './tournament.js';
+import { BUILT_IN_STRATEGIES, getStrategyName } from './strategies.js';
+import { getHostName } from './hosts.js';
+import { escapeHtml } from './text.js';
+
+// Strategies ticked when the panel first loads
+const DEFAULT_SELECTION = ['stay', 'switch', 'random'];
+
+// Starting point shown in the editor for a new strategy
+const STRATEGY_TEMPLATE = `// state: { doorCount, revealCount, hostModel, playerChoice,
+//          revealedDoors, remainingDoors, switchOffered }
+// Doors are numbered from 0. random() returns a number in [0, 1).
+// Return 'stay', 'switch', or the number of a closed door to switch to.
+if (state.revealedDoors.includes(0)) {
+  return 'stay';
+}
+return 'switch';
+`;
+
+export class TournamentPanel {
+  /**
+   * @param {MontyHallGame} game - Game whose door and host configuration the tournament uses
+   * @param {SimulationRunner} runner - Runs each strategy (user strategies only in a worker)
+   * @param {GameStats} stats - Where each strategy's results are added up
+   * @param {StrategyLibrary} library - The player's saved strategies
+   */
+  constructor(game, runner, stats, library) {
+    this.game = game;
+    this.runner = runner;
+    this.stats = stats;
+    this.library = library;
+    this.tournament = new StrategyTournament(runner);
+    this.abortController = null;
+    this.selected = new Set(DEFAULT_SELECTION);
+    this.editing = null; // Name of the saved strategy open in the editor
+    this.elements = {};
+
+    this.init();
+  }
+
+  /**
+   * Initialize the panel
+   */
+  init() {
+    this.cacheElements();
+    this.bindEvents();
+    this.renderStrategyList();
+    this.renderEditor();
+    this.renderStandings();
+
+    this.stats.subscribe(() => this.renderStandings());
+  }
+
+  /**
+   * Cache panel DOM elements
+   */
+  cacheElements() {
+    this.elements = {
+      strategyList: document.getElementById('tournament-strategy-list'),
+      roundsSelect: document.getElementById('tournament-rounds'),
+      runButton: document.getElementById('tournament-run'),
+      cancelButton: document.getElementById('tournament-cancel'),
+      progress: document.getElementById('tournament-progress'),
+      results: document.getElementById('tournament-results'),
+      standings: document.getElementById('strategy-standings'),
+      editorSelect: document.getElementById('strategy-editor-select'),
+      editorName: document.getElementById('strategy-editor-name'),
+      editorCode: document.getElementById('strategy-editor-code'),
+      saveButton: document.getElementById('strategy-editor-save'),
+      deleteButton: document.getElementById('strategy-editor-delete'),
+      editorMessage: document.getElementById('strategy-editor-message')
+    };
+  }
+
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    const { strategyList, runButton, cancelButton, editorSelect, saveButton, deleteButton } = this.elements;
+
+    strategyList?.addEventListener('change', (e) => {
+      const key = e.target.dataset.strategyKey;
+      if (key) {
+        if (e.target.checked) {
+          this.selected.add(key);
+        } else {
+          this.selected.delete(key);
+        }
+        this.updateRunButton();
+      }
+    });
+    runButton?.addEventListener('click', () => this.runTournament());
+    cancelButton?.addEventListener('click', () => this.abortController?.abort());
+
+    editorSelect?.addEventListener('change', () => {
+      this.editing = editorSelect.value || null;
+      this.renderEditor();
+    });
+    saveButton?.addEventListener('click', () => this.saveStrategy());
+    deleteButton?.addEventListener('click', () => this.deleteStrategy());
+  }
+
+  /**
+   * Get the chance of switching entered for the "switch with probability" strategy
+   * @returns {number} - Probability between 0 and 1
+   */
+  getSwitchProbability() {
+    const input = document.getElementById('tournament-switch-probability');
+    const percent = parseFloat(input?.value ?? '75');
+    return Number.isFinite(percent) ? Math.min(100, Math.max(0, percent)) / 100 : 0.75;
+  }
+
+  /**
+   * Get the ticked strategies as tournament entries
+   * @returns {Array} - Entries of { strategy, strategyOptions }
+   */
+  getSelectedStrategies() {
+    const entries = [];
+
+    for (const id of BUILT_IN_STRATEGIES) {
+      if (this.selected.has(id)) {
+        entries.push({
+          strategy: id,
+          strategyOptions: id === 'switch-probability' ? { probability: this.getSwitchProbability() } : {}
+        });
+      }
+    }
+    for (const script of this.runner.canRunScripts() ? this.library.list() : []) {
+      if (this.selected.has(`script:${script.name}`)) {
+        entries.push({ strategy: 'script', strategyOptions: script });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * List every strategy with a checkbox
+   */
+  renderStrategyList() {
+    const { strategyList } = this.elements;
+    if (!strategyList) return;
+
+    const canRunScripts = this.runner.canRunScripts();
+    const probability = Math.round(this.getSwitchProbability() * 100);
+
+    const builtIns = BUILT_IN_STRATEGIES.map(id => {
+      const name = id === 'switch-probability' ?
+        `Switch <input type="number" id="tournament-switch-probability" class="tournament-percent" min="0" max="100" step="5" value="${probability}" aria-label="Chance of switching, in percent">% of the time` :
+        escapeHtml(getStrategyName(id));
+      return this.renderCheckbox(id, name, false);
+    });
+
+    const scripts = this.library.list().map(script =>
+      this.renderCheckbox(`script:${script.name}`, `${escapeHtml(script.name)} <small>(yours)</small>`, !canRunScripts));
+
+    strategyList.innerHTML = `
+      ${builtIns.join('')}
+      ${scripts.join('')}
+      ${scripts.length > 0 && !canRunScripts ?
+        '<p class="tournament-note">Your own strategies need Web Worker support, which is unavailable here (for example when the page is opened straight from disk).</p>' : ''}
+    `;
+    this.updateRunButton();
+  }
+
+  /**
+   * Render one strategy checkbox
+   * @param {string} key - Selection key ('script:<name>' for saved strategies)
+   * @param {string} labelHtml - Label contents
+   * @param {boolean} disabled - True if the strategy can't be run here
+   * @returns {string} - HTML
+   */
+  renderCheckbox(key, labelHtml, disabled) {
+    const checked = this.selected.has(key) && !disabled ? ' checked' : '';
+    return `
+      <label class="tournament-strategy">
+        <input type="checkbox" data-strategy-key="${escapeHtml(key)}"${checked}${disabled ? ' disabled' : ''}>
+        <span>${labelHtml}</span>
+      </label>
+    `;
+  }
+
+  /**
+   * Enable the run button only when at least one strategy is ticked
+   */
+  updateRunButton() {
+    if (this.elements.runButton) {
+      this.elements.runButton.disabled = this.isRunning() || this.getSelectedStrategies().length === 0;
+    }
+  }
+
+  /**
+   * Check if a tournament is in progress
+   * @returns {boolean} - True while running
+   */
+  isRunning() {
+    return this.abortController !== null;
+  }
+
+  /**
+   * Play the ticked strategies against the current game configuration
+   * @returns {Promise<object|null>} - Tournament result, or null if nothing was run
+   */
+  async runTournament() {
+    const strategies = this.getSelectedStrategies();
+    if (this.isRunning() || strategies.length === 0) return null;
+
+    const rounds = parseInt(this.elements.roundsSelect?.value || '10000', 10);
+    this.abortController = new AbortController();
+    this.setRunning(true);
+
+    try {
+      const outcome = await this.tournament.run({
+        strategies,
+        rounds,
+        doorCount: this.game.doorCount,
+        revealCount: this.game.revealCount,
+        hostModel: this.game.host.id,
+        hostOptions: this.game.host.getOptions()
+      }, {
+        signal: this.abortController.signal,
+        onProgress: (fraction) => {
+          if (this.elements.progress) this.elements.progress.value = fraction;
+        },
+        onResult: (leaderboard) => this.renderLeaderboard(leaderboard, { running: true })
+      });
+
+      // Only complete runs count towards the all-time standings
+      for (const entry of outcome.entries) {
+        if (entry.result?.finished) {
+          this.stats.recordStrategyResults(entry.name, entry.result);
+        }
+      }
+
+      this.renderLeaderboard(outcome.leaderboard, { cancelled: outcome.cancelled, seed: outcome.seed, rounds });
+      return outcome;
+    } finally {
+      this.abortController = null;
+      this.setRunning(false);
+    }
+  }
+
+  /**
+   * Toggle controls between idle and running states
+   * @param {boolean} running - True while a tournament is in progress
+   */
+  setRunning(running) {
+    const { cancelButton, progress } = this.elements;
+    if (cancelButton) cancelButton.hidden = !running;
+    if (progress) {
+      progress.hidden = !running;
+      progress.value = 0;
+    }
+    this.updateRunButton();
+  }
+
+  /**
+   * Show the leaderboard of the latest tournament
+   * @param {Array} leaderboard - Rows from rankEntries()
+   * @param {object} [status] - { running, cancelled, seed, rounds }
+   */
+  renderLeaderboard(leaderboard, { running = false, cancelled = false, seed = null, rounds = 0 } = {}) {
+    const { results } = this.elements;
+    if (!results) return;
+
+    const rows = leaderboard.map(row => row.error ? `
+      <tr class="leaderboard-disqualified">
+        <td>—</td>
+        <th scope="row">${escapeHtml(row.name)}</th>
+        <td colspan="3">Disqualified: ${escapeHtml(row.error)}</td>
+      </tr>
+    ` : `
+      <tr class="${row.rank === 1 ? 'leaderboard-leader' : ''}">
+        <td>${row.rank}</td>
+        <th scope="row">${escapeHtml(row.name)}</th>
+        <td>${(row.winRate * 100).toFixed(1)}% <small>(${(row.interval.lower * 100).toFixed(1)}–${(row.interval.upper * 100).toFixed(1)}%)</small></td>
+        <td>${row.wins.toLocaleString()}/${row.played.toLocaleString()}${row.voided > 0 ? ` <small>+${row.voided.toLocaleString()} voided</small>` : ''}</td>
+        <td>${row.rank === 1 ? 'Leader' : row.clearlyBehind ? 'Clearly behind' : 'Too close to call'}</td>
+      </tr>
+    `).join('');
+
+    let status = '';
+    if (running) {
+      status = 'Running…';
+    } else if (cancelled) {
+      status = 'Cancelled — partial results, not added to the standings.';
+    } else if (seed !== null) {
+      status = `Every strategy played the same ${rounds.toLocaleString()} rounds (seed ${seed}).`;
+    }
+
+    results.innerHTML = `
+      <div class="simulation-summary">
+        ${this.game.doorCount} doors • host opens ${this.game.revealCount} • ${getHostName(this.game.host.id)}
+      </div>
+      <table class="host-comparison-table leaderboard-table">
+        <thead>
+          <tr>
+            <th scope="col">#</th>
+            <th scope="col">Strategy</th>
+            <th scope="col">Win rate (95% CI)</th>
+            <th scope="col">Wins</th>
+            <th scope="col">Versus leader</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${status ? `<div class="confidence-note">${status}</div>` : ''}
+    `;
+  }
+
+  /**
+   * Show every strategy's results across all tournaments played
+   */
+  renderStandings() {
+    const { standings } = this.elements;
+    if (!standings) return;
+
+    const entries = this.stats.getStrategyStandings();
+    if (entries.length === 0) {
+      standings.innerHTML = '<p class="history-empty">Run a tournament to start the standings.</p>';
+      return;
+    }
+
+    standings.innerHTML = `
+      <table class="host-comparison-table leaderboard-table">
+        <thead>
+          <tr>
+            <th scope="col">Strategy</th>
+            <th scope="col">Win rate (95% CI)</th>
+            <th scope="col">Rounds played</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${entries.map(entry => `
+            <tr>
+              <th scope="row">${escapeHtml(entry.name)}</th>
+              <td>${(entry.winRate * 100).toFixed(1)}% <small>(${(entry.interval.lower * 100).toFixed(1)}–${(entry.interval.upper * 100).toFixed(1)}%)</small></td>
+              <td>${entry.played.toLocaleString()}${entry.voided > 0 ? ` <small>+${entry.voided.toLocaleString()} voided</small>` : ''}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Fill the editor with the selected saved strategy, or the template for a new one
+   */
+  renderEditor() {
+    const { editorSelect, editorName, editorCode, deleteButton } = this.elements;
+    const script = this.editing ? this.library.get(this.editing) : null;
+    if (!script) {
+      this.editing = null;
+    }
+
+    if (editorSelect) {
+      editorSelect.innerHTML = '<option value="">New strategy</option>' + this.library.list()
+        .map(entry => `<option value="${escapeHtml(entry.name)}">${escapeHtml(entry.name)}</option>`)
+        .join('');
+      editorSelect.value = this.editing ?? '';
+    }
+    if (editorName) editorName.value = script?.name ?? '';
+    if (editorCode) editorCode.value = script?.source ?? STRATEGY_TEMPLATE;
+    if (deleteButton) deleteButton.hidden = !script;
+  }
+
+  /**
+   * Save the strategy in the editor
+   * @returns {Promise<boolean>} - True if it was saved
+   */
+  async saveStrategy() {
+    const script = {
+      name: this.elements.editorName?.value ?? '',
+      source: this.elements.editorCode?.value ?? ''
+    };
+
+    const { success, error } = await this.library.save(script, this.editing);
+    if (!success) {
+      this.showEditorMessage(error, true);
+      return false;
+    }
+
+    // Keep a renamed strategy ticked
+    if (this.editing && this.selected.delete(`script:${this.editing}`)) {
+      this.selected.add(`script:${script.name.trim()}`);
+    }
+    if (!this.editing) {
+      this.selected.add(`script:${script.name.trim()}`);
+    }
+
+    this.editing = script.name.trim();
+    this.renderEditor();
+    this.renderStrategyList();
+    this.showEditorMessage(`Saved "${this.editing}". It will play in the next tournament.`);
+    return true;
+  }
+
+  /**
+   * Delete the saved strategy open in the editor
+   */
+  async deleteStrategy() {
+    if (!this.editing || !confirm(`Delete the strategy "${this.editing}"?`)) return;
+
+    await this.library.remove(this.editing);
+    this.selected.delete(`script:${this.editing}`);
+    this.showEditorMessage(`Deleted "${this.editing}".`);
+    this.editing = null;
+    this.renderEditor();
+    this.renderStrategyList();
+  }
+
+  /**
+   * Show a message under the editor
+   * @param {string} message - Text to show
+   * @param {boolean} [isError=false] - True to style it as an error
+   */
+  showEditorMessage(message, isError = false) {
+    const { editorMessage } = this.elements;
+    if (!editorMessage) return;
+
+    editorMessage.textContent = message;
+    editorMessage.className = isError ? 'import-message import-error' : 'import-message';
+  }
+}
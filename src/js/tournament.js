@@ -0,0 +1,103 @@
+/**
+ * Strategy Tournament for Monty Hall Simulator
+ * Plays several strategies over the same seeded rounds and ranks them
+ */
+
+import { SeededRandom } from './random.js';
+import { getStrategyName } from './strategies.js';
+import { wilsonInterval } from './inference.js';
+
+export class StrategyTournament {
+  /**
+   * @param {SimulationRunner} runner - Runs each strategy's simulation (in a worker where possible)
+   */
+  constructor(runner) {
+    this.runner = runner;
+  }
+
+  /**
+   * Play every strategy over the same rounds. A strategy that throws or returns an
+   * invalid decision is disqualified; the others still play.
+   * @param {object} options
+   * @param {Array} options.strategies - Entries of { strategy, strategyOptions } (ids as in PLAYER_STRATEGIES)
+   * @param {number} options.rounds - Rounds per strategy
+   * @param {number} options.doorCount - Number of doors
+   * @param {number} options.revealCount - Goats the host opens
+   * @param {string} options.hostModel - Host model id
+   * @param {object} [options.hostOptions] - Host model options
+   * @param {number|string} [options.seed] - Seed shared by every strategy
+   * @param {object} [callbacks]
+   * @param {function} [callbacks.onProgress] - Called with the overall fraction complete
+   * @param {function} [callbacks.onResult] - Called with the leaderboard after each strategy finishes
+   * @param {AbortSignal} [callbacks.signal] - Aborting stops the tournament after the current run
+   * @returns {Promise<object>} - { seed, entries, leaderboard, cancelled }
+   */
+  async run({ strategies, seed = SeededRandom.generateSeed(), ...setup }, { onProgress, onResult, signal } = {}) {
+    const entries = [];
+    let cancelled = false;
+
+    for (let i = 0; i < strategies.length; i++) {
+      const { strategy, strategyOptions = {} } = strategies[i];
+      const name = getStrategyName(strategy, strategyOptions);
+
+      try {
+        const result = await this.runner.run({ ...setup, strategy, strategyOptions, seed }, {
+          signal,
+          onProgress: ({ completed, rounds }) => onProgress?.((i + completed / rounds) / strategies.length)
+        });
+
+        entries.push({ name, strategy, result, error: null });
+        if (result.cancelled) {
+          cancelled = true;
+          break;
+        }
+      } catch (error) {
+        console.error(`Strategy "${name}" was disqualified:`, error);
+        entries.push({ name, strategy, result: null, error: error.message });
+      }
+
+      onResult?.(rankEntries(entries));
+    }
+
+    return { seed: SeededRandom.normalizeSeed(seed), entries, leaderboard: rankEntries(entries), cancelled };
+  }
+}
+
+/**
+ * Order tournament entries by win rate, best first; disqualified entries go last.
+ * Entries whose 95% intervals overlap the leader's are marked as not clearly behind it.
+ * @param {Array} entries - { name, strategy, result, error }
+ * @returns {Array} - Rows of { rank, name, strategy, wins, played, voided, winRate, interval,
+ *   clearlyBehind, error }
+ */
+export function rankEntries(entries) {
+  const rows = entries.map(entry => {
+    if (!entry.result) {
+      return { name: entry.name, strategy: entry.strategy, error: entry.error, rank: null };
+    }
+
+    const { wins, losses, voided } = entry.result;
+    const played = wins + losses;
+    return {
+      name: entry.name,
+      strategy: entry.strategy,
+      wins,
+      played,
+      voided,
+      winRate: played > 0 ? wins / played : 0,
+      interval: wilsonInterval(wins, played),
+      error: null
+    };
+  });
+
+  const ranked = rows.filter(row => !row.error).sort((a, b) => b.winRate - a.winRate);
+  const leader = ranked[0];
+
+  ranked.forEach((row, index) => {
+    // Equal win rates share a rank
+    row.rank = index > 0 && row.winRate === ranked[index - 1].winRate ? ranked[index - 1].rank : index + 1;
+    row.clearlyBehind = row !== leader && row.interval.upper < leader.interval.lower;
+  });
+
+  return [...ranked, ...rows.filter(row => row.error)];
+}
@@ -3,12 +3,61 @@
  * Handles DOM manipulation, animations, and user interactions
  */
 
+import { HOST_MODELS, createHost, getHostName } from './hosts.js';
+import { formatPValue } from './inference.js';
+import { getStrategyWinProbabilities, formatProbability } from './probability.js';
+import { GAME_ACTIONS, GAME_EVENTS, IllegalTransitionError, InvalidMoveError } from './game-state.js';
+import { FocusTrap } from './focus-trap.js';
+import { Keymap, isShortcutEvent } from './keymap.js';
+import { Settings, getGameOptions } from './settings.js';
+import { ANIMATION_SPEEDS } from './settings-schema.js';
+
+// Pause between moves when watching a replay
+const REPLAY_STEP_PAUSE_MS = 700;
+
+// Settings that describe the game itself; changing one sets the game up again
+const GAME_SETTINGS = ['doorCount', 'revealCount', 'hostModel', 'hostPreference'];
+
+// Keys that move focus between doors, as an offset or an absolute position
+const DOOR_NAVIGATION_KEYS = {
+  ArrowRight: 1,
+  ArrowDown: 1,
+  ArrowLeft: -1,
+  ArrowUp: -1
+};
+
 export class MontyHallUI {
-  constructor(game, stats) {
+  /**
+   * @param {MontyHallGame} game - Game to display
+   * @param {GameStats} stats - Stats to display (rounds are recorded by GameStats.trackGame())
+   * @param {object} [options]
+   * @param {Function} [options.onUpdate] - Called after each display update, e.g. to annotate the doors
+   * @param {Announcer} [options.announcer] - Reads messages out to screen readers
+   * @param {Keymap} [options.keymap] - Keyboard shortcuts (the default keys if omitted)
+   * @param {Function} [options.onShowShortcuts] - Called when the help shortcut is pressed
+   * @param {Settings} [options.settings] - User preferences (the defaults if omitted); game
+   *   options chosen on the page are saved to them
+   */
+  constructor(game, stats, { onUpdate, announcer = null, keymap = new Keymap(), onShowShortcuts, settings = new Settings() } = {}) {
     this.game = game;
     this.stats = stats;
+    this.settings = settings;
+    this.onUpdate = onUpdate;
+    this.announcer = announcer;
+    this.keymap = keymap;
+    this.onShowShortcuts = onShowShortcuts;
     this.elements = {};
     this.isAnimating = false;
+    this.animations = Promise.resolve(); // Queued animations, played one after another
+    this.pendingAnimations = 0;
+    this.replay = null; // { steps, position } while a finished round is being replayed
+    this.focusedDoor = 0; // The door in the tab order; arrow keys move it
+    this.keepResultOpen = false; // Leave the result up until the player dismisses it
+    this.resultTimer = null;
+    this.resultTrap = null;
+    this.animationSpeed = 1; // Multiple of normal speed; 0 is instant
+    this.animationSpeedChosen = false; // Once the player picks a speed, reduced motion no longer decides it
+    this.reducedMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)') ?? null;
 
     this.init();
   }
@@ -18,7 +67,19 @@ export class MontyHallUI {
    */
   init() {
     this.cacheElements();
+    if (this.elements.resultModal) {
+      this.resultTrap = new FocusTrap(this.elements.resultModal, {
+        onEscape: () => this.closeResultModal(),
+        getFallbackFocus: () => this.elements.resetButton
+      });
+    }
+    this.followAnimationSetting(this.settings.get('animationSpeed'));
+    this.setKeepResultOpen(this.settings.get('keepResultOpen'));
+    this.renderDoors();
+    this.renderGameOptions();
     this.bindEvents();
+    this.bindGameEvents();
+    this.bindSettings();
     this.updateDisplay();
     this.showEducationalHints();
   }
@@ -28,19 +89,31 @@ export class MontyHallUI {
    */
   cacheElements() {
     this.elements = {
-      // Game area
-      doors: document.querySelectorAll('.door'),
-      door0: document.getElementById('door-0'),
-      door1: document.getElementById('door-1'),
-      door2: document.getElementById('door-2'),
+      // Game area (doors are rendered by renderDoors)
+      doorsContainer: document.getElementById('doors-container'),
+      doors: [],
+
+      // Game options
+      doorCountSelect: document.getElementById('door-count'),
+      revealCountSelect: document.getElementById('reveal-count'),
+      hostModelSelect: document.getElementById('host-model'),
+      hostPreferenceOption: document.getElementById('host-preference-option'),
+      hostPreferenceSelect: document.getElementById('host-preference'),
+      keepResultToggle: document.getElementById('keep-result-toggle'),
+      animationSpeedSelect: document.getElementById('animation-speed'),
 
       // Game controls
       gamePhase: document.getElementById('game-phase'),
       gameInstructions: document.getElementById('game-instructions'),
+      roundSeed: document.getElementById('round-seed'),
       choiceButtons: document.getElementById('choice-buttons'),
       stayButton: document.getElementById('stay-button'),
       switchButton: document.getElementById('switch-button'),
       resetButton: document.getElementById('reset-button'),
+      replayButton: document.getElementById('replay-button'),
+      undoButton: document.getElementById('undo-button'),
+      watchReplayButton: document.getElementById('watch-replay-button'),
+      stepButton: document.getElementById('step-button'),
 
       // Statistics
       statsPanel: document.getElementById('stats-panel'),
@@ -48,6 +121,8 @@ export class MontyHallUI {
       stayStats: document.getElementById('stay-stats'),
       switchStats: document.getElementById('switch-stats'),
       comparison: document.getElementById('comparison'),
+      hostComparison: document.getElementById('host-comparison'),
+      theorySummary: document.getElementById('theory-summary'),
 
       // Educational content
       hintsPanel: document.getElementById('hints-panel'),
@@ -56,7 +131,8 @@ export class MontyHallUI {
       // Modal/overlay elements
       resultModal: document.getElementById('result-modal'),
       resultMessage: document.getElementById('result-message'),
-      resultDetails: document.getElementById('result-details')
+      resultDetails: document.getElementById('result-details'),
+      resultClose: document.getElementById('result-close')
     };
   }
 
@@ -64,54 +140,70 @@ export class MontyHallUI {
    * Bind event listeners
    */
   bindEvents() {
-    // Door click events
-    this.elements.doors.forEach((door, index) => {
-      door.addEventListener('click', () => this.handleDoorClick(index));
-      door.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          this.handleDoorClick(index);
-        }
-      });
+    // Door click events (delegated, since doors are re-rendered when the door count changes)
+    this.elements.doorsContainer?.addEventListener('click', (e) => {
+      const door = e.target.closest('.door');
+      if (door) {
+        this.handleDoorClick(Number(door.dataset.doorIndex));
+      }
+    });
+
+    // Doors are one tab stop; the arrow keys move between them
+    this.elements.doorsContainer?.addEventListener('keydown', (e) => this.handleDoorKeydown(e));
+    this.elements.doorsContainer?.addEventListener('focusin', (e) => {
+      const door = e.target.closest('.door');
+      if (door) {
+        this.setFocusedDoor(Number(door.dataset.doorIndex));
+      }
     });
 
     // Choice button events
     this.elements.stayButton?.addEventListener('click', () => this.handleChoice('stay'));
-    this.elements.switchButton?.addEventListener('click', () => this.handleChoice('switch'));
+    this.elements.switchButton?.addEventListener('click', () => this.handleSwitchButton());
 
-    // Reset button
-    this.elements.resetButton?.addEventListener('click', () => this.resetGame());
+    // Game option events
+    this.elements.doorCountSelect?.addEventListener('change', (e) => {
+      const doorCount = parseInt(e.target.value, 10);
+      this.applyGameOptions({ doorCount });
+    });
+    this.elements.revealCountSelect?.addEventListener('change', (e) => {
+      const revealCount = parseInt(e.target.value, 10);
+      this.applyGameOptions({ doorCount: this.game.doorCount, revealCount });
+    });
+    this.elements.hostModelSelect?.addEventListener('change', () => this.applyHostOption());
+    this.elements.hostPreferenceSelect?.addEventListener('change', () => this.applyHostOption());
+    this.elements.keepResultToggle?.addEventListener('change', (e) => this.setKeepResultOpen(e.target.checked));
+    this.elements.animationSpeedSelect?.addEventListener('change', (e) => this.setAnimationSpeed(Number(e.target.value)));
+
+    // Reduced motion turns animations off, unless the player has picked a speed themselves
+    this.reducedMotion?.addEventListener?.('change', (e) => {
+      if (!this.animationSpeedChosen) {
+        this.applyAnimationSpeed(e.matches ? 0 : 1);
+      }
+    });
 
-    // Keyboard shortcuts
-    document.addEventListener('keydown', (e) => {
-      if (this.isAnimating) return;
-
-      switch(e.key) {
-        case '1':
-        case '2':
-        case '3':
-          const doorIndex = parseInt(e.key) - 1;
-          this.handleDoorClick(doorIndex);
-          break;
-        case 's':
-        case 'S':
-          if (this.game.canMakeChoice()) {
-            this.handleChoice('stay');
-          }
-          break;
-        case 'w':
-        case 'W':
-          if (this.game.canMakeChoice()) {
-            this.handleChoice('switch');
-          }
-          break;
-        case 'r':
-        case 'R':
-          this.resetGame();
-          break;
+    // Result dialog: dismissed with its button, a click outside it, or Escape (see FocusTrap)
+    this.elements.resultClose?.addEventListener('click', () => this.closeResultModal());
+    this.elements.resultModal?.addEventListener('click', (e) => {
+      if (e.target === this.elements.resultModal) {
+        this.closeResultModal();
       }
     });
 
+    // Reset button
+    this.elements.resetButton?.addEventListener('click', () => this.resetGame());
+
+    // Replay button (same seed, so the same car placement and host choices)
+    this.elements.replayButton?.addEventListener('click', () => this.resetGame(this.game.seed));
+
+    // Undo, and watching or stepping through the round just played
+    this.elements.undoButton?.addEventListener('click', () => this.undoMove());
+    this.elements.watchReplayButton?.addEventListener('click', () => this.replayRound());
+    this.elements.stepButton?.addEventListener('click', () => this.handleStepButton());
+
+    // Keyboard shortcuts, as bound in the keymap
+    document.addEventListener('keydown', (e) => this.handleShortcut(e));
+
     // Statistics reset (hidden feature - long press on stats)
     let resetTimeout;
     this.elements.statsPanel?.addEventListener('mousedown', () => {
@@ -121,7 +213,7 @@ export class MontyHallUI {
           this.updateStatsDisplay();
           this.showMessage('Statistics reset successfully!', 'info');
         }
-      }, 2000);
+      }, this.settings.get('statsResetHoldSeconds') * 1000);
     });
 
     this.elements.statsPanel?.addEventListener('mouseup', () => {
@@ -129,92 +221,483 @@ export class MontyHallUI {
     });
   }
 
+  /**
+   * Follow changes to the settings, e.g. from the settings dialog or an imported file
+   */
+  bindSettings() {
+    this.settings.subscribe((settings, changed) => {
+      if (changed.includes('animationSpeed')) {
+        this.followAnimationSetting(settings.animationSpeed);
+      }
+      if (changed.includes('keepResultOpen')) {
+        this.setKeepResultOpen(settings.keepResultOpen);
+      }
+      if (changed.some(key => GAME_SETTINGS.includes(key)) && !this.isGameSetUpAs(settings)) {
+        // After any animation in progress, set up whatever the settings say by then
+        this.queueAnimation(() => {
+          const latest = this.settings.getAll();
+          if (!this.isGameSetUpAs(latest)) {
+            this.configureGame(getGameOptions(latest));
+          }
+        });
+      }
+      if (changed.some(key => key.startsWith('hint'))) {
+        this.showEducationalHints();
+      }
+    });
+  }
+
+  /**
+   * Check whether the game already has the door count and host in some settings, e.g.
+   * because they were saved from the game options on the page
+   * @param {object} settings - Settings
+   * @returns {boolean} - True if the game matches
+   */
+  isGameSetUpAs({ doorCount, revealCount, hostModel, hostPreference }) {
+    const { host } = this.game;
+    return this.game.doorCount === doorCount && this.game.revealCount === revealCount && host.id === hostModel &&
+      (hostModel !== 'preferential' || host.preference === hostPreference);
+  }
+
+  /**
+   * Follow the game's events, so the display keeps up however the game is driven
+   */
+  bindGameEvents() {
+    this.game.on(GAME_EVENTS.HOST_REVEALED, () => this.queueAnimation(async () => {
+      await this.animateHostReveal();
+      this.updateDisplay();
+    }));
+
+    // Voided rounds finish as soon as the host shows the car
+    this.game.on(GAME_EVENTS.GAME_FINISHED, ({ voided }) => this.queueAnimation(async () => {
+      if (!voided) {
+        await this.animateFinalReveal();
+      }
+      this.showGameResult();
+      this.updateDisplay();
+      if (!voided) {
+        this.showEducationalHints();
+      }
+    }));
+
+    this.game.on(GAME_EVENTS.GAME_RESET, () => this.handleGameReset());
+
+    this.game.on(GAME_EVENTS.ACTION_UNDONE, () => {
+      this.closeResultModal();
+      this.updateDisplay();
+    });
+  }
+
+  /**
+   * Play an animation after any already queued; input is ignored until the queue is empty
+   * @param {function} animation - Returns a promise that settles when the animation is done
+   * @returns {Promise<void>} - Settles when the queue is empty
+   */
+  queueAnimation(animation) {
+    this.pendingAnimations++;
+    this.isAnimating = true;
+
+    this.animations = this.animations
+      .then(animation)
+      .catch(error => console.error('Animation failed:', error))
+      .then(() => {
+        this.pendingAnimations--;
+        this.isAnimating = this.pendingAnimations > 0;
+      });
+    return this.animations;
+  }
+
+  /**
+   * Make a move in the game, reporting one the game rejects instead of throwing
+   * @param {function} move - Calls a game method such as selectDoor()
+   * @returns {boolean} - True if the game accepted the move
+   */
+  playMove(move) {
+    try {
+      move();
+      return true;
+    } catch (error) {
+      if (!(error instanceof IllegalTransitionError || error instanceof InvalidMoveError)) {
+        throw error;
+      }
+      console.error('Move rejected:', error);
+      this.showMessage(error.message, 'error');
+      return false;
+    }
+  }
+
   /**
    * Handle door click/selection
    */
   async handleDoorClick(doorIndex) {
-    if (this.isAnimating || !this.game.getAvailableDoors().includes(doorIndex)) {
+    if (this.isAnimating) {
       return;
     }
 
-    this.isAnimating = true;
+    // After the reveal, clicking a closed door switches to it
+    if (this.game.canMakeChoice()) {
+      if (this.game.getRemainingDoors().includes(doorIndex)) {
+        await this.handleChoice('switch', doorIndex);
+      }
+      return;
+    }
 
-    // Animate door selection
-    await this.animateDoorSelection(doorIndex);
+    if (!this.game.getAvailableDoors().includes(doorIndex)) {
+      return;
+    }
 
-    // Make the selection in the game
-    const success = this.game.selectDoor(doorIndex);
+    await this.queueAnimation(() => this.animateDoorSelection(doorIndex));
 
-    if (success) {
-      // Update display to show host revealed door
-      await this.animateHostReveal();
-      this.updateDisplay();
+    // The host's move and any result are shown by the game event listeners
+    this.playMove(() => this.game.selectDoor(doorIndex));
+    await this.animations;
+  }
+
+  /**
+   * Run the keyboard shortcut bound to a key, unless the player is typing or in a dialog
+   * @param {KeyboardEvent} e - Keydown anywhere on the page
+   */
+  handleShortcut(e) {
+    if (!isShortcutEvent(e)) return;
+    const shortcut = this.keymap.getShortcut(e.key);
+    if (!shortcut) return;
+
+    if (shortcut.action === 'help') {
+      e.preventDefault();
+      this.onShowShortcuts?.();
+      return;
     }
+    if (this.isAnimating) return;
 
-    this.isAnimating = false;
+    if (shortcut.door !== undefined) {
+      this.handleDoorClick(shortcut.door);
+      return;
+    }
+
+    switch (shortcut.action) {
+      case 'stay':
+        if (this.game.canMakeChoice()) {
+          this.handleChoice('stay');
+        }
+        break;
+      case 'switch':
+        if (this.game.canMakeChoice()) {
+          this.handleSwitchButton();
+        }
+        break;
+      case 'reset':
+        this.resetGame();
+        break;
+      case 'undo':
+        this.undoMove();
+        break;
+    }
+  }
+
+  /**
+   * Move focus between doors with the arrow keys, Home and End
+   * @param {KeyboardEvent} e - Keydown on the doors
+   */
+  handleDoorKeydown(e) {
+    const last = this.elements.doors.length - 1;
+    let index;
+    if (e.key in DOOR_NAVIGATION_KEYS) {
+      index = (this.focusedDoor + DOOR_NAVIGATION_KEYS[e.key] + last + 1) % (last + 1);
+    } else if (e.key === 'Home') {
+      index = 0;
+    } else if (e.key === 'End') {
+      index = last;
+    } else {
+      return;
+    }
+
+    e.preventDefault();
+    this.setFocusedDoor(index);
+    this.elements.doors[index]?.focus();
+  }
+
+  /**
+   * Make one door the doors' tab stop
+   * @param {number} index - Door index
+   */
+  setFocusedDoor(index) {
+    this.focusedDoor = index;
+    this.elements.doors.forEach((door, i) => {
+      door.tabIndex = i === index ? 0 : -1;
+    });
+  }
+
+  /**
+   * Handle the switch button, which needs a target door when several remain
+   */
+  handleSwitchButton() {
+    if (!this.game.canSwitch()) {
+      return;
+    }
+
+    if (this.game.requiresSwitchTarget()) {
+      this.showMessage('Click one of the closed doors to switch to it', 'info');
+      return;
+    }
+
+    this.handleChoice('switch');
   }
 
   /**
    * Handle stay or switch choice
+   * @param {string} strategy - 'stay' or 'switch'
+   * @param {number} [targetDoor] - Door to switch to when more than one remains
    */
-  async handleChoice(strategy) {
+  async handleChoice(strategy, targetDoor = null) {
     if (this.isAnimating || !this.game.canMakeChoice()) {
       return;
     }
 
-    this.isAnimating = true;
+    await this.queueAnimation(() => this.animateChoice(strategy));
 
-    // Animate the choice
-    await this.animateChoice(strategy);
+    this.playMove(() => this.game.makeChoice(strategy, targetDoor));
+    await this.animations;
+  }
 
-    // Make the choice in the game
-    const success = this.game.makeChoice(strategy);
+  /**
+   * Reset the game to initial state
+   * @param {number} [seed] - Round seed to replay; a new round is dealt if omitted
+   */
+  resetGame(seed) {
+    if (this.isAnimating) return;
 
-    if (success) {
-      // Record statistics
-      this.stats.recordGame(strategy, this.game.won);
+    this.game.reset(seed);
+  }
 
-      // Animate final reveal
-      await this.animateFinalReveal();
+  /**
+   * Take back the last move, turning the round into a what-if
+   */
+  undoMove() {
+    if (this.isAnimating || this.replay || !this.game.canUndo()) return;
 
-      // Show result
-      this.showGameResult();
+    const counted = !this.game.counterfactual;
+    if (this.playMove(() => this.game.undo()) && counted) {
+      this.showMessage('What if… this round no longer counts in your statistics', 'info');
+    }
+  }
 
-      // Update all displays
-      this.updateDisplay();
-      this.updateStatsDisplay();
-      this.showEducationalHints();
+  /**
+   * Deal the round just played again, as a what-if, ready to play its moves back
+   * @returns {boolean} - True if there was a finished round to replay
+   */
+  startReplay() {
+    const roundOver = this.game.isFinished() || this.game.isVoided();
+    if (this.isAnimating || this.replay || !roundOver) return false;
+
+    const steps = this.game.getActionLog();
+    this.game.reset(this.game.seed, { counterfactual: true });
+    this.replay = { steps, position: 0 };
+    this.updateGamePhase();
+    this.updateReplayControls();
+    return true;
+  }
+
+  /**
+   * Play the next move of the round being replayed, with the same animations as playing it
+   */
+  async stepReplay() {
+    if (!this.replay || this.isAnimating) return;
+
+    // Stop if the player has made a move of their own since the last step
+    if (this.game.getActionLog().length !== this.replay.position) {
+      this.replay = null;
+      this.updateGamePhase();
+      this.updateReplayControls();
+      return;
     }
 
-    this.isAnimating = false;
+    const step = this.replay.steps[this.replay.position];
+    if (step.type === GAME_ACTIONS.SELECT_DOOR) {
+      await this.handleDoorClick(step.doorIndex);
+    } else {
+      await this.handleChoice(step.strategy, step.targetDoor);
+    }
+
+    if (this.replay) {
+      this.replay.position++;
+      if (this.replay.position >= this.replay.steps.length) {
+        this.replay = null;
+      }
+    }
+    this.updateGamePhase();
+    this.updateReplayControls();
   }
 
   /**
-   * Reset the game to initial state
+   * Watch the round just played again from the start
    */
-  resetGame() {
-    if (this.isAnimating) return;
+  async replayRound() {
+    if (!this.startReplay()) return;
 
-    this.game.reset();
-    this.updateDisplay();
+    while (this.replay) {
+      await this.wait(REPLAY_STEP_PAUSE_MS);
+      await this.stepReplay();
+    }
+  }
+
+  /**
+   * Step through the round just played, one move per click
+   */
+  async handleStepButton() {
+    if (this.replay || this.startReplay()) {
+      await this.stepReplay();
+    }
+  }
+
+  /**
+   * Redraw for a new round, whether it came from Reset, Replay or new game options
+   */
+  handleGameReset() {
+    this.replay = null;
+    if (this.elements.doors.length !== this.game.doorCount) {
+      this.renderDoors();
+    }
+    this.renderGameOptions();
     this.closeResultModal();
 
     // Reset door styles
-    this.elements.doors.forEach(door => {
+    this.elements.doors.forEach((door, index) => {
       door.className = 'door';
-      door.setAttribute('aria-label', 'Door - Click to select');
+      door.setAttribute('aria-label', `Door ${index + 1} - Click to select`);
+    });
+
+    this.updateDisplay();
+  }
+
+  /**
+   * Reconfigure the game's doors and start a new round, unless a move is still animating
+   * @param {object} options - { doorCount, revealCount }
+   */
+  applyGameOptions(options) {
+    if (this.isAnimating) return;
+    this.configureGame(options);
+  }
+
+  /**
+   * Reconfigure the game and start a new round, saving the options to the settings
+   * @param {object} options - Options for MontyHallGame.configure()
+   */
+  configureGame(options) {
+    // The new round is drawn by the gameReset listener
+    try {
+      this.game.configure(options);
+    } catch (error) {
+      console.error('Invalid game options:', error);
+      this.showMessage(error.message, 'error');
+      return;
+    }
+
+    // Remember the choice for next time
+    const { doorCount, revealCount, host } = this.game;
+    this.settings.update({
+      doorCount,
+      revealCount,
+      hostModel: host.id,
+      ...(host.id === 'preferential' && { hostPreference: host.preference })
     });
   }
 
+  /**
+   * Replace the host model from the host selectors and start a new round
+   */
+  applyHostOption() {
+    const hostModel = this.elements.hostModelSelect?.value || 'standard';
+    const options = {};
+
+    if (hostModel === 'preferential' && this.elements.hostPreferenceSelect) {
+      options.preference = parseFloat(this.elements.hostPreferenceSelect.value);
+    }
+
+    this.applyGameOptions({
+      doorCount: this.game.doorCount,
+      revealCount: this.game.revealCount,
+      host: createHost(hostModel, options)
+    });
+  }
+
+  /**
+   * Render one door button per door in the current game configuration
+   */
+  renderDoors() {
+    const container = this.elements.doorsContainer;
+    if (!container) return;
+
+    const doorCount = this.game.doorCount;
+    let doorsHtml = '';
+
+    this.focusedDoor = Math.min(this.focusedDoor, doorCount - 1);
+    for (let i = 0; i < doorCount; i++) {
+      doorsHtml += `
+        <button class="door" data-door-index="${i}" tabindex="${i === this.focusedDoor ? 0 : -1}" aria-label="Door ${i + 1} - Click to select">
+          <div class="door-number">${i + 1}</div>
+        </button>
+      `;
+    }
+
+    container.innerHTML = doorsHtml;
+    container.classList.toggle('compact', doorCount > 5);
+    container.classList.toggle('tiny', doorCount > 20);
+    container.setAttribute('aria-label', `${doorCount} doors to choose from`);
+
+    this.elements.doors = Array.from(container.querySelectorAll('.door'));
+  }
+
+  /**
+   * Sync the door count and host reveal selectors with the game configuration
+   */
+  renderGameOptions() {
+    const { doorCountSelect, revealCountSelect, hostModelSelect, hostPreferenceOption, hostPreferenceSelect } = this.elements;
+
+    if (doorCountSelect) {
+      selectValue(doorCountSelect, this.game.doorCount, String(this.game.doorCount));
+    }
+
+    if (revealCountSelect) {
+      let optionsHtml = '';
+      for (let count = 1; count <= this.game.doorCount - 2; count++) {
+        optionsHtml += `<option value="${count}">${count}</option>`;
+      }
+      revealCountSelect.innerHTML = optionsHtml;
+      revealCountSelect.value = String(this.game.revealCount);
+    }
+
+    if (hostModelSelect) {
+      if (hostModelSelect.options.length === 0) {
+        hostModelSelect.innerHTML = Object.keys(HOST_MODELS)
+          .map(id => `<option value="${id}">${getHostName(id)}</option>`)
+          .join('');
+      }
+      hostModelSelect.value = this.game.host.id;
+      hostModelSelect.title = this.game.host.description;
+    }
+
+    if (hostPreferenceOption) {
+      const isPreferential = this.game.host.id === 'preferential';
+      hostPreferenceOption.style.display = isPreferential ? '' : 'none';
+      if (isPreferential && hostPreferenceSelect) {
+        const { preference } = this.game.host;
+        selectValue(hostPreferenceSelect, preference, `${Math.round(preference * 100)}%`);
+      }
+    }
+  }
+
   /**
    * Update the entire display based on game state
    */
   updateDisplay() {
     this.updateGamePhase();
     this.updateInstructions();
+    this.updateSeed();
     this.updateDoors();
     this.updateChoiceButtons();
+    this.updateReplayControls();
     this.updateStatsDisplay();
+    this.onUpdate?.();
   }
 
   /**
@@ -224,12 +707,35 @@ export class MontyHallUI {
     const phases = {
       'selecting': 'Choose a Door',
       'revealed': 'Make Your Choice',
-      'choosing': 'Processing...',
-      'finished': 'Game Complete'
+      'finished': 'Game Complete',
+      'voided': 'Round Voided'
     };
 
     if (this.elements.gamePhase) {
-      this.elements.gamePhase.textContent = phases[this.game.gamePhase] || 'Ready to Play';
+      const label = phases[this.game.gamePhase] || 'Ready to Play';
+      const mode = this.replay ? ' (Replay)' : this.game.counterfactual ? ' (What If)' : '';
+      this.elements.gamePhase.textContent = label + mode;
+    }
+  }
+
+  /**
+   * Show the undo, replay and step-through buttons when they can be used
+   */
+  updateReplayControls() {
+    const { undoButton, watchReplayButton, stepButton } = this.elements;
+    const roundOver = this.game.isFinished() || this.game.isVoided();
+
+    if (undoButton) {
+      undoButton.hidden = this.replay !== null || !this.game.canUndo();
+    }
+    if (watchReplayButton) {
+      watchReplayButton.hidden = this.replay !== null || !roundOver;
+    }
+    if (stepButton) {
+      stepButton.hidden = this.replay === null && !roundOver;
+      stepButton.textContent = this.replay ?
+        `⏭ Next Step (${this.replay.position + 1} of ${this.replay.steps.length})` :
+        '⏭ Step Through';
     }
   }
 
@@ -237,11 +743,21 @@ export class MontyHallUI {
    * Update game instructions
    */
   updateInstructions() {
+    const { doorCount, revealCount } = this.game;
+    const goats = doorCount - 1;
+    const opened = revealCount === 1 ? 'a door with a goat' : `${revealCount} doors with goats`;
+    const switchHint = this.game.requiresSwitchTarget() ?
+      'Stay with your choice, or click one of the other closed doors to switch?' :
+      'Will you stay with your choice or switch?';
+    const revealed = this.game.switchOffered === false ?
+      'The host did not open any doors or offer a switch. Stay with your door to see the result.' :
+      `The host has opened ${opened}. ${switchHint}`;
+
     const instructions = {
-      'selecting': 'Pick one of the three doors. One hides a car, two hide goats.',
-      'revealed': 'The host has opened a door with a goat. Will you stay with your choice or switch?',
-      'choosing': 'Revealing the final result...',
-      'finished': 'Click Reset to play again, or check the statistics below!'
+      'selecting': `Pick one of the ${doorCount} doors. One hides a car, ${goats} hide goats.`,
+      'revealed': revealed,
+      'finished': 'Click Reset to play again, or check the statistics below!',
+      'voided': 'The host opened the door with the car, so this round does not count. Click Reset to play again.'
     };
 
     if (this.elements.gameInstructions) {
@@ -249,12 +765,25 @@ export class MontyHallUI {
     }
   }
 
+  /**
+   * Update the round seed shown under the instructions
+   */
+  updateSeed() {
+    if (this.elements.roundSeed) {
+      this.elements.roundSeed.textContent = this.game.seed;
+    }
+  }
+
   /**
    * Update door appearances based on game state
    */
   updateDoors() {
     const gameState = this.game.getGameState();
     const doors = gameState.doors || [];
+    const switchTargets = this.game.requiresSwitchTarget() ? gameState.remainingDoors : [];
+    const roundOver = this.game.isFinished() || this.game.isVoided();
+    // Doors a click would do something with: any door before the pick, closed doors after it
+    const actionable = this.game.canMakeChoice() ? gameState.remainingDoors : this.game.getAvailableDoors();
 
     this.elements.doors.forEach((doorElement, index) => {
       const doorState = doors[index];
@@ -269,7 +798,11 @@ export class MontyHallUI {
       }
 
       if (doorState.isHostRevealed) {
-        doorElement.classList.add('revealed', 'goat');
+        doorElement.classList.add('revealed', doorState.content);
+      }
+
+      if (switchTargets.includes(index)) {
+        doorElement.classList.add('switch-target');
       }
 
       if (doorState.isFinalChoice && this.game.gamePhase === 'finished') {
@@ -279,7 +812,7 @@ export class MontyHallUI {
         }
       }
 
-      if (this.game.gamePhase === 'finished' && doorState.content === 'car') {
+      if (roundOver && doorState.content === 'car') {
         doorElement.classList.add('car');
       }
 
@@ -289,13 +822,17 @@ export class MontyHallUI {
         label += ' - Your choice';
       }
       if (doorState.isHostRevealed) {
-        label += ' - Revealed: Goat';
+        label += doorState.content === 'car' ? ' - Revealed: Car' : ' - Revealed: Goat';
+      }
+      if (switchTargets.includes(index)) {
+        label += ' - Click to switch here';
       }
       if (doorState.isFinalChoice && this.game.gamePhase === 'finished') {
         label += ` - Final choice: ${doorState.content}`;
       }
 
       doorElement.setAttribute('aria-label', label);
+      doorElement.setAttribute('aria-disabled', String(!actionable.includes(index)));
 
       // Update content
       this.updateDoorContent(doorElement, doorState);
@@ -308,7 +845,7 @@ export class MontyHallUI {
   updateDoorContent(doorElement, doorState) {
     let contentHtml = '<div class="door-number">' + (doorState.index + 1) + '</div>';
 
-    if (doorState.isRevealed || this.game.gamePhase === 'finished') {
+    if (doorState.isRevealed) {
       if (doorState.content === 'car') {
         contentHtml += '<div class="door-icon car-icon">🚗</div>';
       } else {
@@ -327,6 +864,8 @@ export class MontyHallUI {
 
     if (this.game.canMakeChoice()) {
       this.elements.choiceButtons.style.display = 'flex';
+      this.elements.stayButton?.classList.remove('chosen');
+      this.elements.switchButton?.classList.remove('chosen');
 
       // Update button text with context
       const remainingDoor = this.game.getRemainingDoor();
@@ -334,7 +873,14 @@ export class MontyHallUI {
         this.elements.stayButton.textContent = `Stay with Door ${this.game.playerChoice + 1}`;
       }
       if (this.elements.switchButton) {
-        this.elements.switchButton.textContent = `Switch to Door ${remainingDoor + 1}`;
+        this.elements.switchButton.disabled = !this.game.canSwitch();
+        if (!this.game.canSwitch()) {
+          this.elements.switchButton.textContent = 'No switch offered';
+        } else {
+          this.elements.switchButton.textContent = remainingDoor !== null ?
+            `Switch to Door ${remainingDoor + 1}` :
+            'Switch (pick a door)';
+        }
       }
     } else {
       this.elements.choiceButtons.style.display = 'none';
@@ -360,6 +906,7 @@ export class MontyHallUI {
         <div class="strategy-details">
           <span class="win-rate">${formattedStats.stay.winRate}</span>
           <span class="games-played">${formattedStats.stay.won}/${formattedStats.stay.played} wins</span>
+          ${this.formatInterval(comparison.intervals?.stay, formattedStats.stay.played)}
         </div>
       `;
     }
@@ -371,35 +918,181 @@ export class MontyHallUI {
         <div class="strategy-details">
           <span class="win-rate">${formattedStats.switch.winRate}</span>
           <span class="games-played">${formattedStats.switch.won}/${formattedStats.switch.played} wins</span>
+          ${this.formatInterval(comparison.intervals?.switch, formattedStats.switch.played)}
         </div>
       `;
     }
 
     // Update comparison
     if (this.elements.comparison && comparison.hasData) {
-      let comparisonHtml = '';
-
-      if (comparison.better === 'switch') {
-        comparisonHtml = `<span class="better-strategy">Switching is ${comparison.difference}% better!</span>`;
-      } else if (comparison.better === 'stay') {
-        comparisonHtml = `<span class="worse-strategy">Staying is ${comparison.difference}% better (unexpected!)</span>`;
-      } else if (comparison.better === 'tie') {
-        comparisonHtml = `<span class="tie-strategy">Both strategies are tied</span>`;
-      }
+      this.elements.comparison.innerHTML = this.formatComparison(comparison);
+    }
 
-      if (comparison.confidence === 'low' && formattedStats.totalGames < 20) {
-        comparisonHtml += '<div class="confidence-note">Play more games for reliable statistics</div>';
-      }
+    this.updateHostComparison();
+    this.updateTheoryCard();
+  }
+
+  /**
+   * Show the exact win probabilities for the current game configuration next to
+   * the rates observed in logged rounds played with the same configuration
+   */
+  updateTheoryCard() {
+    if (!this.elements.theorySummary) return;
+
+    const { doorCount, revealCount, host } = this.game;
+    const theory = getStrategyWinProbabilities({ doorCount, revealCount, host });
+    const observed = this.stats.getSetupStats({ doorCount, revealCount, hostModel: host.id });
+
+    const line = (strategy, label) => {
+      const counts = observed[strategy];
+      const mine = counts.played > 0 ?
+        `you: ${(counts.winRate * 100).toFixed(1)}% of ${counts.played}` : 'no games yet';
+      return `
+        <div class="theory-line">
+          <span>${label} <strong>${formatProbability(theory[strategy])}</strong> (${(theory[strategy] * 100).toFixed(1)}%)</span>
+          <small>${mine}</small>
+        </div>
+      `;
+    };
+
+    this.elements.theorySummary.innerHTML = `
+      ${line('stay', 'Stay')}
+      ${line('switch', 'Switch')}
+      <small class="theory-setup">
+        ${doorCount} doors • host opens ${revealCount} • ${host.name}
+        ${theory.voided > 0 ? ` • ${formatProbability(theory.voided)} of rounds voided` : ''}
+      </small>
+    `;
+  }
+
+  /**
+   * Format a strategy's 95% confidence interval
+   * @param {object} interval - Wilson interval from GameStats
+   * @param {number} played - Games played with the strategy
+   * @returns {string} - HTML snippet (empty when there is no data)
+   */
+  formatInterval(interval, played) {
+    if (!interval || played === 0) return '';
+
+    const lower = (interval.lower * 100).toFixed(0);
+    const upper = (interval.upper * 100).toFixed(0);
+    return `<span class="confidence-interval">95% CI: ${lower}–${upper}%</span>`;
+  }
+
+  /**
+   * Format the stay vs switch comparison with intervals and p-values
+   * @param {object} comparison - Result of GameStats.getStrategyComparison()
+   * @returns {string} - HTML for the comparison card
+   */
+  formatComparison(comparison) {
+    const { intervals, test, theoretical } = comparison;
+    const describe = (strategy) => {
+      const interval = intervals[strategy];
+      const verb = strategy === 'switch' ? 'Switching' : 'Staying';
+      return `${verb} wins ${(interval.estimate * 100).toFixed(0)}% ± ${(interval.margin * 100).toFixed(0)}%`;
+    };
+
+    // Only one strategy played so far: nothing to compare against
+    if (!test) {
+      const played = this.stats.getStats().switch.played > 0 ? 'switch' : 'stay';
+      return `
+        <span class="tie-strategy">${describe(played)}</span>
+        <div class="confidence-note">Try the other strategy to compare them</div>
+      `;
+    }
+
+    let html;
+    if (comparison.better === 'tie') {
+      html = `<span class="tie-strategy">Both strategies are tied (${formatPValue(test.pValue)})</span>`;
+    } else {
+      const leader = comparison.better;
+      const other = leader === 'switch' ? 'stay' : 'switch';
+      const cssClass = !comparison.significant ? 'tie-strategy' :
+        leader === 'switch' ? 'better-strategy' : 'worse-strategy';
+      html = `
+        <span class="${cssClass}">${describe(leader)}, ${formatPValue(test.pValue)}</span>
+        <div class="comparison-detail">${describe(other)}</div>
+      `;
+    }
 
-      this.elements.comparison.innerHTML = comparisonHtml;
+    if (!comparison.significant) {
+      html += '<div class="confidence-note">Not significant yet: the gap could still be noise</div>';
+    } else if (comparison.better === 'stay' && comparison.standardHostOnly) {
+      html += '<div class="confidence-note">Staying is ahead (unexpected!)</div>';
     }
+    if (comparison.pooled) {
+      html += '<div class="comparison-detail pooled-note">Pooled across every setup you played, each with its own odds</div>';
+    }
+
+    // 1/3 and 2/3 only hold for the classic game, so only its rounds are tested
+    const theoryChecks = [['stay', '1/3'], ['switch', '2/3']]
+      .filter(([strategy]) => theoretical?.[strategy])
+      .map(([strategy, rate]) => `${strategy} ${rate} (${formatPValue(theoretical[strategy].pValue)})`);
+    if (theoryChecks.length > 0) {
+      html += `
+        <div class="comparison-detail theory-check">
+          Classic game vs theory: ${theoryChecks.join(', ')}
+        </div>
+      `;
+    }
+
+    return html;
+  }
+
+  /**
+   * Update the per-host-model comparison table
+   */
+  updateHostComparison() {
+    const container = this.elements.hostComparison;
+    if (!container) return;
+
+    const hosts = this.stats.getHostComparison();
+    if (hosts.length === 0) {
+      container.style.display = 'none';
+      return;
+    }
+
+    const formatRate = (bucket) => bucket.played > 0 ?
+      `${(bucket.winRate * 100).toFixed(1)}% <small>(${bucket.won}/${bucket.played})</small>` :
+      '—';
+
+    const rows = hosts.map(host => `
+      <tr>
+        <th scope="row">${getHostName(host.hostModel)}</th>
+        <td>${formatRate(host.stay)}</td>
+        <td>${formatRate(host.switch)}</td>
+        <td>${host.voided}</td>
+      </tr>
+    `).join('');
+
+    container.innerHTML = `
+      <h3 class="host-comparison-title">By Host Model</h3>
+      <table class="host-comparison-table">
+        <thead>
+          <tr>
+            <th scope="col">Host</th>
+            <th scope="col">Stay wins</th>
+            <th scope="col">Switch wins</th>
+            <th scope="col">Voided</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+    container.style.display = 'block';
   }
 
   /**
    * Show educational hints based on current statistics
    */
   showEducationalHints() {
-    const hints = this.stats.getEducationalHints();
+    const hints = this.stats.getEducationalHints({
+      earlyGames: this.settings.get('hintEarlyGames'),
+      balanceMinGames: this.settings.get('hintBalanceMinGames'),
+      balanceGap: this.settings.get('hintBalanceGap'),
+      theoryMinGames: this.settings.get('hintTheoryMinGames'),
+      theoryTolerance: this.settings.get('hintTheoryTolerance')
+    });
 
     if (hints.length > 0 && this.elements.hintsPanel) {
       const latestHint = hints[hints.length - 1];
@@ -425,13 +1118,21 @@ export class MontyHallUI {
     const strategy = this.game.playerStrategy;
     const gameState = this.game.getGameState();
 
-    const resultHtml = `
+    const resultHtml = gameState.voided ? `
+      <div class="result-icon">🙈</div>
+      <h3 id="result-title">Round Voided</h3>
+      <p>The host opened Door ${gameState.carDoor + 1} and revealed the car!</p>
+      <div class="result-details">
+        <p>This round is not counted in your stay/switch statistics.</p>
+      </div>
+    ` : `
       <div class="result-icon">${won ? '🎉' : '😔'}</div>
-      <h3>${won ? 'You Won!' : 'You Lost'}</h3>
+      <h3 id="result-title">${won ? 'You Won!' : 'You Lost'}</h3>
       <p>You chose to <strong>${strategy}</strong> and ${won ? 'found the car!' : 'got a goat.'}</p>
       <div class="result-details">
         <p>Your final choice: Door ${gameState.finalChoice + 1} (${gameState.doors[gameState.finalChoice].content})</p>
         <p>The car was behind Door ${gameState.carDoor + 1}</p>
+        ${gameState.counterfactual ? '<p>This was a what-if round, so it is not counted in your statistics.</p>' : ''}
       </div>
     `;
 
@@ -440,20 +1141,77 @@ export class MontyHallUI {
     }
 
     this.elements.resultModal.style.display = 'flex';
+    this.resultTrap?.activate(this.elements.resultClose);
 
-    // Auto-close after 3 seconds
-    setTimeout(() => {
-      this.closeResultModal();
-    }, 3000);
+    clearTimeout(this.resultTimer);
+    if (!this.keepResultOpen) {
+      this.resultTimer = setTimeout(() => this.closeResultModal(), this.settings.get('resultCloseSeconds') * 1000);
+    }
   }
 
   /**
-   * Close result modal
+   * Close result modal, returning focus to where it was
    */
   closeResultModal() {
+    clearTimeout(this.resultTimer);
+    this.resultTimer = null;
     if (this.elements.resultModal) {
       this.elements.resultModal.style.display = 'none';
     }
+    this.resultTrap?.release();
+  }
+
+  /**
+   * Choose whether the result stays up until dismissed, or closes by itself
+   * @param {boolean} keepOpen - True to keep it open
+   */
+  setKeepResultOpen(keepOpen) {
+    this.keepResultOpen = keepOpen;
+    this.settings.update({ keepResultOpen: keepOpen });
+    if (this.elements.keepResultToggle) {
+      this.elements.keepResultToggle.checked = keepOpen;
+    }
+    if (keepOpen) {
+      clearTimeout(this.resultTimer);
+      this.resultTimer = null;
+    }
+  }
+
+  /**
+   * Choose how fast the doors animate
+   * @param {number} speed - Multiple of normal speed (0.25 to 4), or 0 for instant
+   * @throws {RangeError} If the speed is not one on offer
+   */
+  setAnimationSpeed(speed) {
+    this.applyAnimationSpeed(speed);
+    this.animationSpeedChosen = true;
+    this.settings.update({ animationSpeed: speed });
+  }
+
+  /**
+   * Use the animation speed from the settings
+   * @param {number|null} speed - Multiple of normal speed, 0 for instant, or null to go
+   *   instant only when the system asks for reduced motion
+   */
+  followAnimationSetting(speed) {
+    this.animationSpeedChosen = speed !== null;
+    this.applyAnimationSpeed(speed ?? (this.reducedMotion?.matches ? 0 : 1));
+  }
+
+  /**
+   * Scale every animation wait and the door CSS animations to a speed
+   * @param {number} speed - Multiple of normal speed, or 0 for instant
+   */
+  applyAnimationSpeed(speed) {
+    if (!ANIMATION_SPEEDS.includes(speed)) {
+      throw new RangeError(`Animation speed must be one of ${ANIMATION_SPEEDS.join(', ')} (got ${speed})`);
+    }
+
+    this.animationSpeed = speed;
+    document.documentElement.style.setProperty('--animation-scale', speed === 0 ? '0' : String(1 / speed));
+    if (this.elements.animationSpeedSelect) {
+      this.elements.animationSpeedSelect.value = String(speed);
+    }
   }
 
   /**
@@ -473,17 +1231,22 @@ export class MontyHallUI {
    * Animation: Host reveals a door
    */
   async animateHostReveal() {
-    const hostDoor = this.elements.doors[this.game.hostRevealedDoor];
-    if (!hostDoor) return;
+    const hostDoors = this.game.hostRevealedDoors
+      .map(index => this.elements.doors[index])
+      .filter(Boolean);
+    if (hostDoors.length === 0) return;
 
-    hostDoor.classList.add('revealing');
+    hostDoors.forEach(door => door.classList.add('revealing'));
     await this.wait(500);
-    hostDoor.classList.remove('revealing');
-    hostDoor.classList.add('revealed', 'goat');
 
     // Update door content
-    const doorState = this.game.getGameState().doors[this.game.hostRevealedDoor];
-    this.updateDoorContent(hostDoor, doorState);
+    const doorStates = this.game.getGameState().doors;
+    hostDoors.forEach(door => {
+      const doorState = doorStates[Number(door.dataset.doorIndex)];
+      door.classList.remove('revealing');
+      door.classList.add('revealed', doorState.content);
+      this.updateDoorContent(door, doorState);
+    });
   }
 
   /**
@@ -510,8 +1273,9 @@ export class MontyHallUI {
     }
 
     // Show all doors
+    const doorStates = this.game.getGameState().doors;
     this.elements.doors.forEach((door, index) => {
-      const doorState = this.game.getGameState().doors[index];
+      const doorState = doorStates[index];
       if (doorState) {
         this.updateDoorContent(door, doorState);
 
@@ -546,6 +1310,7 @@ export class MontyHallUI {
 
     messageEl.textContent = message;
     messageEl.className = `temp-message ${type} visible`;
+    this.announcer?.announce(message, type === 'error' ? 'assertive' : 'polite');
 
     setTimeout(() => {
       messageEl.classList.remove('visible');
@@ -553,9 +1318,27 @@ export class MontyHallUI {
   }
 
   /**
-   * Utility: Wait for specified milliseconds
+   * Utility: Wait for specified milliseconds of animation, scaled by the animation speed
    */
   wait(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    if (this.animationSpeed === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => setTimeout(resolve, ms / this.animationSpeed));
+  }
+}
+
+/**
+ * Select a value in a list of preset options, adding it if it is not one of them
+ * (e.g. a door count chosen in the settings)
+ */
+function selectValue(select, value, label) {
+  const text = String(value);
+  if (![...select.options].some(option => option.value === text)) {
+    const option = document.createElement('option');
+    option.value = text;
+    option.textContent = label;
+    select.appendChild(option);
   }
-}
\ No newline at end of file
+  select.value = text;
+}
@@ -0,0 +1,290 @@
+/**
+ * Tests for playing without a mouse or screen: the narration read to screen readers,
+ * focus handling in the result dialog and moving between doors with the arrow keys
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MontyHallGame } from '../src/js/game.js';
+import { GameStats } from '../src/js/stats.js';
+import { MemoryStorageAdapter } from '../src/js/storage.js';
+import { MontyHallUI } from '../src/js/ui.js';
+import { Announcer } from '../src/js/announcer.js';
+import { GameNarrator } from '../src/js/game-narrator.js';
+import { FocusTrap } from '../src/js/focus-trap.js';
+import { loadPage, click, pressKey } from './helpers/dom.js';
+
+const SEED = 20240501;
+
+/**
+ * Wait until every queued animation has played
+ */
+async function settle(ui) {
+  do {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await ui.animations;
+  } while (ui.isAnimating);
+}
+
+/**
+ * Wait for the announcer to fill its live regions
+ */
+function spoken() {
+  return new Promise(resolve => setTimeout(resolve, 60));
+}
+
+describe('Announcer', () => {
+  let page;
+  let announcer;
+  let $;
+
+  beforeEach(() => {
+    page = loadPage();
+    $ = (id) => page.document.getElementById(id);
+    announcer = new Announcer();
+  });
+
+  afterEach(() => {
+    announcer.clear();
+    page.cleanup();
+  });
+
+  test('speaks through the polite or assertive live region', async () => {
+    announcer.announce('Pick a door.');
+    announcer.announce('You won!', 'assertive');
+    await spoken();
+
+    assert.equal($('announcer-polite').textContent, 'Pick a door.');
+    assert.equal($('announcer-assertive').textContent, 'You won!');
+    assert.deepEqual(announcer.lastMessage, { message: 'You won!', priority: 'assertive' });
+  });
+
+  test('reads messages sent together as one, and repeats the same text', async () => {
+    announcer.announce('One.');
+    announcer.announce('Two.');
+    await spoken();
+    assert.equal($('announcer-polite').textContent, 'One. Two.');
+
+    announcer.announce('One. Two.');
+    assert.equal($('announcer-polite').textContent, '', 'cleared so the repeat is read again');
+    await spoken();
+    assert.equal($('announcer-polite').textContent, 'One. Two.');
+  });
+});
+
+describe('GameNarrator', () => {
+  let page;
+  let game;
+  let announcer;
+
+  beforeEach(() => {
+    page = loadPage();
+    game = new MontyHallGame({ seed: SEED });
+    announcer = new Announcer();
+    new GameNarrator(game, announcer);
+  });
+
+  afterEach(() => {
+    announcer.clear();
+    page.cleanup();
+  });
+
+  test('narrates the pick, the host and the result', async () => {
+    game.selectDoor(0);
+    await spoken();
+    const [opened] = game.hostRevealedDoors;
+    const other = game.getRemainingDoor();
+    assert.equal(
+      announcer.lastMessage.message,
+      `You picked door 1. The host opened door ${opened + 1}: a goat. Stay with door 1, or switch to door ${other + 1}?`
+    );
+
+    game.makeChoice('switch', other);
+    await spoken();
+    assert.equal(announcer.lastMessage.priority, 'assertive');
+    assert.match(announcer.lastMessage.message, game.won ?
+      new RegExp(`^You won! You switched to door ${other + 1} and found the car\\.$`) :
+      new RegExp(`^You lost\\. You switched to door ${other + 1} and got a goat\\. The car was behind door ${game.carDoor + 1}\\.$`));
+  });
+
+  test('narrates a new round, undo and a what-if round', async () => {
+    game.reset();
+    await spoken();
+    assert.equal(announcer.lastMessage.message, 'New round. Pick one of the 3 doors.');
+
+    game.selectDoor(1);
+    game.makeChoice('stay');
+    game.undo();
+    await spoken();
+    assert.match(page.document.getElementById('announcer-polite').textContent,
+      /Choice taken back\. Stay with door 2, or switch to door \d\?$/);
+
+    game.makeChoice('stay');
+    await spoken();
+    assert.match(announcer.lastMessage.message, /This what-if round is not counted\.$/);
+  });
+});
+
+describe('FocusTrap', () => {
+  let page;
+  let dialog;
+  let opener;
+  let trap;
+  let escaped;
+
+  beforeEach(() => {
+    page = loadPage();
+    const { document } = page;
+    opener = document.getElementById('reset-button');
+    dialog = document.getElementById('result-modal');
+    escaped = 0;
+    trap = new FocusTrap(dialog, { onEscape: () => escaped++ });
+  });
+
+  afterEach(() => page.cleanup());
+
+  test('moves focus in, wraps Tab around the dialog and puts focus back', () => {
+    const button = page.document.getElementById('result-close');
+    const link = page.document.createElement('a');
+    link.href = '#';
+    dialog.querySelector('.modal-content').prepend(link);
+
+    opener.focus();
+    dialog.style.display = 'flex';
+    trap.activate(button);
+    assert.equal(page.document.activeElement, button);
+
+    assert.ok(pressKey(button, 'Tab').defaultPrevented);
+    assert.equal(page.document.activeElement, link);
+    assert.ok(pressKey(link, 'Tab', { shiftKey: true }).defaultPrevented);
+    assert.equal(page.document.activeElement, button);
+
+    pressKey(button, 'Escape');
+    assert.equal(escaped, 1);
+
+    trap.release();
+    assert.equal(page.document.activeElement, opener);
+  });
+
+  test('falls back when the element it came from has been hidden', () => {
+    const fallback = page.document.getElementById('reset-button');
+    const stay = page.document.getElementById('stay-button');
+    trap = new FocusTrap(dialog, { getFallbackFocus: () => fallback });
+
+    page.document.getElementById('choice-buttons').style.display = 'flex';
+    stay.focus();
+    trap.activate();
+    page.document.getElementById('choice-buttons').style.display = 'none';
+    trap.release();
+
+    assert.equal(page.document.activeElement, fallback);
+  });
+});
+
+describe('MontyHallUI accessibility', () => {
+  let page;
+  let game;
+  let ui;
+  let announcer;
+  let $;
+
+  beforeEach(async () => {
+    page = loadPage();
+    $ = (id) => page.document.getElementById(id);
+
+    game = new MontyHallGame({ seed: SEED });
+    const stats = new GameStats({ storage: new MemoryStorageAdapter() });
+    await stats.load();
+    stats.trackGame(game);
+
+    announcer = new Announcer();
+    new GameNarrator(game, announcer);
+    ui = new MontyHallUI(game, stats, { announcer });
+    ui.wait = async () => {}; // Skip animation delays
+  });
+
+  afterEach(() => {
+    ui.closeResultModal();
+    announcer.clear();
+    page.cleanup();
+  });
+
+  const doors = () => [...page.document.querySelectorAll('#doors-container .door')];
+
+  test('the doors are one tab stop and the arrow keys move between them', () => {
+    assert.deepEqual(doors().map(door => door.tabIndex), [0, -1, -1]);
+
+    doors()[0].focus();
+    pressKey(doors()[0], 'ArrowRight');
+    assert.equal(page.document.activeElement, doors()[1]);
+    assert.deepEqual(doors().map(door => door.tabIndex), [-1, 0, -1]);
+
+    pressKey(doors()[1], 'End');
+    assert.equal(page.document.activeElement, doors()[2]);
+    pressKey(doors()[2], 'ArrowRight');
+    assert.equal(page.document.activeElement, doors()[0], 'wraps around');
+    pressKey(doors()[0], 'ArrowLeft');
+    assert.equal(page.document.activeElement, doors()[2]);
+    pressKey(doors()[2], 'Home');
+    assert.equal(page.document.activeElement, doors()[0]);
+  });
+
+  test('a whole round can be played with the arrow keys and Enter', async () => {
+    doors()[0].focus();
+    pressKey(doors()[0], 'ArrowRight');
+    click(page.document.activeElement); // Enter on a focused button clicks it
+    await settle(ui);
+    await spoken();
+
+    assert.equal(game.playerChoice, 1);
+    assert.match(announcer.lastMessage.message, /^You picked door 2\. The host opened door \d: a goat\./);
+    const [opened] = game.hostRevealedDoors;
+    assert.equal(doors()[opened].getAttribute('aria-disabled'), 'true');
+    assert.equal(doors()[game.getRemainingDoor()].getAttribute('aria-disabled'), 'false');
+
+    click(doors()[game.getRemainingDoor()]);
+    await settle(ui);
+    await spoken();
+    assert.equal(game.playerStrategy, 'switch');
+    assert.equal(announcer.lastMessage.priority, 'assertive');
+    assert.match(announcer.lastMessage.message, game.won ? /^You won!/ : /^You lost\./);
+  });
+
+  test('the result dialog takes focus, closes on Escape and gives focus back', async () => {
+    click(doors()[0]);
+    await settle(ui);
+    $('stay-button').focus();
+    click($('stay-button'));
+    await settle(ui);
+
+    assert.equal($('result-modal').style.display, 'flex');
+    assert.equal(page.document.activeElement, $('result-close'));
+    assert.equal($('result-modal').getAttribute('aria-labelledby'), 'result-title');
+    assert.ok($('result-title'));
+
+    pressKey($('result-close'), 'Tab');
+    assert.equal(page.document.activeElement, $('result-close'), 'Tab stays in the dialog');
+
+    pressKey($('result-close'), 'Escape');
+    assert.equal($('result-modal').style.display, 'none');
+    assert.equal(page.document.activeElement, $('reset-button'), 'the stay button is hidden, so focus moves on');
+  });
+
+  test('the result can be kept open until it is dismissed', async () => {
+    const toggle = $('keep-result-toggle');
+    toggle.checked = true;
+    toggle.dispatchEvent(new page.window.Event('change'));
+    assert.equal(ui.keepResultOpen, true);
+
+    click(doors()[2]);
+    await settle(ui);
+    click($('stay-button'));
+    await settle(ui);
+    assert.equal(ui.resultTimer, null, 'no timer to close it');
+    assert.equal($('result-modal').style.display, 'flex');
+
+    click($('result-close'));
+    assert.equal($('result-modal').style.display, 'none');
+  });
+});
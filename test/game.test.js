@@ -0,0 +1,282 @@
+/**
+ * Tests for MontyHallGame: phase guards, host invariants, undo and seeded statistics
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MontyHallGame } from '../src/js/game.js';
+import { GAME_PHASES, GAME_EVENTS, IllegalTransitionError, InvalidMoveError } from '../src/js/game-state.js';
+import { HOST_MODELS } from '../src/js/hosts.js';
+
+// Fixed seed so the statistical tests below always see the same rounds
+const SEED = 20240501;
+
+/**
+ * Play one round. Switching goes to the first door left; it falls back to staying
+ * when the host offers no switch.
+ */
+function playRound(game, doorIndex, strategy) {
+  game.selectDoor(doorIndex);
+  if (!game.canMakeChoice()) return;
+
+  if (strategy === 'switch' && game.canSwitch()) {
+    game.makeChoice('switch', game.getRemainingDoors()[0]);
+  } else {
+    game.makeChoice('stay');
+  }
+}
+
+describe('phase guards', () => {
+  test('a new round waits for the first pick', () => {
+    const game = new MontyHallGame({ seed: SEED });
+    assert.equal(game.gamePhase, GAME_PHASES.SELECTING);
+    assert.deepEqual(game.getAvailableDoors(), [0, 1, 2]);
+    assert.equal(game.canMakeChoice(), false);
+  });
+
+  test('choosing before picking a door is an illegal transition', () => {
+    const game = new MontyHallGame({ seed: SEED });
+    assert.throws(() => game.makeChoice('stay'), IllegalTransitionError);
+    assert.equal(game.gamePhase, GAME_PHASES.SELECTING);
+  });
+
+  test('picking twice is an illegal transition', () => {
+    const game = new MontyHallGame({ seed: SEED });
+    game.selectDoor(0);
+    assert.throws(() => game.selectDoor(1), IllegalTransitionError);
+    assert.equal(game.playerChoice, 0);
+  });
+
+  test('moves after the round is over are rejected', () => {
+    const game = new MontyHallGame({ seed: SEED });
+    playRound(game, 1, 'stay');
+    assert.equal(game.gamePhase, GAME_PHASES.FINISHED);
+    assert.throws(() => game.makeChoice('switch'), IllegalTransitionError);
+    assert.throws(() => game.selectDoor(0), IllegalTransitionError);
+  });
+
+  test('doors that do not exist and unknown choices are invalid moves', () => {
+    const game = new MontyHallGame({ seed: SEED });
+    assert.throws(() => game.selectDoor(3), InvalidMoveError);
+    assert.throws(() => game.selectDoor(-1), InvalidMoveError);
+    assert.throws(() => game.selectDoor(1.5), InvalidMoveError);
+    assert.equal(game.gamePhase, GAME_PHASES.SELECTING);
+
+    game.selectDoor(0);
+    assert.throws(() => game.makeChoice('maybe'), InvalidMoveError);
+    assert.equal(game.gamePhase, GAME_PHASES.REVEALED);
+  });
+
+  test('invalid moves are also RangeErrors', () => {
+    const game = new MontyHallGame({ seed: SEED });
+    assert.throws(() => game.selectDoor(7), RangeError);
+  });
+
+  test('switching needs a target when several doors remain', () => {
+    const game = new MontyHallGame({ seed: SEED, doorCount: 5, revealCount: 1 });
+    game.selectDoor(0);
+    assert.equal(game.requiresSwitchTarget(), true);
+    assert.throws(() => game.makeChoice('switch'), InvalidMoveError);
+    assert.throws(() => game.makeChoice('switch', game.hostRevealedDoors[0]), InvalidMoveError);
+    assert.throws(() => game.makeChoice('switch', 0), InvalidMoveError);
+
+    const target = game.getRemainingDoors()[0];
+    game.makeChoice('switch', target);
+    assert.equal(game.finalChoice, target);
+  });
+
+  test('switching is refused when the host does not offer it', () => {
+    const game = new MontyHallGame({ seed: SEED, host: 'hell' });
+    // Monty Hell only offers a switch when the first pick is the car
+    const goat = [0, 1, 2].find(door => door !== game.carDoor);
+    game.selectDoor(goat);
+    assert.equal(game.canSwitch(), false);
+    assert.throws(() => game.makeChoice('switch'), InvalidMoveError);
+  });
+
+  test('bad configurations are rejected', () => {
+    assert.throws(() => new MontyHallGame({ doorCount: 2 }), RangeError);
+    assert.throws(() => new MontyHallGame({ doorCount: 101 }), RangeError);
+    assert.throws(() => new MontyHallGame({ doorCount: 5, revealCount: 4 }), RangeError);
+    assert.throws(() => new MontyHallGame({ host: 'nobody' }), RangeError);
+  });
+});
+
+describe('host invariants', () => {
+  for (const hostModel of Object.keys(HOST_MODELS)) {
+    for (const [doorCount, revealCount] of [[3, 1], [10, 8], [10, 3]]) {
+      test(`${hostModel} host with ${doorCount} doors opening ${revealCount}`, () => {
+        const game = new MontyHallGame({ seed: SEED, doorCount, revealCount, host: hostModel });
+
+        for (let round = 0; round < 300; round++) {
+          game.reset();
+          const pick = round % doorCount;
+          game.selectDoor(pick);
+          const revealed = game.hostRevealedDoors;
+
+          assert.ok(!revealed.includes(pick), 'the host never opens the player\'s pick');
+          assert.equal(new Set(revealed).size, revealed.length, 'no door is opened twice');
+          assert.ok(revealed.every(door => game.isValidDoor(door)));
+          if (game.switchOffered) {
+            assert.equal(revealed.length, revealCount);
+          } else {
+            assert.equal(revealed.length, 0);
+          }
+
+          if (hostModel === 'ignorant') {
+            assert.equal(game.isVoided(), revealed.includes(game.carDoor), 'only a revealed car voids the round');
+          } else {
+            assert.ok(!revealed.includes(game.carDoor), 'a host who knows never opens the car');
+            assert.equal(game.isVoided(), false);
+          }
+
+          if (game.canMakeChoice()) {
+            const remaining = game.getRemainingDoors();
+            assert.equal(remaining.length, game.switchOffered ? doorCount - revealCount - 1 : 0);
+            assert.ok(!remaining.includes(pick));
+          }
+        }
+      });
+    }
+  }
+});
+
+describe('rounds', () => {
+  test('the player wins exactly when the final door hides the car', () => {
+    const game = new MontyHallGame({ seed: SEED });
+    for (let round = 0; round < 100; round++) {
+      game.reset();
+      playRound(game, round % 3, round % 2 ? 'switch' : 'stay');
+      assert.equal(game.won, game.finalChoice === game.carDoor);
+      if (game.playerStrategy === 'stay') {
+        assert.equal(game.finalChoice, game.playerChoice);
+      } else {
+        assert.notEqual(game.finalChoice, game.playerChoice);
+      }
+    }
+  });
+
+  test('replaying a seed deals the same car and host moves', () => {
+    const game = new MontyHallGame({ seed: SEED, doorCount: 10, revealCount: 5 });
+    game.selectDoor(4);
+    const { seed, carDoor, hostRevealedDoors } = game.getGameState();
+
+    game.reset();
+    game.reset(seed);
+    game.selectDoor(4);
+    assert.equal(game.carDoor, carDoor);
+    assert.deepEqual(game.hostRevealedDoors, hostRevealedDoors);
+  });
+
+  test('games built from the same seed play the same rounds', () => {
+    const a = new MontyHallGame({ seed: SEED });
+    const b = new MontyHallGame({ seed: SEED });
+    for (let round = 0; round < 20; round++) {
+      a.reset();
+      b.reset();
+      assert.equal(a.seed, b.seed);
+      assert.equal(a.carDoor, b.carDoor);
+    }
+  });
+
+  test('events are emitted in order, and gameFinished carries the final state', () => {
+    const game = new MontyHallGame({ seed: SEED });
+    const seen = [];
+    for (const event of Object.values(GAME_EVENTS)) {
+      game.on(event, (data) => seen.push([event, data]));
+    }
+
+    playRound(game, 0, 'switch');
+    assert.deepEqual(seen.map(([event]) => event), [
+      GAME_EVENTS.PHASE_CHANGED, GAME_EVENTS.DOOR_SELECTED, GAME_EVENTS.HOST_REVEALED,
+      GAME_EVENTS.PHASE_CHANGED, GAME_EVENTS.CHOICE_MADE, GAME_EVENTS.GAME_FINISHED
+    ]);
+
+    const [, finished] = seen.at(-1);
+    assert.equal(finished.won, game.won);
+    assert.equal(finished.voided, false);
+    assert.equal(finished.state.playerStrategy, 'switch');
+    assert.equal(finished.state.counterfactual, false);
+  });
+});
+
+describe('undo', () => {
+  test('undoing steps back a phase and marks the round as a what-if', () => {
+    const game = new MontyHallGame({ seed: SEED });
+    game.selectDoor(2);
+    const revealed = [...game.hostRevealedDoors];
+    game.makeChoice('stay');
+
+    assert.equal(game.canUndo(), true);
+    game.undo();
+    assert.equal(game.gamePhase, GAME_PHASES.REVEALED);
+    assert.equal(game.finalChoice, null);
+    assert.equal(game.counterfactual, true);
+    assert.deepEqual(game.hostRevealedDoors, revealed);
+
+    game.undo();
+    assert.equal(game.gamePhase, GAME_PHASES.SELECTING);
+    assert.equal(game.playerChoice, null);
+    assert.equal(game.canUndo(), false);
+    assert.throws(() => game.undo(), IllegalTransitionError);
+  });
+
+  test('picking the same door again after undo gives the same host move', () => {
+    const game = new MontyHallGame({ seed: SEED, doorCount: 8, revealCount: 4 });
+    game.selectDoor(3);
+    const revealed = [...game.hostRevealedDoors];
+    game.undo();
+    game.selectDoor(3);
+    assert.deepEqual(game.hostRevealedDoors, revealed);
+  });
+
+  test('the action log replays the round', () => {
+    const game = new MontyHallGame({ seed: SEED });
+    playRound(game, 1, 'switch');
+    const log = game.getActionLog();
+    assert.deepEqual(log.map(action => action.type), ['selectDoor', 'makeChoice']);
+
+    const replay = new MontyHallGame({ seed: 1 });
+    replay.reset(game.seed);
+    replay.selectDoor(log[0].doorIndex);
+    replay.makeChoice(log[1].strategy, log[1].targetDoor);
+    assert.equal(replay.won, game.won);
+    assert.equal(replay.finalChoice, game.finalChoice);
+  });
+});
+
+describe('long-run win rates (seeded)', () => {
+  const ROUNDS = 3000;
+
+  const winRate = (options, strategy) => {
+    const game = new MontyHallGame({ seed: SEED, ...options });
+    let played = 0;
+    let won = 0;
+    for (let round = 0; round < ROUNDS; round++) {
+      game.reset();
+      playRound(game, round % game.doorCount, strategy);
+      if (game.isFinished()) {
+        played++;
+        if (game.won) won++;
+      }
+    }
+    return won / played;
+  };
+
+  // With 3,000 rounds a rate lands within ±0.03 of its true value far more than 99% of
+  // the time; the fixed seed makes the result the same on every run
+  test('standard host: staying wins about 1/3, switching about 2/3', () => {
+    assert.ok(Math.abs(winRate({}, 'stay') - 1 / 3) < 0.03);
+    assert.ok(Math.abs(winRate({}, 'switch') - 2 / 3) < 0.03);
+  });
+
+  test('ignorant host: counted rounds are 50/50', () => {
+    assert.ok(Math.abs(winRate({ host: 'ignorant' }, 'stay') - 1 / 2) < 0.03);
+    assert.ok(Math.abs(winRate({ host: 'ignorant' }, 'switch') - 1 / 2) < 0.03);
+  });
+
+  test('ten doors with eight opened: switching wins about 9/10', () => {
+    assert.ok(Math.abs(winRate({ doorCount: 10, revealCount: 8 }, 'switch') - 9 / 10) < 0.03);
+  });
+});
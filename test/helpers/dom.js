@@ -0,0 +1,66 @@
+/**
+ * Loads a page of the simulator into jsdom and exposes its window as the globals
+ * the UI modules expect (document, window, ...), for tests
+ */
+
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+// Globals the UI modules read from the browser
+const GLOBALS = ['window', 'document', 'navigator', 'location', 'HTMLElement', 'Event', 'KeyboardEvent', 'MouseEvent'];
+
+/**
+ * Load a page without its scripts, so the test decides which components to create
+ * @param {string} [page='index.html'] - Page in the repository root
+ * @param {object} [options]
+ * @param {string} [options.url] - URL the page appears to be loaded from
+ * @returns {object} - { window, document, cleanup }; call cleanup() when done
+ */
+export function loadPage(page = 'index.html', { url = 'http://localhost/' } = {}) {
+  const html = readFileSync(new URL(`../../${page}`, import.meta.url), 'utf8')
+    .replace(/<script[\s\S]*?<\/script>/g, '');
+  const dom = new JSDOM(html, { url, pretendToBeVisual: true });
+
+  const previous = new Map();
+  for (const name of GLOBALS) {
+    previous.set(name, Object.getOwnPropertyDescriptor(globalThis, name));
+    Object.defineProperty(globalThis, name, { value: dom.window[name], configurable: true, writable: true });
+  }
+
+  return {
+    window: dom.window,
+    document: dom.window.document,
+    cleanup() {
+      for (const [name, descriptor] of previous) {
+        if (descriptor) {
+          Object.defineProperty(globalThis, name, descriptor);
+        } else {
+          delete globalThis[name];
+        }
+      }
+      dom.window.close();
+    }
+  };
+}
+
+/**
+ * Click an element the way a user would
+ * @param {Element} element - Element to click
+ */
+export function click(element) {
+  element.dispatchEvent(new element.ownerDocument.defaultView.MouseEvent('click', { bubbles: true }));
+}
+
+/**
+ * Press a key on the page
+ * @param {Document|Element} target - Page, or the element with focus, to send the key to
+ * @param {string} key - Key value, e.g. 's'
+ * @param {object} [modifiers] - e.g. { shiftKey: true }
+ * @returns {KeyboardEvent} - The event, to check whether it was handled
+ */
+export function pressKey(target, key, modifiers = {}) {
+  const { defaultView } = target.ownerDocument ?? target;
+  const event = new defaultView.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...modifiers });
+  target.dispatchEvent(event);
+  return event;
+}
@@ -0,0 +1,51 @@
+/**
+ * In-memory stand-in for the Web Storage API (localStorage), for tests
+ */
+
+export class LocalStorageStub {
+  constructor(entries = {}) {
+    this.items = new Map(Object.entries(entries));
+  }
+
+  get length() {
+    return this.items.size;
+  }
+
+  key(index) {
+    return [...this.items.keys()][index] ?? null;
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+/**
+ * Make a stub the global localStorage for the duration of a test
+ * @param {LocalStorageStub} storage - Stub to install
+ * @returns {function} - Restores the previous global
+ */
+export function installLocalStorage(storage) {
+  const previous = Object.getOwnPropertyDescriptor(globalThis, 'localStorage');
+  Object.defineProperty(globalThis, 'localStorage', { value: storage, configurable: true, writable: true });
+
+  return () => {
+    if (previous) {
+      Object.defineProperty(globalThis, 'localStorage', previous);
+    } else {
+      delete globalThis.localStorage;
+    }
+  };
+}
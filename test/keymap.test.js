@@ -0,0 +1,211 @@
+/**
+ * Tests for the keyboard shortcuts: the keymap and its saved bindings, where shortcuts
+ * apply, and the help overlay that lists and rebinds them
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MontyHallGame } from '../src/js/game.js';
+import { GameStats } from '../src/js/stats.js';
+import { MemoryStorageAdapter } from '../src/js/storage.js';
+import { MontyHallUI } from '../src/js/ui.js';
+import { Keymap, SHORTCUTS } from '../src/js/keymap.js';
+import { Settings } from '../src/js/settings.js';
+import { ShortcutHelp } from '../src/js/shortcut-help.js';
+import { loadPage, click, pressKey } from './helpers/dom.js';
+
+const SEED = 20240501;
+
+/**
+ * Wait until every queued animation has played
+ */
+async function settle(ui) {
+  do {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await ui.animations;
+  } while (ui.isAnimating);
+}
+
+describe('Keymap', () => {
+  test('starts on the default keys, whatever the letter case', () => {
+    const keymap = new Keymap();
+
+    assert.equal(keymap.getShortcut('s').action, 'stay');
+    assert.equal(keymap.getShortcut('S').action, 'stay');
+    assert.equal(keymap.getShortcut('3').door, 2);
+    assert.equal(keymap.getShortcut('?').action, 'help');
+    assert.equal(keymap.getShortcut('x'), null);
+    assert.equal(keymap.list().length, SHORTCUTS.length);
+  });
+
+  test('rebinds a shortcut, refusing reserved keys and keys already in use', async () => {
+    const keymap = new Keymap();
+    const changes = [];
+    keymap.subscribe(() => changes.push(keymap.getKey('stay')));
+
+    assert.deepEqual(await keymap.rebind('stay', 'K'), { success: true, error: null });
+    assert.equal(keymap.getShortcut('k').action, 'stay');
+    assert.equal(keymap.getShortcut('s'), null);
+    assert.deepEqual(changes, ['k']);
+
+    assert.match((await keymap.rebind('stay', 'w')).error, /W is already used to switch/);
+    assert.match((await keymap.rebind('stay', 'Enter')).error, /cannot be used/);
+    assert.match((await keymap.rebind('stay', 'ArrowLeft')).error, /cannot be used/);
+    assert.match((await keymap.rebind('fly', 'f')).error, /no shortcut called "fly"/);
+    assert.equal(keymap.getKey('stay'), 'k');
+
+    await keymap.resetToDefaults();
+    assert.equal(keymap.getKey('stay'), 's');
+  });
+
+  test('saves the bindings with the settings and loads them back', async () => {
+    const storage = new MemoryStorageAdapter();
+    const settings = new Settings({ storage });
+    const keymap = new Keymap({ settings });
+    await keymap.rebind('stay', 'a');
+    await keymap.rebind('switch', 's');
+    await keymap.rebind('door1', 'q');
+    assert.equal((await storage.get('montyHallSettings')).shortcuts.stay, 'a');
+
+    const reloadedSettings = new Settings({ storage });
+    await reloadedSettings.load();
+    const reloaded = new Keymap({ settings: reloadedSettings });
+    await reloaded.load();
+    assert.equal(reloaded.getKey('stay'), 'a');
+    assert.equal(reloaded.getKey('switch'), 's');
+    assert.equal(reloaded.getShortcut('q').door, 0);
+    assert.deepEqual(reloaded.describeShortcuts().slice(0, 3),
+      ['Q 2 3 4 5 6 7 8 9 to select doors 1-9', 'arrow keys and Enter for any door', 'A to stay']);
+  });
+
+  test('drops saved bindings it cannot use', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const settings = new Settings();
+
+    await settings.update({ shortcuts: { stay: 'Tab', fly: 'f', undo: 'z' } });
+    const keymap = new Keymap({ settings });
+    await keymap.load();
+    assert.equal(keymap.getKey('stay'), 's');
+    assert.equal(keymap.getKey('undo'), 'z');
+
+    await settings.update({ shortcuts: { stay: 'w' } });
+    const clashing = new Keymap({ settings });
+    await clashing.load();
+    assert.equal(clashing.getKey('stay'), 's', 'two actions on one key fall back to the defaults');
+    assert.equal(console.error.mock.callCount(), 2);
+  });
+
+  test('describes the shortcuts for hints', () => {
+    assert.deepEqual(new Keymap().describeShortcuts(), [
+      '1-9 to select doors 1-9', 'arrow keys and Enter for any door', 'S to stay', 'W to switch', 'U to undo',
+      'R to reset', '? for all shortcuts'
+    ]);
+  });
+});
+
+describe('Keyboard shortcuts on the page', () => {
+  let page;
+  let game;
+  let keymap;
+  let help;
+  let ui;
+  let $;
+
+  beforeEach(async () => {
+    page = loadPage();
+    $ = (id) => page.document.getElementById(id);
+
+    game = new MontyHallGame({ seed: SEED });
+    const stats = new GameStats({ storage: new MemoryStorageAdapter() });
+    await stats.load();
+    stats.trackGame(game);
+
+    keymap = new Keymap();
+    help = new ShortcutHelp(keymap);
+    ui = new MontyHallUI(game, stats, { keymap, onShowShortcuts: () => help.open() });
+    ui.wait = async () => {}; // Skip animation delays
+  });
+
+  afterEach(() => {
+    ui.closeResultModal();
+    page.cleanup();
+  });
+
+  test('are ignored while typing in a field', async () => {
+    const input = $('classroom-name');
+    input.focus();
+    pressKey(input, '2');
+    await settle(ui);
+    assert.equal(game.playerChoice, null);
+
+    pressKey($('explain-toggle'), '2');
+    await settle(ui);
+    assert.equal(game.playerChoice, 1, 'a checkbox takes no typing');
+  });
+
+  test('are ignored in a dialog, except the result', async () => {
+    help.open();
+    pressKey($('shortcut-help-close'), '1');
+    await settle(ui);
+    assert.equal(game.playerChoice, null);
+    help.close();
+
+    pressKey(page.document, '1');
+    await settle(ui);
+    pressKey(page.document, 's');
+    await settle(ui);
+    assert.equal(page.document.activeElement, $('result-close'));
+
+    pressKey($('result-close'), 'r');
+    assert.equal(game.gamePhase, 'selecting', 'a new round can be started from the result');
+    assert.equal($('result-modal').style.display, 'none');
+  });
+
+  test('? opens the help, which lists every shortcut and closes on Escape', () => {
+    const opener = $('reset-button');
+    opener.focus();
+    pressKey(opener, '?');
+
+    assert.equal(help.isOpen(), true);
+    assert.equal(page.document.activeElement, $('shortcut-help-close'));
+    assert.equal($('shortcut-list').querySelectorAll('tbody tr').length, SHORTCUTS.length);
+
+    pressKey($('shortcut-help-close'), 'Escape');
+    assert.equal(help.isOpen(), false);
+    assert.equal(page.document.activeElement, opener);
+  });
+
+  test('a shortcut can be moved to another key from the help', async () => {
+    help.open();
+    click($('shortcut-list').querySelector('[data-action="stay"]'));
+    const button = () => $('shortcut-list').querySelector('[data-action="stay"]');
+    assert.equal(button().textContent.trim(), 'Press a key…');
+    assert.equal(page.document.activeElement, button());
+
+    pressKey(button(), 'Shift');
+    assert.ok(help.capturing, 'still waiting for the real key');
+    pressKey(button(), 'w');
+    await settle(ui);
+    assert.match($('shortcut-message').textContent, /already used to switch/);
+    assert.equal(keymap.getKey('stay'), 's');
+
+    click(button());
+    pressKey(button(), 'k');
+    await settle(ui);
+    assert.equal(keymap.getKey('stay'), 'k');
+    assert.equal($('shortcut-message').textContent, 'Now K.');
+    assert.equal(help.isOpen(), true, 'the key was not taken as Escape or a shortcut');
+    assert.match($('keyboard-hint').textContent, /K to stay/);
+    help.close();
+
+    pressKey(page.document, '1');
+    await settle(ui);
+    pressKey(page.document, 's');
+    await settle(ui);
+    assert.equal(game.gamePhase, 'revealed', 'S no longer stays');
+    pressKey(page.document, 'K');
+    await settle(ui);
+    assert.equal(game.playerStrategy, 'stay');
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Tests for permalinks: a link opens the same setup, round and first pick
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MontyHallGame } from '../src/js/game.js';
+import { createHost } from '../src/js/hosts.js';
+import { encodePermalink, parsePermalink, applyPermalink } from '../src/js/permalink.js';
+
+const SEED = 20240501;
+
+describe('permalinks', () => {
+  test('open the same setup, round and first pick', () => {
+    const game = new MontyHallGame({ seed: SEED, doorCount: 5, revealCount: 2, host: createHost('preferential', { preference: 0.5 }) });
+    game.selectDoor(3);
+
+    const { settings, errors } = parsePermalink(encodePermalink(game));
+    assert.deepEqual(errors, []);
+
+    const copy = new MontyHallGame();
+    applyPermalink(copy, settings);
+    assert.equal(copy.doorCount, 5);
+    assert.equal(copy.host.id, 'preferential');
+    assert.equal(copy.host.preference, 0.5);
+    assert.equal(copy.carDoor, game.carDoor);
+    assert.equal(copy.playerChoice, 3);
+    assert.deepEqual(copy.hostRevealedDoors, game.hostRevealedDoors);
+  });
+
+  test('a pick needs the seed of its round', () => {
+    const { settings, errors } = parsePermalink('#doors=3&pick=2');
+    assert.equal(settings, null);
+    assert.deepEqual(errors, ['pick: needs a seed, so the door is picked in the same round']);
+
+    assert.deepEqual(parsePermalink('#doors=4&seed=lesson-1&pick=2').errors, []);
+  });
+});
@@ -0,0 +1,286 @@
+/**
+ * Tests for the settings: defaults and validation, persistence apart from the stats,
+ * export and import, and the settings dialog driving the game
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MontyHallGame } from '../src/js/game.js';
+import { GameStats } from '../src/js/stats.js';
+import { MemoryStorageAdapter } from '../src/js/storage.js';
+import { MontyHallUI } from '../src/js/ui.js';
+import { Settings, getGameOptions } from '../src/js/settings.js';
+import { SETTINGS_FIELDS, createDefaultSettings } from '../src/js/settings-schema.js';
+import { SettingsPanel } from '../src/js/settings-panel.js';
+import { loadPage, click } from './helpers/dom.js';
+
+const SEED = 20240501;
+
+/**
+ * Let pending promises and timers run
+ */
+async function flush() {
+  await new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('Settings', () => {
+  test('start on the defaults', () => {
+    const settings = new Settings();
+
+    assert.deepEqual(settings.getAll(), createDefaultSettings());
+    assert.equal(settings.get('doorCount'), 3);
+    assert.equal(settings.get('resultCloseSeconds'), 3);
+    assert.equal(settings.get('welcomeDelaySeconds'), 1);
+    assert.equal(settings.get('statsResetHoldSeconds'), 2);
+    assert.equal(settings.get('animationSpeed'), null);
+  });
+
+  test('only change when every value is valid, and tell listeners what changed', async () => {
+    const settings = new Settings();
+    const changes = [];
+    settings.subscribe((values, changed) => changes.push(changed));
+
+    assert.deepEqual(await settings.update({ doorCount: 10, revealCount: 8 }), { success: true, errors: [] });
+    assert.deepEqual(changes, [['doorCount', 'revealCount']]);
+
+    const { success, errors } = await settings.update({ doorCount: 2.5, resultCloseSeconds: 0, hostModel: 'sly' });
+    assert.equal(success, false);
+    assert.equal(errors.length, 3);
+    assert.match(errors[0], /doorCount: expected a whole number/);
+    assert.match(errors[1], /resultCloseSeconds: must be between 0.5 and 60/);
+    assert.match(errors[2], /hostModel: expected one of/);
+
+    assert.match((await settings.update({ doorCount: 4 })).errors[0], /with 4 doors the host can open at most 2/);
+    assert.match((await settings.update({ speed: 2 })).errors[0], /speed: unknown setting/);
+    assert.equal(settings.get('doorCount'), 10);
+
+    await settings.update({ doorCount: 10 });
+    assert.equal(changes.length, 1, 'an unchanged value is not announced');
+  });
+
+  test('are saved under their own key, apart from the stats', async () => {
+    const storage = new MemoryStorageAdapter();
+    const stats = new GameStats({ storage });
+    await stats.load();
+    const settings = new Settings({ storage });
+    await settings.update({ hostModel: 'ignorant', resultCloseSeconds: 5 });
+    await stats.resetStats();
+
+    const reloaded = new Settings({ storage });
+    assert.deepEqual(await reloaded.load(), []);
+    assert.equal(reloaded.get('hostModel'), 'ignorant');
+    assert.equal(reloaded.get('resultCloseSeconds'), 5);
+    assert.equal((await storage.get('montyHallStats')).hostModel, undefined);
+  });
+
+  test('keep the good saved values when some are bad', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const storage = new MemoryStorageAdapter();
+    await storage.set('montyHallSettings', { schemaVersion: 1, doorCount: 5, revealCount: 9, keepResultOpen: 'yes', hintEarlyGames: 2 });
+
+    const settings = new Settings({ storage });
+    const errors = await settings.load();
+    assert.equal(errors.length, 2);
+    assert.equal(settings.get('doorCount'), 5);
+    assert.equal(settings.get('revealCount'), 1);
+    assert.equal(settings.get('keepResultOpen'), false);
+    assert.equal(settings.get('hintEarlyGames'), 2);
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+
+  test('restoring the defaults keeps the keyboard shortcuts', async () => {
+    const settings = new Settings();
+    await settings.update({ doorCount: 6, shortcuts: { stay: 'k' } });
+    await settings.reset();
+
+    assert.equal(settings.get('doorCount'), 3);
+    assert.deepEqual(settings.get('shortcuts'), { stay: 'k' });
+  });
+
+  test('export and import round-trip, without the keyboard shortcuts', async () => {
+    const teacher = new Settings();
+    await teacher.update({ doorCount: 5, revealCount: 3, hostModel: 'preferential', hostPreference: 0.75, shortcuts: { stay: 'k' } });
+    const file = teacher.exportSettings();
+    const exported = JSON.parse(file);
+    assert.equal(exported.format, 'monty-hall-settings');
+    assert.equal(exported.settings.shortcuts, undefined);
+
+    const student = new Settings();
+    await student.update({ shortcuts: { stay: 'j' }, resultCloseSeconds: 10 });
+    assert.equal((await student.importSettings(file)).success, true);
+    assert.equal(student.get('doorCount'), 5);
+    assert.equal(student.get('hostPreference'), 0.75);
+    assert.equal(student.get('resultCloseSeconds'), 3);
+    assert.deepEqual(student.get('shortcuts'), { stay: 'j' });
+
+    assert.equal((await student.importSettings('{"settings": {"doorCount": 4, "revealCount": 2}}')).success, true);
+    assert.equal(student.get('hostModel'), 'preferential', 'settings the file leaves out are kept');
+  });
+
+  test('reject imports with anything wrong, changing nothing', async () => {
+    const settings = new Settings();
+    const before = settings.getAll();
+
+    assert.match((await settings.importSettings('not json')).errors[0], /Not valid JSON/);
+    assert.match((await settings.importSettings('[1, 2]')).errors[0], /expected an object, got an array/);
+    assert.match((await settings.importSettings('{"schemaVersion": 9, "settings": {}}')).errors[0],
+      /schemaVersion: 9 is not a settings version/);
+
+    const { success, errors } = await settings.importSettings(JSON.stringify({ settings: { doorCount: 8, hintBalanceGap: -1 } }));
+    assert.equal(success, false);
+    assert.deepEqual(errors, ['hintBalanceGap: must be between 1 and 10000, got -1']);
+    assert.deepEqual(settings.getAll(), before);
+  });
+
+  test('give the game options for the chosen host', () => {
+    const options = getGameOptions({ ...createDefaultSettings(), doorCount: 4, hostModel: 'preferential', hostPreference: 0.5 });
+    assert.equal(options.doorCount, 4);
+    assert.equal(options.host.id, 'preferential');
+    assert.equal(options.host.preference, 0.5);
+  });
+});
+
+describe('Settings dialog', () => {
+  let page;
+  let game;
+  let stats;
+  let settings;
+  let panel;
+  let ui;
+  let $;
+
+  beforeEach(async () => {
+    page = loadPage();
+    $ = (id) => page.document.getElementById(id);
+
+    game = new MontyHallGame({ seed: SEED });
+    stats = new GameStats({ storage: new MemoryStorageAdapter() });
+    await stats.load();
+    stats.trackGame(game);
+
+    settings = new Settings();
+    ui = new MontyHallUI(game, stats, { settings });
+    ui.wait = async () => {}; // Skip animation delays
+    panel = new SettingsPanel(settings);
+  });
+
+  afterEach(() => {
+    ui.closeResultModal();
+    page.cleanup();
+  });
+
+  test('shows every setting except the keyboard shortcuts, grouped', () => {
+    click($('settings-button'));
+    assert.equal(panel.isOpen(), true);
+    assert.equal(page.document.activeElement, $('setting-doorCount'));
+
+    const shown = Object.keys(SETTINGS_FIELDS).filter(key => !SETTINGS_FIELDS[key].local);
+    assert.deepEqual([...$('settings-form').elements].map(input => input.name).filter(Boolean), shown);
+    assert.equal($('setting-resultCloseSeconds').value, '3');
+    assert.equal($('settings-form').querySelectorAll('legend').length, 4);
+
+    page.document.activeElement.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    assert.equal(panel.isOpen(), false);
+  });
+
+  test('saving sets the game up again and the page options follow', async () => {
+    panel.open();
+    $('setting-doorCount').value = '6';
+    $('setting-revealCount').value = '3';
+    click($('settings-dialog').querySelector('[type="submit"]'));
+    await flush();
+
+    assert.equal(panel.isOpen(), false);
+    assert.equal(game.doorCount, 6);
+    assert.equal(game.revealCount, 3);
+    assert.equal(page.document.querySelectorAll('#doors-container .door').length, 6);
+    assert.equal($('door-count').value, '6');
+  });
+
+  test('invalid values are listed and nothing is saved', async () => {
+    panel.open();
+    $('setting-revealCount').value = '5';
+    $('setting-resultCloseSeconds').value = '';
+    click($('settings-dialog').querySelector('[type="submit"]'));
+    await flush();
+
+    assert.equal(panel.isOpen(), true);
+    const problems = [...$('settings-message').querySelectorAll('li')].map(item => item.textContent);
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /resultCloseSeconds: expected a number/);
+    assert.equal(settings.get('revealCount'), 1);
+  });
+
+  test('a change that arrives during an animation is set up once it ends', async () => {
+    let finish;
+    ui.wait = () => new Promise(resolve => { finish = resolve; });
+    click(page.document.querySelector('#doors-container .door'));
+    await flush();
+    assert.equal(ui.isAnimating, true);
+
+    await settings.update({ doorCount: 5, revealCount: 2 });
+    assert.equal(game.doorCount, 3, 'the animation is not cut short');
+
+    ui.wait = async () => {};
+    finish();
+    while (ui.isAnimating) {
+      await ui.animations;
+    }
+    assert.equal(game.doorCount, 5);
+    assert.equal(game.revealCount, 2);
+  });
+
+  test('choosing options on the page saves them', async () => {
+    const select = $('door-count');
+    select.value = '10';
+    select.dispatchEvent(new page.window.Event('change'));
+    await flush();
+
+    assert.equal(settings.get('doorCount'), 10);
+    assert.equal(settings.get('revealCount'), game.revealCount);
+
+    click($('keep-result-toggle'));
+    assert.equal(settings.get('keepResultOpen'), true);
+  });
+
+  test('the result closes after the chosen time', async (t) => {
+    await settings.update({ resultCloseSeconds: 7.5 });
+    game.selectDoor(0);
+    game.makeChoice('stay');
+    await flush();
+    const delays = [];
+    t.mock.method(globalThis, 'setTimeout', (callback, ms) => {
+      delays.push(ms);
+      return 0;
+    });
+
+    ui.showGameResult();
+    assert.ok(delays.includes(7500));
+  });
+
+  test('hints follow the chosen thresholds', async () => {
+    assert.doesNotMatch($('hints-panel').textContent, /Try Both Strategies/);
+
+    await settings.update({ hintEarlyGames: 0, hintBalanceMinGames: 1, hintBalanceGap: 1 });
+    game.selectDoor(0);
+    game.makeChoice('stay');
+    await flush();
+
+    assert.match($('hints-panel').textContent, /Try Both Strategies/);
+  });
+
+  test('a settings file can be loaded from the dialog', async () => {
+    const file = new File([JSON.stringify({ settings: { hostModel: 'ignorant' } })], 'class.json');
+
+    panel.open();
+    assert.equal(await panel.loadFile(file), true);
+    assert.equal(game.host.id, 'ignorant');
+    assert.equal($('setting-hostModel').selectedOptions[0].textContent.trim(), $('host-model').selectedOptions[0].textContent.trim());
+    assert.match($('settings-message').textContent, /Loaded the settings from class.json/);
+
+    const bad = new File(['{"settings": {"doorCount": 500}}'], 'bad.json');
+    assert.equal(await panel.loadFile(bad), false);
+    assert.match($('settings-message').textContent, /bad.json was not loaded/);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Tests for MontyHallSimulation: progress keeps coming while a slow strategy runs,
+ * so the runner's stall watchdog only stops strategies that are really stuck
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MontyHallSimulation } from '../src/js/simulation.js';
+import { SCRIPT_STALL_TIMEOUT_MS } from '../src/js/simulation-runner.js';
+
+const SEED = 20240501;
+
+// A valid strategy that takes about a millisecond per decision
+const SLOW_SCRIPT = `
+  const until = Date.now() + 1;
+  while (Date.now() < until) {}
+  return 'switch';
+`;
+
+describe('MontyHallSimulation', () => {
+  test('a slow strategy reports progress by time, not only every batch', async () => {
+    const simulation = new MontyHallSimulation({
+      rounds: 200,
+      strategy: 'script',
+      strategyOptions: { name: 'Slow switcher', source: SLOW_SCRIPT },
+      seed: SEED,
+      maxBatchMs: 20
+    });
+
+    const reports = [];
+    const result = await simulation.run({ onProgress: (partial) => reports.push(partial.completed) });
+
+    assert.equal(result.completed, 200);
+    assert.equal(result.cancelled, false);
+    assert.ok(reports.length >= 5, `expected several progress reports, got ${reports.length}`);
+    assert.equal(reports[reports.length - 1], 200);
+  });
+
+  test('reports well within the stall timeout by default', () => {
+    const simulation = new MontyHallSimulation({ seed: SEED });
+    assert.ok(simulation.maxBatchMs * 4 <= SCRIPT_STALL_TIMEOUT_MS);
+    assert.equal(simulation.batchSize, 5000);
+  });
+});
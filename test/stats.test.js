@@ -0,0 +1,314 @@
+/**
+ * Tests for GameStats: recording, persistence through a localStorage stub,
+ * schema migration and import
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameStats } from '../src/js/stats.js';
+import { STATS_SCHEMA_VERSION } from '../src/js/stats-schema.js';
+import { LocalStorageAdapter, MemoryStorageAdapter } from '../src/js/storage.js';
+import { MontyHallGame } from '../src/js/game.js';
+import { LocalStorageStub, installLocalStorage } from './helpers/local-storage.js';
+
+const SEED = 20240501;
+const STORAGE_KEY = 'montyHallStats';
+
+// Stats as saved by the first version, before host models, history or schema versions
+const VERSION_1_STATS = {
+  totalGames: 5,
+  stay: { played: 2, won: 1, winRate: 0.5 },
+  switch: { played: 3, won: 2, winRate: 2 / 3 },
+  lastPlayed: '2024-01-02T10:00:00.000Z',
+  created: '2024-01-01T09:00:00.000Z'
+};
+
+/**
+ * Stats saved through a LocalStorageAdapter backed by the given stub
+ */
+async function loadStats(localStorage) {
+  const stats = new GameStats({ storage: new LocalStorageAdapter(localStorage) });
+  await stats.load();
+  return stats;
+}
+
+/**
+ * Play rounds with a fixed seed and return the game, with stats following it
+ */
+function playRounds(stats, rounds, options = {}) {
+  const game = new MontyHallGame({ seed: SEED, ...options });
+  stats.trackGame(game);
+  for (let round = 0; round < rounds; round++) {
+    game.reset();
+    game.selectDoor(round % game.doorCount);
+    if (game.canMakeChoice()) {
+      game.makeChoice(round % 2 ? 'switch' : 'stay', round % 2 ? game.getRemainingDoors()[0] : null);
+    }
+  }
+  return game;
+}
+
+describe('recording', () => {
+  test('counters, win rates and history follow the rounds played', async () => {
+    const stats = await loadStats(new LocalStorageStub());
+    playRounds(stats, 10);
+
+    const current = stats.getStats();
+    assert.equal(current.totalGames, 10);
+    assert.equal(current.stay.played, 5);
+    assert.equal(current.switch.played, 5);
+    assert.equal(current.stay.winRate, current.stay.won / 5);
+    assert.equal(current.hosts.standard.totalGames, 10);
+    assert.equal(current.history.length, 10);
+    assert.deepEqual(stats.deriveStatsFromHistory().stay, current.stay);
+  });
+
+  test('voided rounds are logged but not counted as stay or switch', async () => {
+    const stats = await loadStats(new LocalStorageStub());
+    playRounds(stats, 60, { host: 'ignorant' });
+
+    const current = stats.getStats();
+    assert.ok(current.voidedGames > 0, 'the fixed seed deals some voided rounds');
+    assert.equal(current.totalGames + current.voidedGames, 60);
+    assert.equal(current.history.filter(record => record.outcome === 'voided').length, current.voidedGames);
+    assert.equal(current.hosts.ignorant.voided, current.voidedGames);
+  });
+
+  test('what-if rounds after an undo are not recorded', async () => {
+    const stats = await loadStats(new LocalStorageStub());
+    const game = new MontyHallGame({ seed: SEED });
+    stats.trackGame(game);
+
+    game.selectDoor(0);
+    game.makeChoice('stay');
+    game.undo();
+    game.makeChoice('switch');
+    assert.equal(stats.getStats().totalGames, 1);
+    assert.equal(stats.getStats().history[0].strategy, 'stay');
+  });
+
+  test('the history log keeps only the newest rounds', async () => {
+    const stats = new GameStats({ storage: new MemoryStorageAdapter(), historyLimit: 5 });
+    await stats.load();
+    playRounds(stats, 12);
+
+    assert.equal(stats.getStats().history.length, 5);
+    assert.equal(stats.getStats().totalGames, 12);
+    assert.equal(stats.isHistoryTruncated(), true);
+  });
+});
+
+describe('persistence', () => {
+  test('stats survive a reload', async () => {
+    const localStorage = new LocalStorageStub();
+    const stats = await loadStats(localStorage);
+    playRounds(stats, 8);
+    await stats.flush();
+
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    assert.equal(saved.schemaVersion, STATS_SCHEMA_VERSION);
+    assert.equal(saved.totalGames, 8);
+
+    const reloaded = await loadStats(localStorage);
+    assert.deepEqual(reloaded.getStats(), stats.getStats());
+  });
+
+  test('nothing is saved before load(), so saved stats cannot be overwritten', async () => {
+    const localStorage = new LocalStorageStub({ [STORAGE_KEY]: JSON.stringify(VERSION_1_STATS) });
+    const stats = new GameStats({ storage: new LocalStorageAdapter(localStorage) });
+    stats.recordGame('stay', true);
+    await stats.flush();
+
+    assert.deepEqual(JSON.parse(localStorage.getItem(STORAGE_KEY)), VERSION_1_STATS);
+  });
+
+  test('unreadable saved stats are set aside and the stats start fresh', async () => {
+    const broken = { ...VERSION_1_STATS, stay: { played: 1, won: 4 } };
+    const localStorage = new LocalStorageStub({ [STORAGE_KEY]: JSON.stringify(broken) });
+    const originalError = console.error;
+    console.error = () => {};
+    let stats;
+    try {
+      stats = await loadStats(localStorage);
+    } finally {
+      console.error = originalError;
+    }
+
+    assert.equal(stats.getStats().totalGames, 0);
+    assert.deepEqual(JSON.parse(localStorage.getItem(`${STORAGE_KEY}.invalid`)), broken);
+  });
+
+  test('stats left in localStorage move to a new persistent backend', async () => {
+    const localStorage = new LocalStorageStub({ [STORAGE_KEY]: JSON.stringify(VERSION_1_STATS) });
+    const restore = installLocalStorage(localStorage);
+    try {
+      // Stands in for IndexedDB, which Node does not have
+      const target = Object.assign(new MemoryStorageAdapter(), { id: 'indexeddb', persistent: true });
+      const stats = new GameStats({ storage: target });
+      await stats.load();
+
+      assert.equal(stats.getStats().totalGames, 5);
+      assert.equal(localStorage.getItem(STORAGE_KEY), null);
+      assert.equal((await target.get(STORAGE_KEY)).totalGames, 5);
+    } finally {
+      restore();
+    }
+  });
+});
+
+describe('migration', () => {
+  test('version 1 stats are upgraded to the current schema', async () => {
+    const localStorage = new LocalStorageStub({ [STORAGE_KEY]: JSON.stringify(VERSION_1_STATS) });
+    const stats = await loadStats(localStorage);
+    const current = stats.getStats();
+
+    assert.equal(current.schemaVersion, STATS_SCHEMA_VERSION);
+    assert.equal(current.totalGames, 5);
+    assert.deepEqual(current.hosts.standard.switch, VERSION_1_STATS.switch);
+    assert.equal(current.voidedGames, 0);
+    assert.deepEqual(current.history, []);
+    assert.deepEqual(current.strategies, {});
+    assert.equal(current.created, VERSION_1_STATS.created);
+  });
+
+  test('upgraded stats keep counting from where they were', async () => {
+    const localStorage = new LocalStorageStub({ [STORAGE_KEY]: JSON.stringify(VERSION_1_STATS) });
+    const stats = await loadStats(localStorage);
+    playRounds(stats, 4);
+    await stats.flush();
+
+    const reloaded = await loadStats(localStorage);
+    assert.equal(reloaded.getStats().totalGames, 9);
+    assert.equal(reloaded.getStats().history.length, 4);
+  });
+});
+
+describe('import', () => {
+  let stats;
+
+  beforeEach(async () => {
+    stats = await loadStats(new LocalStorageStub());
+    playRounds(stats, 6);
+  });
+
+  afterEach(() => stats.flush());
+
+  test('exported stats import back unchanged', async () => {
+    const exported = stats.exportStats();
+    const other = await loadStats(new LocalStorageStub());
+
+    assert.deepEqual(other.importStats(exported), { success: true, errors: [] });
+    assert.deepEqual(JSON.parse(other.exportStats()), JSON.parse(exported));
+  });
+
+  test('older schema versions are migrated on import', async () => {
+    const other = await loadStats(new LocalStorageStub());
+    const { success } = other.importStats(JSON.stringify(VERSION_1_STATS));
+
+    assert.equal(success, true);
+    assert.equal(other.getStats().schemaVersion, STATS_SCHEMA_VERSION);
+    assert.equal(other.getStats().hosts.standard.totalGames, 5);
+  });
+
+  test('invalid files are rejected with every problem named, leaving the stats alone', () => {
+    const before = stats.exportStats();
+    const originalError = console.error;
+    console.error = () => {};
+    let result;
+    try {
+      result = stats.importStats(JSON.stringify({
+        ...VERSION_1_STATS,
+        stay: { played: 1, won: 3 },
+        switch: { played: -1, won: 0 }
+      }));
+    } finally {
+      console.error = originalError;
+    }
+
+    assert.equal(result.success, false);
+    assert.ok(result.errors.some(error => error.startsWith('stay.won')));
+    assert.ok(result.errors.some(error => error.startsWith('switch.played')));
+    assert.equal(stats.exportStats(), before);
+  });
+
+  test('text that is not JSON is rejected', () => {
+    const { stats: parsed, errors } = stats.parseImport('{ nope', 'stats.json');
+    assert.equal(parsed, null);
+    assert.match(errors[0], /^Not valid JSON/);
+  });
+
+  test('merging adds the counts and interleaves the histories', async () => {
+    const other = await loadStats(new LocalStorageStub());
+    playRounds(other, 4);
+    const { stats: incoming } = stats.parseImport(other.exportStats(), 'other.json');
+
+    const merged = stats.applyImport(incoming, 'merge');
+    assert.equal(merged.totalGames, 10);
+    assert.equal(merged.history.length, 10);
+    assert.equal(merged.stay.played, stats.deriveStatsFromHistory(merged.history).stay.played);
+  });
+
+  test('history CSVs round-trip', async () => {
+    const { stats: parsed, errors } = stats.parseImport(stats.exportHistoryCsv(), 'history.csv');
+    assert.deepEqual(errors, []);
+    assert.equal(parsed.totalGames, 6);
+    assert.deepEqual(parsed.history.map(record => record.carDoor), stats.getStats().history.map(record => record.carDoor));
+  });
+});
+
+describe('educational hints', () => {
+  test('appear at the default thresholds unless others are given', async () => {
+    const stats = await loadStats(new LocalStorageStub());
+    const types = (thresholds) => stats.getEducationalHints(thresholds).map(hint => hint.type);
+    assert.deepEqual(types(), ['welcome']);
+
+    playRounds(stats, 6);
+    assert.deepEqual(types(), []);
+    assert.deepEqual(types({ earlyGames: 6 }), ['early']);
+    assert.deepEqual(types({ balanceMinGames: 6, balanceGap: 0 }), ['balance']);
+  });
+
+  test('the theory hint only counts rounds played in the classic setup', async () => {
+    const stats = await loadStats(new LocalStorageStub());
+    const theory = (theoryTolerance) => stats.getEducationalHints({ theoryMinGames: 1, theoryTolerance })
+      .some(hint => hint.type === 'theory');
+
+    // Switching wins about 90% with ten doors and eight opened, as it should
+    playRounds(stats, 20, { doorCount: 10, revealCount: 8 });
+    assert.ok(stats.getStats().hosts.standard.switch.winRate > 0.8);
+    assert.equal(theory(0.1), false);
+
+    playRounds(stats, 4);
+    assert.equal(theory(0), true);
+  });
+});
+
+describe('comparison with theory', () => {
+  test('only tests rounds played in the classic setup', async () => {
+    const stats = await loadStats(new LocalStorageStub());
+    playRounds(stats, 10, { doorCount: 10, revealCount: 8 });
+    assert.equal(stats.getStrategyComparison().theoretical, null);
+
+    playRounds(stats, 4);
+    const { theoretical } = stats.getStrategyComparison();
+    assert.equal(theoretical.stay.played, 2);
+    assert.equal(theoretical.switch.played, 2);
+    assert.equal(theoretical.switch.expected, 2 / 3);
+  });
+
+  test('says when the stay vs switch comparison pools setups with different odds', async () => {
+    const stats = await loadStats(new LocalStorageStub());
+    playRounds(stats, 4);
+    assert.equal(stats.getStrategyComparison().pooled, false);
+    assert.equal(stats.getStrategyComparison().standardHostOnly, true);
+
+    playRounds(stats, 4, { doorCount: 10, revealCount: 8 });
+    assert.equal(stats.getStrategyComparison().pooled, true);
+    assert.equal(stats.getStrategyComparison().standardHostOnly, true);
+
+    playRounds(stats, 4, { host: 'ignorant' });
+    assert.equal(stats.getStrategyComparison().standardHostOnly, false);
+    assert.equal(stats.getPlayedSetups().length, 3);
+  });
+});
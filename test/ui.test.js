@@ -0,0 +1,265 @@
+/**
+ * Tests for MontyHallUI against index.html loaded into jsdom: door click → host reveal
+ * → stay or switch → stats update, plus keyboard play, undo, the door options, the theory card and animation speed,
+ * and the convergence chart's reference lines
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MontyHallGame } from '../src/js/game.js';
+import { GameStats } from '../src/js/stats.js';
+import { MemoryStorageAdapter } from '../src/js/storage.js';
+import { MontyHallUI } from '../src/js/ui.js';
+import { ConvergenceChart } from '../src/js/convergence-chart.js';
+import { loadPage, click, pressKey } from './helpers/dom.js';
+
+const SEED = 20240501;
+
+/**
+ * Wait until every queued animation has played
+ */
+async function settle(ui) {
+  do {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await ui.animations;
+  } while (ui.isAnimating);
+}
+
+describe('MontyHallUI', () => {
+  let page;
+  let game;
+  let stats;
+  let ui;
+  let $;
+
+  beforeEach(async () => {
+    page = loadPage();
+    $ = (id) => page.document.getElementById(id);
+
+    game = new MontyHallGame({ seed: SEED });
+    stats = new GameStats({ storage: new MemoryStorageAdapter() });
+    await stats.load();
+    stats.trackGame(game);
+
+    ui = new MontyHallUI(game, stats);
+    ui.wait = async () => {}; // Skip animation delays
+  });
+
+  afterEach(() => page.cleanup());
+
+  const doors = () => [...page.document.querySelectorAll('#doors-container .door')];
+
+  test('starts with three closed doors and no choice buttons', () => {
+    assert.equal(doors().length, 3);
+    assert.equal($('game-phase').textContent, 'Choose a Door');
+    assert.equal($('choice-buttons').style.display, 'none');
+    assert.equal($('total-games').textContent, '0');
+    assert.equal($('round-seed').textContent, String(game.seed));
+  });
+
+  test('clicking a door picks it and the host opens a goat', async () => {
+    click(doors()[0]);
+    await settle(ui);
+
+    assert.equal(game.playerChoice, 0);
+    assert.equal($('game-phase').textContent, 'Make Your Choice');
+    assert.ok(doors()[0].classList.contains('selected'));
+
+    const [opened] = game.hostRevealedDoors;
+    assert.notEqual(opened, game.carDoor);
+    assert.ok(doors()[opened].classList.contains('revealed'));
+    assert.ok(doors()[opened].classList.contains('goat'));
+    assert.match(doors()[opened].getAttribute('aria-label'), /Revealed: Goat/);
+
+    assert.equal($('choice-buttons').style.display, 'flex');
+    assert.equal($('stay-button').textContent, 'Stay with Door 1');
+    assert.equal($('switch-button').textContent, `Switch to Door ${game.getRemainingDoor() + 1}`);
+  });
+
+  test('staying finishes the round, shows the result and updates the stats', async () => {
+    click(doors()[1]);
+    await settle(ui);
+    click($('stay-button'));
+    await settle(ui);
+
+    assert.equal(game.gamePhase, 'finished');
+    assert.equal(game.finalChoice, 1);
+    assert.equal($('game-phase').textContent, 'Game Complete');
+    assert.equal($('result-modal').style.display, 'flex');
+    assert.match($('result-message').textContent, game.won ? /You Won!/ : /You Lost/);
+    assert.ok(doors()[game.carDoor].classList.contains('car'));
+
+    assert.equal($('total-games').textContent, '1');
+    assert.match($('stay-stats').textContent, new RegExp(`${game.won ? 1 : 0}/1 wins`));
+    assert.match($('switch-stats').textContent, /0\/0 wins/);
+    assert.equal(stats.getStats().history[0].strategy, 'stay');
+  });
+
+  test('switching moves to the remaining door', async () => {
+    click(doors()[2]);
+    await settle(ui);
+    const target = game.getRemainingDoor();
+    ui.handleSwitchButton();
+    await settle(ui);
+
+    assert.equal(game.playerStrategy, 'switch');
+    assert.equal(game.finalChoice, target);
+    assert.match($('switch-stats').textContent, new RegExp(`${game.won ? 1 : 0}/1 wins`));
+  });
+
+  test('a round can be played from the keyboard', async () => {
+    pressKey(page.document, '3');
+    await settle(ui);
+    assert.equal(game.playerChoice, 2);
+
+    pressKey(page.document, 's');
+    await settle(ui);
+    assert.equal(game.playerStrategy, 'stay');
+    assert.equal(stats.getStats().totalGames, 1);
+
+    pressKey(page.document, 'r');
+    assert.equal(game.gamePhase, 'selecting');
+    assert.equal($('choice-buttons').style.display, 'none');
+  });
+
+  test('opened doors cannot be switched to', async () => {
+    click(doors()[0]);
+    await settle(ui);
+    click(doors()[game.hostRevealedDoors[0]]);
+    await settle(ui);
+
+    assert.equal(game.gamePhase, 'revealed');
+  });
+
+  test('undo takes the choice back and the replayed choice is not counted', async () => {
+    click(doors()[0]);
+    await settle(ui);
+    click($('stay-button'));
+    await settle(ui);
+    assert.equal($('undo-button').hidden, false);
+
+    click($('undo-button'));
+    await settle(ui);
+    assert.equal(game.gamePhase, 'revealed');
+    assert.equal($('game-phase').textContent, 'Make Your Choice (What If)');
+    assert.equal($('result-modal').style.display, 'none');
+
+    ui.handleSwitchButton();
+    await settle(ui);
+    assert.equal(stats.getStats().totalGames, 1);
+    assert.match($('result-message').textContent, /what-if round/);
+  });
+
+  test('changing the door count redraws the doors', async () => {
+    const select = $('door-count');
+    select.value = '10';
+    select.dispatchEvent(new page.window.Event('change'));
+    await settle(ui);
+
+    assert.equal(game.doorCount, 10);
+    assert.equal(doors().length, 10);
+    assert.match($('game-instructions').textContent, /Pick one of the 10 doors/);
+
+    click(doors()[9]);
+    await settle(ui);
+    assert.equal(game.hostRevealedDoors.length, game.revealCount);
+    assert.equal(page.document.querySelectorAll('#doors-container .door.revealed').length, game.revealCount);
+  });
+
+  test('the theory card only counts rounds played in the setup shown', async () => {
+    const select = $('door-count');
+    select.value = '10';
+    select.dispatchEvent(new page.window.Event('change'));
+    await settle(ui);
+    game.selectDoor(0);
+    game.makeChoice('switch', game.getRemainingDoors()[0]);
+    await settle(ui);
+    assert.match($('theory-summary').textContent, /you: \d+\.\d% of 1\b/);
+
+    select.value = '3';
+    select.dispatchEvent(new page.window.Event('change'));
+    await settle(ui);
+    assert.doesNotMatch($('theory-summary').textContent, /you:/);
+  });
+
+  test('the animation speed scales the waits and the door CSS', async (t) => {
+    delete ui.wait; // Back to the real, scaled wait
+    const delays = [];
+    t.mock.method(globalThis, 'setTimeout', (callback, ms) => {
+      delays.push(ms);
+      callback();
+    });
+    const scale = () => page.document.documentElement.style.getPropertyValue('--animation-scale');
+
+    const select = $('animation-speed');
+    select.value = '4';
+    select.dispatchEvent(new page.window.Event('change'));
+    assert.equal(ui.animationSpeed, 4);
+    assert.equal(scale(), '0.25');
+    await ui.wait(800);
+    assert.deepEqual(delays, [200]);
+
+    ui.setAnimationSpeed(0.25);
+    await ui.wait(800);
+    assert.deepEqual(delays, [200, 3200]);
+
+    ui.setAnimationSpeed(0);
+    assert.equal(scale(), '0');
+    assert.equal(select.value, '0');
+    await ui.wait(800);
+    assert.deepEqual(delays, [200, 3200], 'instant mode does not wait at all');
+
+    assert.throws(() => ui.setAnimationSpeed(3), RangeError);
+  });
+
+  test('reduced motion starts in instant mode until a speed is picked', () => {
+    let onChange;
+    const reducedMotion = { matches: true, addEventListener: (type, listener) => { onChange = listener; } };
+    page.window.matchMedia = () => reducedMotion;
+    const reducedUI = new MontyHallUI(game, stats);
+
+    assert.equal(reducedUI.animationSpeed, 0);
+    assert.equal($('animation-speed').value, '0');
+
+    onChange({ matches: false });
+    assert.equal(reducedUI.animationSpeed, 1, 'follows the preference as it changes');
+
+    reducedUI.setAnimationSpeed(2);
+    onChange({ matches: true });
+    assert.equal(reducedUI.animationSpeed, 2, 'a picked speed wins');
+  });
+});
+
+describe('ConvergenceChart', () => {
+  let page;
+  let chart;
+
+  beforeEach(async () => {
+    page = loadPage();
+    const stats = new GameStats({ storage: new MemoryStorageAdapter() });
+    await stats.load();
+    chart = new ConvergenceChart(stats);
+  });
+
+  afterEach(() => page.cleanup());
+
+  // Rates the dashed lines mark, read back from their height in the 260-unit-high chart
+  const referenceRates = () => [...page.document.querySelectorAll('#convergence-chart .convergence-reference')]
+    .map(line => Number((1 - (Number(line.getAttribute('y1')) - 12) / 216).toFixed(3)));
+
+  test('reference lines sit at the long-run rates of the setup simulated', () => {
+    const result = (strategy, doorCount, revealCount) => ({
+      strategy, doorCount, revealCount, hostModel: 'standard', hostOptions: {}, samples: [{ played: 10, wins: 5 }]
+    });
+
+    chart.showSimulation([result('stay', 3, 1), result('switch', 3, 1)]);
+    assert.deepEqual(referenceRates(), [0.333, 0.667]);
+
+    chart.showSimulation([result('stay', 10, 8), result('switch', 10, 8)]);
+    assert.deepEqual(referenceRates(), [0.1, 0.9]);
+
+    chart.showSimulation([result('stay', 3, 1), result('switch', 10, 8)]);
+    assert.deepEqual(referenceRates(), [], 'no lines for a mix of setups');
+  });
+});